@@ -1,90 +1,381 @@
 /*
   Obsidian Plugin: Export to RTF
   - Converts Markdown to RTF with support for:
-    • Headings H1–H6, paragraphs, quotes
-    • UL/OL lists with proper indentation
-    • Tables
-    • Callouts (rendered as a 1×1 boxed table)
-    • Inline styles: bold/italic/underline/strike/code/mark, color/background
+    • Headings H1–H6, paragraphs, quotes — as stylesheet styles (Normal, heading 1–6, Block Quote, Code, Callout)
+    • UL/OL lists as native RTF lists (\listtable/\ls): <ol start>, nested 1./a./i. numbering, task checkboxes ☐/☑
+    • Tables: content-based column widths fitted to the page, repeating bold header rows,
+      per-cell alignment, colspan/rowspan
+    • Callouts (rendered as a 1×1 boxed table) colored per type, with icons, folding and nesting
+    • Inline styles: bold/italic/underline/strike/code/mark/sub/sup, CSS color/background (named, rgb, hsl,
+      var()), font size/family/weight, decoration, vertical-align, paragraph alignment
+    • Code blocks: syntax-highlight colors from a theme, shaded background, exact whitespace, language caption
+    • Any script: \ansicpg + codepage fallbacks after \uN, \fcharset fonts, East Asian (\dbch) and emoji fonts,
+      right-to-left runs and paragraphs (\rtlch, \rtlpar)
     • Links:
         - http(s)/mailto → native RTF hyperlinks
         - non-standard schemes (e.g., whatsapp://, tg://, obsidian://) → "🔗 [Text](URL)"
-    • Images <img> → 1×1 boxed placeholder with file name or full path (setting), dashed border + 🖼 prefix
+        - internal [[links]] → plain text, bookmarks to headings in the same RTF, or obsidian:// links (setting)
+    • Note embeds / transclusions ![[Note#Section]] → inlined content (depth-limited)
+    • Footnotes [^1] / ^[inline] → native RTF footnotes (or endnotes)
+    • Obsidian markup: %%comments%% stripped, #tags styled, ^block-ids → bookmarks,
+      Dataview/Tasks/Mermaid output awaited until it settles
+    • Math $…$ / $$…$$ → Word equations (\mmath), PNG images or TeX source
+    • Images <img> → embedded PNG/JPEG pictures (GIF/WebP/SVG converted to PNG), sized from the
+      natural size or the |300 width hint and fitted to the page width
+    • Mermaid and other rendered SVG diagrams → PNG pictures (optional "Figure N" caption), source as fallback
+    • Missing/remote/oversized images → 1×1 boxed placeholder with file name or full path (setting), dashed border + 🖼 prefix
+  - DOCX and ODT: the same rendered HTML → document model (htmlToDocModel) → WordprocessingML / OpenDocument,
+    zipped in the browser
   - Desktop & mobile friendly:
     • Command palette
     • Editor/file context menus
+    • Export of the editor selection or of the heading section under the cursor
+    • Copy as RTF (+ HTML and plain text) to the clipboard
+    • Batch export of a folder or of notes matching a tag/search (vault folder or zip)
+    • Compile a folder or the notes linked from an index note into one RTF/DOCX/ODT (page breaks + TOC field)
     • Ribbon icon
+    • Import RTF as note (RTF → Markdown, pictures saved as attachments)
   - Settings:
+    • Export profiles: named setting sets, picked on export or via the rtf-profile property, shared as JSON
+    • Destination: browser download or a vault path template, overwrite/rename on conflict
+    • Page setup: paper size, orientation, margins, fonts, sizes, line/paragraph spacing
+    • Header/footer templates with page numbers, alignment, different first page
     • Show full image path
+    • Embed images, maximum embedded image size
+    • Frontmatter: document properties ({\info}), title page, properties table
 */
 
 const {
   Plugin,
   MarkdownRenderer,
+  Modal,
   Notice,
   PluginSettingTab,
-  Setting
+  Setting,
+  TFile,
+  TFolder,
+  getAllTags,
+  loadMathJax,
+  normalizePath,
+  parseFrontMatterTags,
+  resolveSubpath
 } = require('obsidian');
 
 const DEFAULT_SETTINGS = {
   showFullImagePath: false,
+  embedImages: true,
+  maxImageSizeKb: 2048,
+  internalLinks: 'text',       // 'text' | 'bookmark' (links to headings inside the RTF) | 'obsidian' (obsidian:// URLs)
+  embedDepth: 3,               // how deep ![[note]] embeds are inlined
+  destination: 'download',     // 'download' (browser download) | 'vault'
+  exportPathTemplate: 'exports/{{folder}}/{{basename}}.rtf',
+  onConflict: 'rename',        // 'rename' | 'overwrite'
+  // Document / page setup (sizes in mm and pt)
+  paperSize: 'a4',             // 'a4' | 'letter' | 'legal' | 'custom'
+  paperWidth: 210,
+  paperHeight: 297,
+  orientation: 'portrait',     // 'portrait' | 'landscape'
+  marginTop: 25,
+  marginBottom: 25,
+  marginLeft: 25,
+  marginRight: 25,
+  bodyFont: 'Arial',
+  headingFont: 'Arial',
+  codeFont: 'Courier New',
+  eastAsianFont: '',           // '' = by language (MS Mincho, SimSun, Batang, PMingLiU)
+  emojiFont: 'Segoe UI Emoji',
+  codepage: 'auto',            // 'auto' (from the note's text) | a codepage of RTF_CODEPAGES, e.g. '1251'
+  bodyFontSize: 12,
+  headingSizes: '24, 20, 18, 16, 14, 12',  // H1–H6
+  codeFontSize: 12,
+  lineSpacing: 1,              // multiple of single spacing
+  paragraphSpacing: 6,         // space after paragraphs
+  // Frontmatter
+  documentProperties: true,    // title/author/tags/created/description → RTF {\info}
+  frontmatterTitlePage: false,
+  frontmatterTable: false,
+  footnotes: 'footnote',       // 'footnote' | 'endnote'
+  // Headers / footers: {{title}}, {{date}}, {{page}}, {{pages}}
+  headerTemplate: '',
+  footerTemplate: '',
+  headerAlign: 'center',       // 'left' | 'center' | 'right'
+  footerAlign: 'center',
+  differentFirstPage: false,
+  firstPageHeaderTemplate: '',
+  firstPageFooterTemplate: '',
+  // Callouts
+  calloutIcons: true,
+  calloutPalette: '',          // "warning: #ff9900" per line
+  foldedCallouts: 'title',     // folded (> [!type]-) callouts: 'title' (title only) | 'expand'
+  // Code blocks
+  codeTheme: 'light',          // key of CODE_THEMES
+  codeThemeOverrides: '',      // "keyword: #aa00ff" per line
+  codeLanguageCaption: false,
+  mathMode: 'equation',        // 'equation' (Word equations) | 'image' (PNG) | 'tex' (TeX source)
+  diagramCaptions: false,      // "Figure N: title" under Mermaid and other rendered diagrams
+  tags: 'styled',              // 'styled' (colored text) | 'text' | 'remove'
+  renderWait: 'settle',        // 'settle' (until plugin output stops changing) | 'tick' (fixed 20 ms)
+  renderTimeout: 10,           // seconds, upper bound for 'settle'
+  batchMode: 'files',          // 'files' (one .rtf per note in a vault folder) | 'zip'
+  batchFolder: 'RTF export',
+  // Export profiles: name → its own copy of the settings above (see profileSettings)
+  profiles: {},
+  askProfile: false,           // pick a profile on every single-note export
+};
+
+// DOM node types (the global Node is missing when the converter runs outside Obsidian)
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+
+const TWIPS_PER_PX = 15; // 96 dpi
+const TWIPS_PER_MM = 1440 / 25.4;
+
+// Portrait width × height in mm
+const PAPER_SIZES = {
+  a4:     [210, 297],
+  letter: [215.9, 279.4],
+  legal:  [215.9, 355.6]
 };
 
 // ---------- RTF utils ----------
 
-function encodeTextToRtf(txt) {
-  // Encode per 16-bit units to handle surrogate pairs (emoji, etc.)
-  let out = '';
+// Windows codepages for \ansicpg, in order of preference when several cover the text equally,
+// with the \fcharset of their fonts. The East Asian (double-byte) ones are tried only for CJK text.
+const RTF_CODEPAGES = [
+  { codepage: 1252, charset: 0,   name: 'Western' },
+  { codepage: 1250, charset: 238, name: 'Central European' },
+  { codepage: 1251, charset: 204, name: 'Cyrillic' },
+  { codepage: 1253, charset: 161, name: 'Greek' },
+  { codepage: 1254, charset: 162, name: 'Turkish' },
+  { codepage: 1255, charset: 177, name: 'Hebrew' },
+  { codepage: 1256, charset: 178, name: 'Arabic' },
+  { codepage: 1257, charset: 186, name: 'Baltic' },
+  { codepage: 1258, charset: 163, name: 'Vietnamese' },
+  { codepage: 874,  charset: 222, name: 'Thai' },
+  { codepage: 932,  charset: 128, name: 'Japanese', doubleByte: true },
+  { codepage: 936,  charset: 134, name: 'Chinese (Simplified)', doubleByte: true },
+  { codepage: 949,  charset: 129, name: 'Korean', doubleByte: true },
+  { codepage: 950,  charset: 136, name: 'Chinese (Traditional)', doubleByte: true }
+];
+const rtfCodepage = (codepage) => RTF_CODEPAGES.find(c => c.codepage === codepage) || RTF_CODEPAGES[0];
+
+// Default East Asian font per double-byte codepage (settings.eastAsianFont overrides)
+const EAST_ASIAN_FONTS = { 932: 'MS Mincho', 936: 'SimSun', 949: 'Batang', 950: 'PMingLiU' };
+
+const CJK_CHARS = /[\u1100-\u11FF\u2E80-\u9FFF\uAC00-\uD7AF\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFFEF]/;
+
+// Runs of visible text that need their own font or direction: emoji (with ZWJ sequences,
+// variation selectors and skin tones), East Asian text, Hebrew text, Arabic text
+const SCRIPT_RUN = new RegExp([
+  '((?:(?:[\\u{1F000}-\\u{1FAFF}]|\\p{Emoji_Presentation}|\\p{Extended_Pictographic}\\uFE0F)'
+    + '(?:\\uFE0F|\\u200D\\p{Extended_Pictographic}\\uFE0F?|[\\u{1F3FB}-\\u{1F3FF}])*)+)',
+  `(${CJK_CHARS.source}+)`,
+  ...['Hebrew', 'Arabic'].map(s => `(\\p{scx=${s}}(?:[\\p{scx=${s}}\\d ,.:;!?'"()\\-]*\\p{scx=${s}})?)`)
+].join('|'), 'gu');
+const RTL_FIRST_STRONG = /^[^\p{L}]*[\p{scx=Hebrew}\p{scx=Arabic}]/u;
+
+// Text → [{ text, script }]: script is 'emoji', 'eastAsian', 'hebrew' or 'arabic' for SCRIPT_RUN
+// matches and undefined in between
+function scriptRuns(text) {
+  const s = String(text ?? '');
+  const out = [];
+  let last = 0;
+  for (const m of s.matchAll(SCRIPT_RUN)) {
+    if (m.index > last) out.push({ text: s.slice(last, m.index) });
+    out.push({ text: m[0], script: ['emoji', 'eastAsian', 'hebrew', 'arabic'][m.slice(1).findIndex(g => g)] });
+    last = m.index + m[0].length;
+  }
+  if (last < s.length) out.push({ text: s.slice(last) });
+  return out;
+}
+
+// Codepage of an East Asian run: Japanese with kana, Korean with hangul, else Chinese
+const eastAsianCodepage = (text) =>
+  /[\u3040-\u30FF]/.test(text) ? 932 : /[\u1100-\u11FF\uAC00-\uD7AF]/.test(text) ? 949 : 936;
+
+// Block elements that make their parent a wrapper rather than a paragraph (math blocks and
+// heading fold icons are part of the paragraph they sit in)
+const NESTED_BLOCKS = 'p, div:not(.math, .collapse-indicator), h1, h2, h3, h4, h5, h6, ul, ol, table, blockquote, pre';
+
+// Right-to-left paragraph: dir="rtl" on the element or an ancestor, or Hebrew/Arabic as the first
+// letter of `text` in a dir="auto"/unmarked block. Only leaf blocks get a direction: a wrapper
+// around several paragraphs leaves it to them.
+function isRtlBlock(el, text = el.textContent, leaf = !el.querySelector(NESTED_BLOCKS)) {
+  if (!leaf) return false;
+  const dir = el.closest('[dir]')?.getAttribute('dir').toLowerCase();
+  return dir === 'rtl' || (dir !== 'ltr' && RTL_FIRST_STRONG.test(text));
+}
+
+// Character → its bytes in a Windows codepage (non-ASCII only), built once per codepage
+const codepageMaps = new Map();
+function codepageMap(codepage) {
+  if (codepageMaps.has(codepage)) return codepageMaps.get(codepage);
+  const map = new Map();
+  const decoder = rtfDecoder(codepage);
+  const add = (bytes) => {
+    const ch = decoder.decode(new Uint8Array(bytes));
+    if (ch.length === 1 && ch !== '\uFFFD' && !map.has(ch)) map.set(ch, bytes);
+  };
+  for (let b = 0x80; b <= 0xFF; b++) add([b]);
+  if (rtfCodepage(codepage).doubleByte) {
+    for (let lead = 0x81; lead <= 0xFE; lead++) for (let trail = 0x40; trail <= 0xFE; trail++) add([lead, trail]);
+  }
+  codepageMaps.set(codepage, map);
+  return map;
+}
+
+// The codepage that covers most of the text's non-ASCII characters (1252 when there are none).
+// East Asian codepages also cover Cyrillic and Greek, so they only count CJK characters, and
+// Japanese and Korean need kana or hangul.
+function detectCodepage(text) {
+  const counts = new Map();
+  for (const ch of String(text ?? '')) if (ch > '\x7f') counts.set(ch, (counts.get(ch) || 0) + 1);
+  const chars = [...counts.keys()].join('');
+  const needs = { 932: /[\u3040-\u30FF]/, 949: /[\u1100-\u11FF\uAC00-\uD7AF]/ };
+  let best = 1252, bestCount = 0;
+  for (const { codepage, doubleByte } of RTF_CODEPAGES) {
+    if (doubleByte && (!CJK_CHARS.test(chars) || (needs[codepage] && !needs[codepage].test(chars)))) continue;
+    const map = codepageMap(codepage);
+    let n = 0;
+    counts.forEach((count, ch) => { if (map.has(ch) && (!doubleByte || CJK_CHARS.test(ch))) n += count; });
+    if (n > bestCount) { best = codepage; bestCount = n; }
+  }
+  return best;
+}
+
+// Bytes shown by readers without Unicode support: the character in the codepage, else its
+// unaccented base letter, else ?. Combining marks, joiners and the second half of a surrogate
+// pair show nothing.
+function fallbackBytes(ch, map) {
+  const code = ch.charCodeAt(0);
+  if (map.has(ch)) return map.get(ch);
+  if (code >= 0xDC00 && code <= 0xDFFF) return [];
+  if (code >= 0xD800 && code <= 0xDBFF) return [0x3F];
+  if (/[\p{Mn}\p{Cf}]/u.test(ch)) return [];
+  const base = ch.normalize('NFKD')[0];
+  if (base > '\x1f' && base < '\x7f') return [base.charCodeAt(0)];
+  return map.get(base) || [0x3F];
+}
+
+function encodeTextToRtf(txt, codepage = 1252) {
+  // Encode per 16-bit units to handle surrogate pairs (emoji, etc.); \ucN tracks the length
+  // of the fallback after each \uN and is back to 1 at the end
+  const map = codepageMap(codepage);
+  let out = '', uc = 1;
+  const resetUc = () => { if (uc !== 1) { out += '\\uc1 '; uc = 1; } };
   for (let i = 0; i < (txt?.length || 0); i++) {
     const ch = txt[i];
     const code = txt.charCodeAt(i);
+    if (code > 127) {
+      const n = code > 32767 ? code - 65536 : code; // signed 16-bit
+      const bytes = fallbackBytes(ch, map);
+      if (bytes.length !== uc) { out += `\\uc${bytes.length}`; uc = bytes.length; }
+      // Fallback bytes as hex, so that none (a digit, a letter, a space) can run into \uN
+      out += `\\u${n}` + (bytes.length ? bytes.map(b => `\\'${b.toString(16).padStart(2, '0')}`).join('') : ' ');
+      continue;
+    }
+    resetUc();
     if (ch === '\\') out += '\\\\';
     else if (ch === '{') out += '\\{';
     else if (ch === '}') out += '\\}';
     else if (code === 10) out += '\\line ';
-    else if (code <= 127) out += ch;
-    else {
-      const n = code > 32767 ? code - 65536 : code; // signed 16-bit
-      out += `\\u${n}?`;
-    }
+    else if (code === 9) out += '\\tab ';
+    else out += ch;
   }
+  resetUc();
   return out;
 }
 
-function escapeForFldinst(s) {
+// Non-ASCII characters become \uN so the instruction stays 7-bit
+function escapeForFldinst(s, codepage = 1252) {
   return String(s ?? '')
     .replace(/\\/g, '\\\\')
-    .replace(/"/g, '\\"');
+    .replace(/"/g, '\\"')
+    .replace(/[{}]/g, '\\$&')
+    .replace(/[^\x00-\x7f]+/g, m => encodeTextToRtf(m, codepage));
 }
 
-function parseColorToRGB(str) {
-  if (!str) return null;
-  str = str.trim();
-
-  let m = str.match(/^#([0-9a-f]{6})$/i);
-  if (m) {
-    const n = parseInt(m[1], 16);
-    return { r: (n >> 16) & 255, g: (n >> 8) & 255, b: n & 255 };
-  }
-  m = str.match(/^#([0-9a-f]{3})$/i);
-  if (m) {
-    const r = parseInt(m[1][0] + m[1][0], 16);
-    const g = parseInt(m[1][1] + m[1][1], 16);
-    const b = parseInt(m[1][2] + m[1][2], 16);
-    return { r, g, b };
-  }
-  m = str.match(/^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)(?:\s*,\s*([\d.]+))?\s*\)$/i);
-  if (m) {
-    return {
-      r: Math.max(0, Math.min(255, +m[1] | 0)),
-      g: Math.max(0, Math.min(255, +m[2] | 0)),
-      b: Math.max(0, Math.min(255, +m[3] | 0))
-    };
+// Structural problems in generated RTF: unbalanced groups, malformed control words or
+// hex escapes, unescaped non-ASCII. Returns messages (empty = valid).
+function validateRtf(rtf) {
+  const problems = [];
+  if (!/^\{\\rtf1/.test(rtf)) problems.push('Does not start with {\\rtf1');
+  let depth = 0;
+  for (let i = 0; i < rtf.length; i++) {
+    const c = rtf[i];
+    if (c === '{') depth++;
+    else if (c === '}') {
+      if (--depth < 0) { problems.push(`Unmatched } at ${i}`); depth = 0; }
+      else if (depth === 0 && i < rtf.trimEnd().length - 1) problems.push(`Content after the document group at ${i}`);
+    } else if (c === '\\') {
+      const word = /^[a-zA-Z]{1,32}(-?\d{1,10})?/.exec(rtf.slice(i + 1, i + 45));
+      const next = rtf[i + 1];
+      if (word) {
+        if (/^[a-zA-Z]{32}[a-zA-Z]/.test(rtf.slice(i + 1, i + 34))) problems.push(`Control word too long at ${i}`);
+        const n = Number(word[1]);
+        if (/^u-?\d/.test(word[0]) && (n < -32768 || n > 65535)) problems.push(`\\u out of range at ${i}`);
+        i += word[0].length;
+      } else if (next === "'") {
+        if (!/^[0-9a-fA-F]{2}$/.test(rtf.substr(i + 2, 2))) problems.push(`Bad hex escape at ${i}`);
+        i += 3;
+      } else if (next !== undefined && '\\{}~-_*:|\n\r'.includes(next)) i++;
+      else problems.push(`Unknown control symbol \\${next ?? ''} at ${i}`);
+    } else if (c.charCodeAt(0) > 127) {
+      problems.push(`Unescaped non-ASCII character at ${i}`);
+    }
   }
-  return null;
+  if (depth > 0) problems.push(`${depth} unclosed group(s)`);
+  return problems;
+}
+
+// Page geometry and type sizes from settings, in twips / half-points
+function pageSetup(settings = DEFAULT_SETTINGS) {
+  const num = (v, d) => (Number.isFinite(Number(v)) && Number(v) > 0 ? Number(v) : d);
+  let [w, h] = settings.paperSize === 'custom'
+    ? [num(settings.paperWidth, 210), num(settings.paperHeight, 297)]
+    : (PAPER_SIZES[settings.paperSize] || PAPER_SIZES.a4);
+  const landscape = settings.orientation === 'landscape';
+  if (landscape !== (w > h)) [w, h] = [h, w];
+
+  const tw = (mm) => Math.round(mm * TWIPS_PER_MM);
+  const margin = (v) => tw(Number.isFinite(Number(v)) && Number(v) >= 0 ? Number(v) : 25);
+  const page = {
+    paperW: tw(w), paperH: tw(h), landscape,
+    margL: margin(settings.marginLeft), margR: margin(settings.marginRight),
+    margT: margin(settings.marginTop),  margB: margin(settings.marginBottom)
+  };
+  page.contentWidth = Math.max(1440, page.paperW - page.margL - page.margR);
+
+  const bodyFs = Math.round(num(settings.bodyFontSize, 12) * 2);
+  const headingPt = String(settings.headingSizes || DEFAULT_SETTINGS.headingSizes).split(/[,;\s]+/).map(Number);
+  const defaultHeadingPt = [24, 20, 18, 16, 14, 12];
+  page.bodyFs = bodyFs;
+  page.codeFs = Math.round(num(settings.codeFontSize, 12) * 2);
+  page.headingFs = {};
+  for (let i = 0; i < 6; i++) page.headingFs['H' + (i + 1)] = Math.round(num(headingPt[i], defaultHeadingPt[i]) * 2);
+  page.lineSpacing = Math.round(240 * num(settings.lineSpacing, 1));
+  page.spaceAfter = Math.round(Number.isFinite(Number(settings.paragraphSpacing)) ? Number(settings.paragraphSpacing) * 20 : 120);
+  return page;
+}
+
+// \f0 body, \f1 code, \f2 headings, all in the document's charset
+// extraFonts: families from inline styles (names) and script fonts ({ name, charset }), numbered from \f3
+function fontTableRtf(settings = DEFAULT_SETTINGS, extraFonts = [], charset = 0, codepage = 1252) {
+  const clean = (name, fallback) => String(name || '').replace(/[\\{};]/g, '').trim() || fallback;
+  const own = (name, fallback) => encodeTextToRtf(clean(name, fallback), codepage);
+  return '{\\fonttbl'
+    + `{\\f0\\fnil\\fcharset${charset} ${own(settings.bodyFont, 'Arial')};}`
+    + `{\\f1\\fmodern\\fcharset${charset} ${own(settings.codeFont, 'Courier New')};}`
+    + `{\\f2\\fnil\\fcharset${charset} ${own(settings.headingFont, 'Arial')};}`
+    + extraFonts.map((font, i) => {
+        const { name, charset: cs = charset } = typeof font === 'string' ? { name: font } : font;
+        return `{\\f${i + 3}\\fnil\\fcharset${cs} ${encodeTextToRtf(clean(name, 'Arial'))};}`;
+      }).join('')
+    + '}';
 }
 
-function collectColors(root) {
+// extra: colors that must be in the table regardless of the document (e.g. code theme)
+function collectColors(root, extra = []) {
   // Preload yellow (mark), black (borders), blue (links), light gray (callout/img bg)
   const set = new Map();
   const addFixed = (rgb) => {
@@ -95,6 +386,7 @@ function collectColors(root) {
   addFixed({ r:0,   g:0,   b:0 });    // black
   addFixed({ r:0,   g:0,   b:255 });  // blue
   addFixed({ r:245, g:245, b:245 });  // light gray #F5F5F5 for boxed cells
+  extra.filter(Boolean).forEach(addFixed);
 
   const add = (rgb) => {
     if (!rgb) return null;
@@ -104,13 +396,12 @@ function collectColors(root) {
   };
 
   (function walk(n) {
-    if (n.nodeType === Node.ELEMENT_NODE) {
+    if (n.nodeType === ELEMENT_NODE) {
       const el = n;
-      const style = (el.getAttribute('style') || '').toLowerCase();
-      const mColor = style.match(/(^|;)\s*color\s*:\s*([^;]+)/);
-      const mBg    = style.match(/(^|;)\s*background(?:-color)?\s*:\s*([^;]+)/);
-      if (mColor) add(parseColorToRGB(mColor[2].trim()));
-      if (mBg)    add(parseColorToRGB(mBg[2].trim()));
+      const css = elementStyle(el);
+      add(cssColor(css.color));
+      add(cssColor(css['background-color'] || css.background));
+      if (el.tagName === 'FONT') add(parseColorToRGB(el.getAttribute('color')));
     }
     n.childNodes.forEach(walk);
   })(root);
@@ -129,417 +420,4131 @@ function collectColors(root) {
   return { table, indexOf, markIndex, linkBlueIndex, calloutBgIndex };
 }
 
-// ---------- HTML → RTF ----------
+// Word bookmark names: letters, digits and underscores, at most 40 chars.
+// prefix: 'h_' for headings, 'b_' for ^block-ids
+function bookmarkName(text, prefix = 'h_') {
+  const slug = String(text ?? '').trim().replace(/[^\p{L}\p{N}]+/gu, '_').replace(/^_+|_+$/g, '');
+  return (prefix + slug).slice(0, 40);
+}
 
-function htmlToRtf(html, settings = DEFAULT_SETTINGS) {
-  const dom = new DOMParser().parseFromString(html, 'text/html');
-  const {
-    table: colorTable,
-    indexOf: colorIndex,
-    markIndex: markColorIndex,
-    linkBlueIndex,
-    calloutBgIndex
-  } = collectColors(dom.body);
+function stripFrontmatter(md) {
+  return String(md ?? '').replace(/^---\r?\n[\s\S]*?\r?\n---[ \t]*(?:\r?\n|$)/, '');
+}
 
-  const H_FS = { H1: 48, H2: 40, H3: 36, H4: 32, H5: 28, H6: 24 };
-  const defaultFs = 24;
+// %%comments%% (inline or over several lines; unclosed runs to the end) are dropped,
+// except inside code fences (indented and longer ones too, as in extractFences) and code spans
+function stripComments(md) {
+  return String(md ?? '').replace(
+    /(^|\n)([ \t]*)(`{3,}|~{3,})[\s\S]*?(?:\n\2\3[^\n]*|$)|(`+)[^`][\s\S]*?\4|%%[\s\S]*?(?:%%|$)/g,
+    (m, nl, indent, fence, ticks) => (fence || ticks ? m : ''));
+}
 
-  const trimHeadTail = (s) =>
-    (s ?? '')
-      .replace(/^[ \t]+/g, '')
-      .replace(/^(\\line\s*)+/g, '')
-      .replace(/(\\line\s*)+$/g, '');
+// {\info} group: title, author, keywords, subject, creation time
+function infoRtf(meta, codepage = 1252) {
+  const field = (word, value) => value ? `{\\${word} ${encodeTextToRtf(String(value), codepage)}}` : '';
+  const d = meta.created;
+  const time = d && !isNaN(d)
+    ? `{\\creatim\\yr${d.getFullYear()}\\mo${d.getMonth() + 1}\\dy${d.getDate()}\\hr${d.getHours()}\\min${d.getMinutes()}}`
+    : '';
+  return '{\\info'
+    + field('title', meta.title)
+    + field('author', meta.author)
+    + field('keywords', meta.keywords)
+    + field('subject', meta.subject)
+    + time
+    + '}';
+}
 
-  const openPara  = (props = '') => `{\\pard${props} `;
-  const closePara = () => `\\par}\\pard\\plain\\f0\\fs${defaultFs} `;
+// Frontmatter as a two-column Property | Value table at the top of the body
+function insertPropertiesTable(dom, properties) {
+  const entries = Object.entries(properties || {});
+  if (!entries.length) return;
+  const table = dom.createElement('table');
+  table.className = 'rtf-properties';
+  for (const [key, value] of entries) {
+    const tr = table.insertRow();
+    const th = dom.createElement('th');
+    th.textContent = key;
+    tr.appendChild(th);
+    const td = tr.insertCell();
+    td.textContent = Array.isArray(value) ? value.join(', ')
+      : value && typeof value === 'object' ? JSON.stringify(value)
+      : String(value ?? '');
+  }
+  dom.body.insertBefore(table, dom.body.firstChild);
+}
 
-  function withInline(el, inner) {
-    let prefix = '', suffix = '';
-    const tag = el.tagName;
-    const style = (el.getAttribute('style') || '').toLowerCase();
+// ---------- CSS (inline styles) ----------
 
-    if (/^(B|STRONG)$/.test(tag)) { prefix += '\\b '; suffix = '\\b0 ' + suffix; }
-    if (/^(I|EM)$/.test(tag))     { prefix += '\\i '; suffix = '\\i0 ' + suffix; }
-    if (tag === 'U')              { prefix += '\\ul '; suffix = '\\ul0 ' + suffix; }
-    if (tag === 'S' || tag === 'DEL') { prefix += '\\strike '; suffix = '\\strike0 ' + suffix; }
-    if (tag === 'CODE' && el.parentElement?.tagName !== 'PRE') { prefix += '\\f1 '; suffix = '\\f0 ' + suffix; }
-    if (tag === 'MARK' && typeof markColorIndex === 'number') {
-      prefix += `\\highlight${markColorIndex} `;
-      suffix  = '\\highlight0 ' + suffix;
-    }
+// CSS named colors, "name:rrggbb"
+const CSS_NAMED_COLORS = new Map((
+  'aliceblue:f0f8ff antiquewhite:faebd7 aqua:00ffff aquamarine:7fffd4 azure:f0ffff beige:f5f5dc '
+  + 'bisque:ffe4c4 black:000000 blanchedalmond:ffebcd blue:0000ff blueviolet:8a2be2 brown:a52a2a '
+  + 'burlywood:deb887 cadetblue:5f9ea0 chartreuse:7fff00 chocolate:d2691e coral:ff7f50 '
+  + 'cornflowerblue:6495ed cornsilk:fff8dc crimson:dc143c cyan:00ffff darkblue:00008b darkcyan:008b8b '
+  + 'darkgoldenrod:b8860b darkgray:a9a9a9 darkgreen:006400 darkgrey:a9a9a9 darkkhaki:bdb76b '
+  + 'darkmagenta:8b008b darkolivegreen:556b2f darkorange:ff8c00 darkorchid:9932cc darkred:8b0000 '
+  + 'darksalmon:e9967a darkseagreen:8fbc8f darkslateblue:483d8b darkslategray:2f4f4f '
+  + 'darkslategrey:2f4f4f darkturquoise:00ced1 darkviolet:9400d3 deeppink:ff1493 deepskyblue:00bfff '
+  + 'dimgray:696969 dimgrey:696969 dodgerblue:1e90ff firebrick:b22222 floralwhite:fffaf0 '
+  + 'forestgreen:228b22 fuchsia:ff00ff gainsboro:dcdcdc ghostwhite:f8f8ff gold:ffd700 '
+  + 'goldenrod:daa520 gray:808080 green:008000 greenyellow:adff2f grey:808080 honeydew:f0fff0 '
+  + 'hotpink:ff69b4 indianred:cd5c5c indigo:4b0082 ivory:fffff0 khaki:f0e68c lavender:e6e6fa '
+  + 'lavenderblush:fff0f5 lawngreen:7cfc00 lemonchiffon:fffacd lightblue:add8e6 lightcoral:f08080 '
+  + 'lightcyan:e0ffff lightgoldenrodyellow:fafad2 lightgray:d3d3d3 lightgreen:90ee90 lightgrey:d3d3d3 '
+  + 'lightpink:ffb6c1 lightsalmon:ffa07a lightseagreen:20b2aa lightskyblue:87cefa '
+  + 'lightslategray:778899 lightslategrey:778899 lightsteelblue:b0c4de lightyellow:ffffe0 lime:00ff00 '
+  + 'limegreen:32cd32 linen:faf0e6 magenta:ff00ff maroon:800000 mediumaquamarine:66cdaa '
+  + 'mediumblue:0000cd mediumorchid:ba55d3 mediumpurple:9370db mediumseagreen:3cb371 '
+  + 'mediumslateblue:7b68ee mediumspringgreen:00fa9a mediumturquoise:48d1cc mediumvioletred:c71585 '
+  + 'midnightblue:191970 mintcream:f5fffa mistyrose:ffe4e1 moccasin:ffe4b5 navajowhite:ffdead '
+  + 'navy:000080 oldlace:fdf5e6 olive:808000 olivedrab:6b8e23 orange:ffa500 orangered:ff4500 '
+  + 'orchid:da70d6 palegoldenrod:eee8aa palegreen:98fb98 paleturquoise:afeeee palevioletred:db7093 '
+  + 'papayawhip:ffefd5 peachpuff:ffdab9 peru:cd853f pink:ffc0cb plum:dda0dd powderblue:b0e0e6 '
+  + 'purple:800080 rebeccapurple:663399 red:ff0000 rosybrown:bc8f8f royalblue:4169e1 '
+  + 'saddlebrown:8b4513 salmon:fa8072 sandybrown:f4a460 seagreen:2e8b57 seashell:fff5ee sienna:a0522d '
+  + 'silver:c0c0c0 skyblue:87ceeb slateblue:6a5acd slategray:708090 slategrey:708090 snow:fffafa '
+  + 'springgreen:00ff7f steelblue:4682b4 tan:d2b48c teal:008080 thistle:d8bfd8 tomato:ff6347 '
+  + 'turquoise:40e0d0 violet:ee82ee wheat:f5deb3 white:ffffff whitesmoke:f5f5f5 yellow:ffff00 '
+  + 'yellowgreen:9acd32'
+).trim().split(' ').map(e => e.split(':')));
 
-    const mColor = style.match(/(^|;)\s*color\s*:\s*([^;]+)/);
-    if (mColor) {
-      const idx = colorIndex(parseColorToRGB(mColor[2].trim()));
-      if (idx) { prefix += `\\cf${idx} `; suffix = '\\cf0 ' + suffix; }
-    }
-    const mBg = style.match(/(^|;)\s*background(?:-color)?\s*:\s*([^;]+)/);
-    if (mBg) {
-      const idx = colorIndex(parseColorToRGB(mBg[2].trim()));
-      if (idx) { prefix += `\\highlight${idx} `; suffix = '\\highlight0 ' + suffix; }
-    }
+// Absolute font-size keywords in pt
+const CSS_FONT_SIZES = {
+  'xx-small': 7, 'x-small': 7.5, small: 10, medium: 12, large: 13.5, 'x-large': 18, 'xx-large': 24, 'xxx-large': 36
+};
 
-    return prefix + inner + suffix;
+// "a: b; c: d" → { a: 'b', c: 'd' } (property names lowercased except custom properties)
+function parseInlineStyle(text) {
+  const decl = {};
+  let depth = 0, start = 0;
+  const src = String(text || '');
+  const take = (part) => {
+    const colon = part.indexOf(':');
+    if (colon < 0) return;
+    let name = part.slice(0, colon).trim();
+    if (!name.startsWith('--')) name = name.toLowerCase();
+    const value = part.slice(colon + 1).replace(/!important\s*$/i, '').trim();
+    if (name && value) decl[name] = value;
+  };
+  for (let i = 0; i <= src.length; i++) {
+    const c = src[i];
+    if (c === '(') depth++;
+    else if (c === ')') depth = Math.max(0, depth - 1);
+    else if ((c === ';' && depth === 0) || i === src.length) { take(src.slice(start, i)); start = i + 1; }
   }
+  return decl;
+}
 
-  // Boxed cell with optional border style (solid/dash/dot) and light-gray bg
-  const renderSingleCellBox = (innerRtf, opts = {}) => {
-    const inner = trimHeadTail(innerRtf || '');
-    const cellRight = 10000;
-
-    const bg = (typeof calloutBgIndex === 'number' && calloutBgIndex > 0)
-      ? `\\clshdng0\\clcbpat${calloutBgIndex}`    // solid background, no foreground overlay
-      : '';
+// var(--x, fallback): the element's and its ancestors' inline custom properties first,
+// then the app theme (when running inside Obsidian)
+function resolveCssVars(value, el) {
+  const lookup = (name) => {
+    for (let n = el; n && n.getAttribute; n = n.parentElement) {
+      const v = parseInlineStyle(n.getAttribute('style'))[name];
+      if (v) return v;
+    }
+    if (typeof document !== 'undefined' && document.body && typeof getComputedStyle === 'function') {
+      return getComputedStyle(document.body).getPropertyValue(name).trim();
+    }
+    return '';
+  };
+  for (let pass = 0; pass < 5 && value.includes('var('); pass++) {
+    value = value.replace(/var\(\s*(--[\w-]+)\s*(?:,\s*((?:[^()]|\([^()]*\))*))?\)/g,
+      (_, name, fallback) => lookup(name) || (fallback || '').trim());
+  }
+  return value;
+}
 
-    const br = opts.borderStyle === 'dash' ? '\\brdrdash'
-            : opts.borderStyle === 'dot'  ? '\\brdrdot'
-            : '\\brdrs'; // default solid
+// Inline style of an element with CSS variables resolved
+function elementStyle(el) {
+  const decl = parseInlineStyle(el.getAttribute('style'));
+  for (const k of Object.keys(decl)) if (decl[k].includes('var(')) decl[k] = resolveCssVars(decl[k], el);
+  return decl;
+}
 
-    return '{\\trowd\\trgaph108\\trleft0 '
-      + `\\clbrdrt${br}\\brdrw10`
-      + `\\clbrdrl${br}\\brdrw10`
-      + `\\clbrdrb${br}\\brdrw10`
-      + `\\clbrdrr${br}\\brdrw10`
-      + `${bg} `
-      + `\\cellx${cellRight} `
-      + `{\\pard\\intbl ${inner}\\line \\cell}`
-      + '\\row}'
-      + `\\pard\\plain\\f0\\fs${defaultFs} `;
+// Any CSS color → { r, g, b }; translucent colors are blended against white, transparent → null
+function parseColorToRGB(str) {
+  if (!str) return null;
+  str = str.trim().toLowerCase();
+  const clamp = (v) => Math.max(0, Math.min(255, Math.round(v)));
+  const blend = (r, g, b, a = 1) => {
+    a = Math.max(0, Math.min(1, a));
+    if (a === 0) return null;
+    return { r: clamp(r * a + 255 * (1 - a)), g: clamp(g * a + 255 * (1 - a)), b: clamp(b * a + 255 * (1 - a)) };
   };
+  const alpha = (v) => v == null ? 1 : v.endsWith('%') ? parseFloat(v) / 100 : parseFloat(v);
 
-  function renderCalloutAsSingleCell(el, walkFn) {
-    const titleEl   = el.querySelector('.callout-title');
-    const contentEl = el.querySelector('.callout-content');
+  if (str === 'transparent') return null;
+  if (CSS_NAMED_COLORS.has(str)) str = '#' + CSS_NAMED_COLORS.get(str);
 
-    const parts = [];
-    if (titleEl) {
-      let t = Array.from(titleEl.childNodes).map(n => walkFn(n, { inTable: true })).join('');
-      t = trimHeadTail(t);
-      if (t) parts.push(`\\b ${t}\\b0`);
-    }
-    if (contentEl) {
-      let c = Array.from(contentEl.childNodes).map(n => walkFn(n, { inTable: true })).join('');
-      c = trimHeadTail(c);
-      if (c) parts.push(c);
-    }
-    if (!titleEl && !contentEl) {
-      let all = Array.from(el.childNodes).map(n => walkFn(n, { inTable: true })).join('');
-      all = trimHeadTail(all);
-      if (all) parts.push(all);
-    }
+  let m = str.match(/^#([0-9a-f]{3,8})$/);
+  if (m && [3, 4, 6, 8].includes(m[1].length)) {
+    const hex = m[1].length <= 4 ? m[1].replace(/./g, c => c + c) : m[1];
+    const n = (i) => parseInt(hex.slice(i, i + 2), 16);
+    return blend(n(0), n(2), n(4), hex.length === 8 ? n(6) / 255 : 1);
+  }
 
-    const inner = trimHeadTail(parts.filter(Boolean).join(' \\line '));
-    // Callout: solid border (default)
-    return renderSingleCellBox(inner);
+  // rgb()/hsl() with commas or spaces, optional "/ alpha"
+  m = str.match(/^(rgba?|hsla?)\(\s*([^)]*)\)$/);
+  if (!m) return null;
+  const parts = m[2].split(/\s*[,/]\s*|\s+/).filter(Boolean);
+  if (parts.length < 3) return null;
+  if (m[1].startsWith('rgb')) {
+    const ch = (v) => v.endsWith('%') ? parseFloat(v) * 2.55 : parseFloat(v);
+    if ([0, 1, 2].some(k => isNaN(ch(parts[k])))) return null;
+    return blend(ch(parts[0]), ch(parts[1]), ch(parts[2]), alpha(parts[3]));
   }
+  const hue = parts[0].endsWith('turn') ? parseFloat(parts[0]) * 360
+    : parts[0].endsWith('rad') ? parseFloat(parts[0]) * 180 / Math.PI
+    : parseFloat(parts[0]);
+  const s = parseFloat(parts[1]) / 100, l = parseFloat(parts[2]) / 100;
+  if ([hue, s, l].some(isNaN)) return null;
+  const f = (n) => {
+    const k = (n + ((hue % 360) + 360) % 360 / 30) % 12;
+    return 255 * (l - s * Math.min(l, 1 - l) * Math.max(-1, Math.min(k - 3, 9 - k, 1)));
+  };
+  return blend(f(0), f(8), f(4), alpha(parts[3]));
+}
 
-  function renderLiBlockParagraph(el, ctx, baseIndentTwips) {
-    const style = (el.getAttribute('style') || '').toLowerCase();
-    const mBg = style.match(/(^|;)\s*background(?:-color)?\s*:\s*([^;]+)/);
-    let prefix = '', suffix = '';
-    if (mBg) {
-      const idx = colorIndex(parseColorToRGB(mBg[2].trim()));
-      if (idx) { prefix = `\\highlight${idx} `; suffix = '\\highlight0 '; }
-    }
-    const inner = trimHeadTail(Array.from(el.childNodes).map(n => walk(n, { ...ctx, inList: true })).join(''));
-    if (!inner) return '';
-    if (ctx.inTable) {
-      return `{\\pard\\intbl\\li${baseIndentTwips + 720}\\fi0 ${prefix}${inner}${suffix}\\line }`;
-    }
-    return openPara(`\\li${baseIndentTwips + 720}\\fi0\\sa60`) + prefix + inner + suffix + closePara();
+// First color in a value such as a "background" shorthand
+function cssColor(value) {
+  if (!value) return null;
+  const direct = parseColorToRGB(value);
+  if (direct) return direct;
+  const tokens = value.match(/(?:[a-z-]+\([^()]*\)|#[0-9a-f]+|[a-z]+)/gi) || [];
+  for (const t of tokens) {
+    const rgb = parseColorToRGB(t);
+    if (rgb) return rgb;
   }
+  return null;
+}
 
-  function splitLiPreservingOrder(li, ctx, level, baseIndentTwips) {
-    let headText = '';
-    let headTaken = false;
-    const tailPieces = [];
+// font-size → half-points; relative sizes are taken against baseFs
+function cssFontSize(value, baseFs) {
+  const v = String(value || '').trim().toLowerCase();
+  if (CSS_FONT_SIZES[v]) return Math.round(CSS_FONT_SIZES[v] * 2);
+  if (v === 'smaller') return Math.round(baseFs / 1.2);
+  if (v === 'larger') return Math.round(baseFs * 1.2);
+  const m = v.match(/^([\d.]+)(px|pt|em|rem|%)$/);
+  if (!m) return null;
+  const n = parseFloat(m[1]);
+  const fs = m[2] === 'px' ? n * 1.5 : m[2] === 'pt' ? n * 2 : m[2] === '%' ? baseFs * n / 100 : baseFs * n;
+  return fs > 0 ? Math.max(2, Math.round(fs)) : null;
+}
 
-    li.childNodes.forEach(n => {
-      if (n.nodeType === Node.ELEMENT_NODE && (n.tagName === 'UL' || n.tagName === 'OL')) {
-        const r = renderList(n, { ...ctx, listLevel: level + 1 });
-        if (r) tailPieces.push({ type: 'list', rtf: r });
-        return;
-      }
-      if (n.nodeType === Node.ELEMENT_NODE && (n.tagName === 'P' || n.tagName === 'DIV')) {
-        if (!headTaken) {
-          headText += trimHeadTail(Array.from(n.childNodes).map(c => walk(c, { ...ctx, inList: true })).join(''));
-          headTaken = true;
-        } else {
-          const r = renderLiBlockParagraph(n, ctx, baseIndentTwips);
-          if (r) tailPieces.push({ type: 'block', rtf: r });
-        }
-        return;
-      }
-      if (n.nodeType === Node.ELEMENT_NODE && (n.tagName === 'PRE' || n.tagName === 'BLOCKQUOTE')) {
-        const r = renderLiBlockParagraph(n, ctx, baseIndentTwips);
-        if (r) tailPieces.push({ type: 'block', rtf: r });
-        return;
-      }
-      headText += walk(n, { ...ctx, inList: true });
-    });
+// ---------- Callouts ----------
 
-    headText = trimHeadTail(headText);
-    const tailRtf = tailPieces.map(p => p.rtf).join('');
-    return { headText, tailRtf };
-  }
+// Obsidian's default callout colors and an icon per type
+const CALLOUT_TYPES = {
+  note:     { color: '#086DDD', icon: '📝' },
+  abstract: { color: '#00BFBC', icon: '📋' },
+  info:     { color: '#086DDD', icon: 'ℹ️' },
+  todo:     { color: '#086DDD', icon: '☑️' },
+  tip:      { color: '#00BFBC', icon: '💡' },
+  success:  { color: '#08B94E', icon: '✅' },
+  question: { color: '#EC7500', icon: '❓' },
+  warning:  { color: '#EC7500', icon: '⚠️' },
+  failure:  { color: '#E93147', icon: '❌' },
+  danger:   { color: '#E93147', icon: '⚡' },
+  bug:      { color: '#E93147', icon: '🐞' },
+  example:  { color: '#7852EE', icon: '📑' },
+  quote:    { color: '#9E9E9E', icon: '❝' }
+};
 
-  function renderList(el, ctx) {
-    let out = '';
-    const level  = ctx.listLevel || 1;
-    const indent = 720 * level;
+const CALLOUT_ALIASES = {
+  summary: 'abstract', tldr: 'abstract', hint: 'tip', important: 'tip',
+  check: 'success', done: 'success', help: 'question', faq: 'question',
+  caution: 'warning', attention: 'warning', fail: 'failure', missing: 'failure',
+  error: 'danger', cite: 'quote'
+};
 
-    if (el.tagName === 'UL') {
-      for (const li of el.children) {
-        if (li.tagName !== 'LI') continue;
-        const { headText, tailRtf } = splitLiPreservingOrder(li, ctx, level, indent);
-        if (ctx.inTable) {
-          out += `\\li${indent} \\u8226? ${headText} \\li0 \\line `;
-          out += tailRtf;
-        } else {
-          out += openPara(`\\li${indent}\\fi0\\sa60`) + '\\u8226? ' + headText + closePara();
-          out += tailRtf;
-        }
-      }
-      return out;
-    }
+// Colors, icon and label for a data-callout type; settings.calloutPalette ("type: color"
+// per line) overrides the color of a type or alias. tint is the 10% background wash.
+function calloutLook(type, settings = DEFAULT_SETTINGS) {
+  const raw = String(type || 'note').toLowerCase();
+  const base = CALLOUT_ALIASES[raw] || raw;
+  const def = CALLOUT_TYPES[base] || CALLOUT_TYPES.note;
+  const palette = parseKeyValueLines(settings.calloutPalette);
+  const color = parseColorToRGB(palette[raw] || palette[base] || '') || parseColorToRGB(def.color);
+  const mix = (c) => Math.round(255 + (c - 255) * 0.1);
+  return {
+    color,
+    tint: { r: mix(color.r), g: mix(color.g), b: mix(color.b) },
+    icon: def.icon,
+    label: raw.charAt(0).toUpperCase() + raw.slice(1)
+  };
+}
 
-    if (el.tagName === 'OL') {
-      let n = 1;
-      for (const li of el.children) {
-        if (li.tagName !== 'LI') continue;
-        const { headText, tailRtf } = splitLiPreservingOrder(li, ctx, level, indent);
-        const useBullet = level > 1;
-        if (ctx.inTable) {
-          if (useBullet) out += `\\li${indent} \\u8226? ${headText} \\li0 \\line `;
-          else           out += `\\li${indent} ${encodeTextToRtf(String(n++) + '. ')}${headText} \\li0 \\line `;
-          out += tailRtf;
-        } else {
-          if (useBullet) out += openPara(`\\li${indent}\\fi0\\sa60`) + '\\u8226? ' + headText + closePara();
-          else           out += openPara(`\\li${indent}\\fi0\\sa60`) + encodeTextToRtf(String(n++) + '. ') + headText + closePara();
-          out += tailRtf;
-        }
-      }
-      return out;
-    }
+// ---------- Code blocks ----------
 
-    return out;
+const CODE_THEMES = {
+  light: {
+    background: '#F6F8FA', text: '#24292E', comment: '#6A737D', keyword: '#D73A49', string: '#032F62',
+    number: '#005CC5', function: '#6F42C1', operator: '#D73A49', punctuation: '#24292E',
+    variable: '#E36209', tag: '#22863A', attr: '#6F42C1'
+  },
+  solarized: {
+    background: '#FDF6E3', text: '#657B83', comment: '#93A1A1', keyword: '#859900', string: '#2AA198',
+    number: '#D33682', function: '#268BD2', operator: '#859900', punctuation: '#586E75',
+    variable: '#CB4B16', tag: '#268BD2', attr: '#B58900'
+  },
+  monochrome: {
+    background: '#F5F5F5', text: '#000000', comment: '#808080', keyword: '#000000', string: '#404040',
+    number: '#000000', function: '#000000', operator: '#000000', punctuation: '#000000',
+    variable: '#000000', tag: '#000000', attr: '#404040'
   }
+};
 
-  function walk(node, ctx = { inTable: false, inList: false, listLevel: 0 }) {
-    if (node.nodeType === Node.TEXT_NODE) {
-      const s = node.nodeValue ?? '';
-      if (ctx.inTable && /^\s+$/.test(s)) return '';
-      return encodeTextToRtf(s);
-    }
-    if (node.nodeType !== Node.ELEMENT_NODE) return '';
-
-    const el = node;
-
-    if (el.tagName === 'BR')     return '\\line ';
-    if (el.tagName === 'TABLE')  return renderTable(el);
+// Prism token classes (as rendered by Obsidian) → theme keys
+const CODE_TOKEN_CLASSES = {
+  comment: 'comment', prolog: 'comment', doctype: 'comment', cdata: 'comment',
+  keyword: 'keyword', atrule: 'keyword', important: 'keyword', boolean: 'number',
+  string: 'string', char: 'string', 'attr-value': 'string', regex: 'string', url: 'string', inserted: 'string',
+  number: 'number', constant: 'number', symbol: 'number', deleted: 'number',
+  function: 'function', 'class-name': 'function', builtin: 'function',
+  operator: 'operator', entity: 'operator',
+  punctuation: 'punctuation',
+  variable: 'variable', property: 'variable', parameter: 'variable',
+  tag: 'tag', selector: 'tag', 'attr-name': 'attr'
+};
 
-    if (/^H[1-6]$/.test(el.tagName)) {
-      const sz = H_FS[el.tagName] || 32;
-      if (ctx.inTable) {
-        let inner = Array.from(el.childNodes).map(n => walk(n, ctx)).join('');
-        inner = trimHeadTail(inner);
-        return `\\b\\fs${sz} ${inner}\\b0\\fs${defaultFs} \\line `;
-      } else {
-        let r = openPara(`\\sb240\\sa120\\keepn\\b\\fs${sz}`);
-        r += Array.from(el.childNodes).map(n => walk(n, ctx)).join('');
-        r += closePara();
-        return r;
-      }
-    }
+// "key: value" per line → object (blank lines and lines without a colon are ignored)
+function parseKeyValueLines(text) {
+  const out = {};
+  String(text || '').split(/\r?\n/).forEach(line => {
+    const i = line.indexOf(':');
+    if (i <= 0) return;
+    const key = line.slice(0, i).trim().toLowerCase();
+    const value = line.slice(i + 1).trim();
+    if (key && value) out[key] = value;
+  });
+  return out;
+}
 
-    if (el.tagName === 'BLOCKQUOTE') {
-      if (ctx.inTable) {
-        let inner = Array.from(el.childNodes).map(n => walk(n, ctx)).join('');
-        inner = trimHeadTail(inner);
-        return '\\i ' + inner + '\\i0 \\line ';
-      } else {
-        let r = openPara('\\li720\\sb120\\sa120\\i');
-        r += Array.from(el.childNodes).map(n => walk(n, ctx)).join('');
-        r += closePara();
-        return r;
-      }
-    }
+function resolveCodeTheme(settings = DEFAULT_SETTINGS) {
+  const base = CODE_THEMES[settings.codeTheme] || CODE_THEMES.light;
+  const theme = { ...base };
+  for (const [k, v] of Object.entries(parseKeyValueLines(settings.codeThemeOverrides))) {
+    if (k in base && parseColorToRGB(v)) theme[k] = v;
+  }
+  return theme;
+}
 
-    if (el.matches && el.matches('div.callout')) {
-      return renderCalloutAsSingleCell(el, walk);
-    }
+// "language-js" on <pre> or <code> → "js"
+function codeLanguage(pre) {
+  const classes = [...pre.classList, ...(pre.querySelector('code')?.classList || [])];
+  const cls = classes.find(c => c.startsWith('language-'));
+  return cls ? cls.slice('language-'.length) : '';
+}
 
-    if (el.tagName === 'P' || el.tagName === 'DIV') {
-      const style = (el.getAttribute('style') || '').toLowerCase();
-      const mBg = style.match(/(^|;)\s*background(?:-color)?\s*:\s*([^;]+)/);
+// ---------- Lists ----------
 
-      if (ctx.inList) {
-        let prefix = '', suffix = '';
-        if (mBg) {
-          const idx = colorIndex(parseColorToRGB(mBg[2].trim()));
-          if (idx) { prefix = `\\highlight${idx} `; suffix = '\\highlight0 '; }
-        }
-        let inner = trimHeadTail(Array.from(el.childNodes).map(n => walk(n, { ...ctx, inList: true })).join(''));
-        return prefix + inner + suffix;
-      }
+const LIST_BULLETS = [8226, 9702, 9642]; // • ◦ ▪
+// Ordered levels cycle 1. / a. / i. — RTF \levelnfc: 0 decimal, 4 lower alpha, 2 lower roman
+const LIST_NFC = [0, 4, 2];
 
-      if (ctx.inTable) {
-        let prefix = '', suffix = '';
-        if (mBg) {
-          const idx = colorIndex(parseColorToRGB(mBg[2].trim()));
-          if (idx) { prefix = `\\highlight${idx} `; suffix = '\\highlight0 '; }
-        }
-        let inner = trimHeadTail(Array.from(el.childNodes).map(n => walk(n, ctx)).join(''));
-        return prefix + inner + suffix + '\\line ';
-      } else {
-        let props = '\\sa120';
-        let prefix = '', suffix = '';
-        if (mBg) {
-          const idx = colorIndex(parseColorToRGB(mBg[2].trim()));
-          if (idx) { prefix = `\\highlight${idx} `; suffix = '\\highlight0 '; }
-        }
-        let inner = Array.from(el.childNodes).map(n => walk(n, ctx)).join('');
-        return openPara(props) + inner + closePara();
-      }
-    }
+function toRoman(n) {
+  const table = [[1000,'m'],[900,'cm'],[500,'d'],[400,'cd'],[100,'c'],[90,'xc'],[50,'l'],[40,'xl'],[10,'x'],[9,'ix'],[5,'v'],[4,'iv'],[1,'i']];
+  let out = '';
+  for (const [v, r] of table) while (n >= v) { out += r; n -= v; }
+  return out;
+}
 
-    if (el.tagName === 'UL' || el.tagName === 'OL') {
-      return renderList(el, { ...ctx, listLevel: (ctx.listLevel || 0) + 1 });
-    }
+function toAlpha(n) {
+  let out = '';
+  while (n > 0) { n--; out = String.fromCharCode(97 + (n % 26)) + out; n = Math.floor(n / 26); }
+  return out;
+}
 
-    if (el.tagName === 'PRE') {
-      let inner = trimHeadTail(Array.from(el.childNodes).map(n => walk(n, ctx)).join(''));
-      if (ctx.inTable) return '\\f1 ' + inner + '\\f0 \\line ';
-      return openPara('\\li720\\sa120\\f1') + inner + closePara();
-    }
+// Number as the list level would display it (used for \listtext and table cells)
+function formatListNumber(n, ilvl) {
+  const nfc = LIST_NFC[ilvl % LIST_NFC.length];
+  if (nfc === 4) return toAlpha(n);
+  if (nfc === 2) return toRoman(n);
+  return String(n);
+}
 
-    if (el.tagName === 'IMG') {
-      const srcRaw = (el.getAttribute('src') || '').trim();
-      const src = srcRaw || 'image';
-      const nameCandidate = src.split('/').pop() || src;
-      const name = nameCandidate.split('?')[0].split('#')[0] || 'image';
-      const textToShow = settings.showFullImagePath ? src : name;
-      const inner = encodeTextToRtf('🖼 ' + textToShow);
-      // Image placeholder: dashed border to differentiate from callouts
-      return renderSingleCellBox(inner, { borderStyle: 'dash' });
-    }
+// lists: [{ ordered, ilvl, start, mark }]; mark (a task checkbox) replaces the bullet on every level
+function listTablesRtf(lists) {
+  if (!lists.length) return '';
+  const level = (list, i) => {
+    const indent = 720 * (i + 1);
+    const start = i === list.ilvl ? list.start : 1;
+    const nfc = LIST_NFC[i % LIST_NFC.length];
+    const bullet = list.mark ? list.mark.charCodeAt(0) : LIST_BULLETS[i % LIST_BULLETS.length];
+    const text = list.ordered
+      ? `\\levelnfc${nfc}\\levelnfcn${nfc}\\leveljc0\\leveljcn0\\levelfollow0\\levelstartat${start}`
+        + `{\\leveltext\\'02\\'0${i}.;}{\\levelnumbers\\'01;}`
+      : `\\levelnfc23\\levelnfcn23\\leveljc0\\leveljcn0\\levelfollow0\\levelstartat1`
+        + `{\\leveltext\\'01\\u${bullet} ?;}{\\levelnumbers;}`;
+    return `{\\listlevel${text}\\fi-360\\li${indent}\\jclisttab\\tx${indent}}`;
+  };
+  const defs = lists.map((list, k) =>
+    `{\\list\\listtemplateid${k + 1}\\listsimple0 `
+    + Array.from({ length: 9 }, (_, i) => level(list, i)).join('')
+    + `{\\listname ;}\\listid${k + 1}}`
+  ).join('');
+  const overrides = lists.map((_, k) =>
+    `{\\listoverride\\listid${k + 1}\\listoverridecount0\\ls${k + 1}}`
+  ).join('');
+  return `{\\*\\listtable${defs}}\n{\\*\\listoverridetable${overrides}}\n`;
+}
 
-    if (el.tagName === 'A') {
-      const href = (el.getAttribute('href') || el.getAttribute('data-href') || '').trim();
-      const displayText = el.textContent && el.textContent.trim()
-        ? el.textContent.trim()
-        : href;
-      const disp = encodeTextToRtf(displayText || '');
+// 'checked' / 'unchecked' for Obsidian task items (- [ ] / - [x]), otherwise null
+function taskState(li) {
+  if (!li.classList.contains('task-list-item') && !li.hasAttribute('data-task')) return null;
+  const box = li.querySelector(':scope > input[type="checkbox"], :scope > p > input[type="checkbox"]');
+  const mark = li.getAttribute('data-task');
+  const checked = (mark != null && mark !== ' ' && mark !== '')
+    || li.classList.contains('is-checked')
+    || !!(box && (box.checked || box.hasAttribute('checked')));
+  return checked ? 'checked' : 'unchecked';
+}
 
-      if (!href) return disp;
+// A list item's own text, without its nested lists (what its direction is judged by)
+function listItemText(li) {
+  return Array.from(li.childNodes).filter(n => !/^(UL|OL)$/.test(n.nodeName)).map(n => n.textContent).join('');
+}
 
-      const isHttp = /^https?:\/\//i.test(href);
-      const isMail = /^mailto:/i.test(href);
+// ---------- Images ----------
 
-      if (isHttp || isMail) {
-        const urlEsc = escapeForFldinst(href);
-        const blue = (typeof linkBlueIndex === 'number' && linkBlueIndex > 0) ? `\\cf${linkBlueIndex} ` : '';
-        return `{\\field{\\*\\fldinst HYPERLINK "${urlEsc}"}{\\fldrslt ${blue}\\ul ${disp}\\ul0\\cf0}}`;
-      }
+const IMAGE_MIME = {
+  png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg',
+  gif: 'image/gif', webp: 'image/webp', svg: 'image/svg+xml', bmp: 'image/bmp'
+};
 
-      const show = displayText || href;
-      const icon = encodeTextToRtf('🔗 ');
-      const boxedWithUrl = '[' + show + '](' + href + ')';
-      return icon + encodeTextToRtf(boxedWithUrl);
-    }
+function pngSize(bytes) {
+  if (bytes.length < 24 || bytes[0] !== 0x89 || bytes[1] !== 0x50) return null;
+  const u32 = (o) => ((bytes[o] << 24) | (bytes[o + 1] << 16) | (bytes[o + 2] << 8) | bytes[o + 3]) >>> 0;
+  return { width: u32(16), height: u32(20) };
+}
 
-    if (['SPAN','B','STRONG','I','EM','U','S','DEL','CODE','MARK'].includes(el.tagName)) {
-      const inner = Array.from(el.childNodes).map(n => walk(n, ctx)).join('');
-      return withInline(el, inner);
+function jpegSize(bytes) {
+  if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) return null;
+  let i = 2;
+  while (i + 9 < bytes.length) {
+    if (bytes[i] !== 0xFF) { i++; continue; }
+    const marker = bytes[i + 1];
+    const len = (bytes[i + 2] << 8) | bytes[i + 3];
+    // SOF0..SOF15, excluding DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+      return { height: (bytes[i + 5] << 8) | bytes[i + 6], width: (bytes[i + 7] << 8) | bytes[i + 8] };
     }
+    i += 2 + len;
+  }
+  return null;
+}
 
-    return Array.from(el.childNodes).map(n => walk(n, ctx)).join('');
+function bytesToHex(bytes) {
+  let out = '';
+  for (let i = 0; i < bytes.length; i++) {
+    out += (bytes[i] < 16 ? '0' : '') + bytes[i].toString(16);
+    if (i % 64 === 63) out += '\n';
   }
+  return out;
+}
+
+function bytesToBase64(bytes) {
+  let bin = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin);
+}
+
+function base64ToBytes(b64) {
+  const bin = atob(b64);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+// Draws any browser-decodable image onto a canvas and re-encodes it as PNG
+async function rasterizeToPng(bytes, mime, size = null) {
+  const url = URL.createObjectURL(new Blob([bytes], { type: mime }));
+  try {
+    const img = await new Promise((res, rej) => {
+      const i = new Image();
+      i.onload = () => res(i);
+      i.onerror = () => rej(new Error('Cannot decode image'));
+      i.src = url;
+    });
+    const width  = Math.max(1, Math.round(size?.width  || img.naturalWidth  || 300));
+    const height = Math.max(1, Math.round(size?.height || img.naturalHeight || 150));
+    const canvas = document.createElement('canvas');
+    canvas.width = width; canvas.height = height;
+    canvas.getContext('2d').drawImage(img, 0, 0, width, height);
+    const dataUrl = canvas.toDataURL('image/png');
+    return { bytes: base64ToBytes(dataUrl.split(',')[1]), width, height };
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// CSS px size of a rendered <svg>: measured by HtmlRenderer (data-rtf-size), else width/height
+// attributes, Mermaid's style="max-width" or the viewBox
+function svgSize(svg) {
+  const measured = /^([\d.]+)x([\d.]+)$/.exec(svg.getAttribute('data-rtf-size') || '');
+  if (measured) return { width: Number(measured[1]), height: Number(measured[2]) };
+  const px = (v) => (/^\s*[\d.]+(px)?\s*$/.test(v || '') ? parseFloat(v) : NaN);
+  const box = (svg.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+  let width = px(svg.getAttribute('width'));
+  let height = px(svg.getAttribute('height'));
+  if (!(width > 0)) width = px(svg.style?.maxWidth) > 0 ? px(svg.style.maxWidth) : box[2];
+  if (!(height > 0) && box[2] > 0 && box[3] > 0) height = width * box[3] / box[2];
+  return width > 0 && height > 0 ? { width, height } : null;
+}
+
+// HTML labels in <foreignObject> taint the canvas in some engines: replaced by plain SVG text
+function flattenForeignObjects(svg) {
+  svg.querySelectorAll('foreignObject').forEach(fo => {
+    const num = (name) => parseFloat(fo.getAttribute(name)) || 0;
+    const text = svg.ownerDocument.createElementNS(SVG_NS, 'text');
+    text.setAttribute('x', String(num('x') + num('width') / 2));
+    text.setAttribute('y', String(num('y') + num('height') / 2));
+    text.setAttribute('text-anchor', 'middle');
+    text.setAttribute('dominant-baseline', 'central');
+    text.setAttribute('font-family', 'sans-serif');
+    text.setAttribute('font-size', '14');
+    text.textContent = fo.textContent.replace(/\s+/g, ' ').trim();
+    fo.replaceWith(text);
+  });
+}
+
+// Rendered <svg> → PNG picture at `scale` times its CSS size; a second attempt drops <foreignObject>
+async function svgToPicture(svg, size, scale = 2) {
+  const width = size.width * scale, height = size.height * scale;
+  const clone = svg.cloneNode(true);
+  clone.setAttribute('xmlns', SVG_NS);
+  if (!clone.getAttribute('viewBox')) clone.setAttribute('viewBox', `0 0 ${size.width} ${size.height}`);
+  clone.setAttribute('width', String(width));
+  clone.setAttribute('height', String(height));
+  clone.style.removeProperty('max-width');
+  const encode = () => new TextEncoder().encode(new XMLSerializer().serializeToString(clone));
+  let png;
+  try {
+    png = await rasterizeToPng(encode(), 'image/svg+xml', { width, height });
+  } catch (e) {
+    if (!clone.querySelector('foreignObject')) throw e;
+    flattenForeignObjects(clone);
+    png = await rasterizeToPng(encode(), 'image/svg+xml', { width, height });
+  }
+  return {
+    blip: 'pngblip', ...png, displayWidth: Math.round(size.width), displayHeight: Math.round(size.height)
+  };
+}
+
+// Turns raw image bytes into a picture descriptor: { blip, bytes, width, height }
+async function toPicture(bytes, mime) {
+  if (mime === 'image/png') {
+    const size = pngSize(bytes);
+    if (size) return { blip: 'pngblip', bytes, ...size };
+  }
+  if (mime === 'image/jpeg') {
+    const size = jpegSize(bytes);
+    if (size) return { blip: 'jpegblip', bytes, ...size };
+  }
+  const png = await rasterizeToPng(bytes, mime);
+  return { blip: 'pngblip', ...png };
+}
+
+// ---------- Math ----------
+
+const TEX_SYMBOLS = {
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+  theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π',
+  varpi: 'ϖ', rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ', upsilon: 'υ', phi: 'ϕ',
+  varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+  Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Upsilon: 'Υ',
+  Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+  cdot: '⋅', times: '×', div: '÷', pm: '±', mp: '∓', ast: '∗', star: '⋆', circ: '∘', bullet: '∙',
+  leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠', ne: '≠', approx: '≈', equiv: '≡', sim: '∼',
+  simeq: '≃', cong: '≅', propto: '∝', ll: '≪', gg: '≫',
+  infty: '∞', partial: '∂', nabla: '∇', sum: '∑', prod: '∏', coprod: '∐', int: '∫', iint: '∬',
+  iiint: '∭', oint: '∮', bigcup: '⋃', bigcap: '⋂',
+  to: '→', rightarrow: '→', leftarrow: '←', leftrightarrow: '↔', Rightarrow: '⇒', Leftarrow: '⇐',
+  Leftrightarrow: '⇔', implies: '⟹', iff: '⟺', mapsto: '↦', uparrow: '↑', downarrow: '↓',
+  in: '∈', notin: '∉', ni: '∋', subset: '⊂', subseteq: '⊆', supset: '⊃', supseteq: '⊇',
+  cup: '∪', cap: '∩', setminus: '∖', emptyset: '∅', varnothing: '∅', forall: '∀', exists: '∃',
+  neg: '¬', lnot: '¬', land: '∧', wedge: '∧', lor: '∨', vee: '∨', oplus: '⊕', otimes: '⊗',
+  perp: '⊥', parallel: '∥', angle: '∠', triangle: '△', degree: '°', prime: '′',
+  ldots: '…', dots: '…', cdots: '⋯', vdots: '⋮', ddots: '⋱',
+  langle: '⟨', rangle: '⟩', lfloor: '⌊', rfloor: '⌋', lceil: '⌈', rceil: '⌉',
+  lbrace: '{', rbrace: '}', vert: '|', Vert: '‖', mid: '∣', backslash: '\\',
+  hbar: 'ℏ', ell: 'ℓ', Re: 'ℜ', Im: 'ℑ', aleph: 'ℵ'
+};
+
+const TEX_BLACKBOARD = { R: 'ℝ', N: 'ℕ', Z: 'ℤ', Q: 'ℚ', C: 'ℂ', P: 'ℙ', H: 'ℍ' };
+
+// Combining marks for \hat{x} and friends (OMML accents)
+const TEX_ACCENTS = { hat: '̂', widehat: '̂', bar: '̅', overline: '̅', vec: '⃗',
+  dot: '̇', ddot: '̈', tilde: '̃', widetilde: '̃' };
+
+// $…$ and $$…$$ sources in document order, skipping code; Obsidian's rules for inline math:
+// no space after the opening $, none before the closing $, and no digit right after it
+function extractMath(md) {
+  const text = String(md || '')
+    .replace(/^([ \t]*)(`{3,}|~{3,})[^\n]*\n[\s\S]*?^\1\2[^\n]*$/gm, '')
+    .replace(/(`+)[\s\S]*?\1/g, '');
+  const re = /\\\$|\$\$([\s\S]+?)\$\$|\$(?!\s)((?:\\.|[^$\\\n])+?)(?<!\s)\$(?!\d)/g;
+  const display = [], inline = [];
+  for (const m of text.matchAll(re)) {
+    if (m[1] !== undefined) display.push(m[1].trim());
+    else if (m[2] !== undefined) inline.push(m[2]);
+  }
+  return { display, inline };
+}
+
+// OMML in RTF control words ({\mf{\mnum …}}) and in DOCX XML (<m:f><m:num>…</m:num></m:f>)
+const OMML_RTF = {
+  run: (t) => `{\\mr ${encodeTextToRtf(t)}}`,
+  frac: (num, den) => `{\\mf{\\mnum ${num}}{\\mden ${den}}}`,
+  rad: (deg, body) => deg
+    ? `{\\mrad{\\mdeg ${deg}}{\\me ${body}}}`
+    : `{\\mrad{\\mradPr{\\mdegHide on}}{\\mdeg }{\\me ${body}}}`,
+  acc: (chr, body) => `{\\macc{\\maccPr{\\mchr ${encodeTextToRtf(chr)}}}{\\me ${body}}}`,
+  sSubSup: (base, sub, sup) => `{\\msSubSup{\\me ${base}}{\\msub ${sub}}{\\msup ${sup}}}`,
+  sSup: (base, sup) => `{\\msSup{\\me ${base}}{\\msup ${sup}}}`,
+  sSub: (base, sub) => `{\\msSub{\\me ${base}}{\\msub ${sub}}}`
+};
+const OMML_XML = {
+  run: (t) => `<m:r><m:t xml:space="preserve">${xmlEscape(t)}</m:t></m:r>`,
+  frac: (num, den) => `<m:f><m:num>${num}</m:num><m:den>${den}</m:den></m:f>`,
+  rad: (deg, body) => deg
+    ? `<m:rad><m:deg>${deg}</m:deg><m:e>${body}</m:e></m:rad>`
+    : `<m:rad><m:radPr><m:degHide m:val="1"/></m:radPr><m:deg/><m:e>${body}</m:e></m:rad>`,
+  acc: (chr, body) => `<m:acc><m:accPr><m:chr m:val="${xmlEscape(chr)}"/></m:accPr><m:e>${body}</m:e></m:acc>`,
+  sSubSup: (base, sub, sup) => `<m:sSubSup><m:e>${base}</m:e><m:sub>${sub}</m:sub><m:sup>${sup}</m:sup></m:sSubSup>`,
+  sSup: (base, sup) => `<m:sSup><m:e>${base}</m:e><m:sup>${sup}</m:sup></m:sSup>`,
+  sSub: (base, sub) => `<m:sSub><m:e>${base}</m:e><m:sub>${sub}</m:sub></m:sSub>`
+};
+
+// TeX → OMML (RTF or, with OMML_XML, DOCX) for a common subset: fractions, roots, scripts,
+// accents, Greek letters and operators. Environments are flattened; unknown commands keep their name.
+function texToOmml(tex, omml = OMML_RTF) {
+  let i = 0;
+  const run = (t) => (t ? omml.run(t) : '');
+  const skipSpace = () => { while (i < tex.length && /\s/.test(tex[i])) i++; };
+
+  // {…} as plain text (for \text, \begin)
+  const rawGroup = () => {
+    skipSpace();
+    if (tex[i] !== '{') return '';
+    let depth = 0, start = i + 1;
+    for (; i < tex.length; i++) {
+      if (tex[i] === '\\') { i++; continue; }
+      if (tex[i] === '{') depth++;
+      else if (tex[i] === '}' && --depth === 0) break;
+    }
+    return tex.slice(start, i++);
+  };
+
+  // {…} or a single token, as an argument: \frac12 is ½ and x^23 is x²3, as in TeX
+  const arg = () => {
+    skipSpace();
+    if (tex[i] === '{') { i++; const r = seq(true); i++; return r; }
+    if (/\d/.test(tex[i] || '')) return run(tex[i++]);
+    return atom() || '';
+  };
+
+  const scripts = (base, sub, sup) => {
+    if (sub != null && sup != null) return omml.sSubSup(base, sub, sup);
+    if (sup != null) return omml.sSup(base, sup);
+    return omml.sSub(base, sub);
+  };
+
+  function command() {
+    const name = /[a-zA-Z]/.test(tex[i] || '') ? tex.slice(i).match(/^[a-zA-Z]+/)[0] : (tex[i] || '');
+    i += name.length;
+    if (/^[dt]?frac$/.test(name)) {
+      const num = arg(), den = arg();
+      return omml.frac(num, den);
+    }
+    if (name === 'sqrt') {
+      skipSpace();
+      let deg = '';
+      if (tex[i] === '[') {
+        const end = tex.indexOf(']', i);
+        deg = texToOmml(tex.slice(i + 1, end < 0 ? tex.length : end), omml);
+        i = end < 0 ? tex.length : end + 1;
+      }
+      return omml.rad(deg, arg());
+    }
+    if (TEX_ACCENTS[name]) return omml.acc(TEX_ACCENTS[name], arg());
+    if (/^(text|textrm|textit|mathrm|operatorname|mbox)$/.test(name)) return run(rawGroup());
+    if (name === 'mathbb') {
+      const letters = rawGroup();
+      return run(letters.replace(/[A-Z]/g, c => TEX_BLACKBOARD[c] || c));
+    }
+    if (/^(mathbf|mathit|mathsf|mathcal|boldsymbol|displaystyle|textstyle)$/.test(name)) return '';
+    if (name === 'begin' || name === 'end') { rawGroup(); return ''; }
+    if (/^(left|right|middle|[bB]igg?[lr]?)$/.test(name)) {
+      // The delimiter itself follows as a normal atom; "\left." has none
+      skipSpace();
+      if (tex[i] === '.') i++;
+      return '';
+    }
+    if (TEX_SYMBOLS[name]) return run(TEX_SYMBOLS[name]);
+    if (/^(,|;|:|!| |quad|qquad|\\)$/.test(name)) return run(' ');
+    return run(name); // \sin, \log, \lim… and anything unknown
+  }
+
+  function atom() {
+    const c = tex[i];
+    if (c === '{') return arg();
+    if (c === '\\') { i++; return command(); }
+    if (/\s/.test(c)) { i++; return null; }
+    if (c === '&' || c === '~') { i++; return run(' '); }
+    const num = tex.slice(i).match(/^\d+(?:\.\d+)?/);
+    if (num) { i += num[0].length; return run(num[0]); }
+    i++;
+    return run(c);
+  }
+
+  function seq(inGroup) {
+    const parts = [];
+    while (i < tex.length) {
+      const c = tex[i];
+      if (c === '}') { if (inGroup) break; i++; continue; }
+      if (c === '^' || c === '_') {
+        const base = parts.pop() || '';
+        let sub = null, sup = null;
+        while (tex[i] === '^' || tex[i] === '_') {
+          const kind = tex[i++];
+          if (kind === '^') sup = arg(); else sub = arg();
+          skipSpace();
+        }
+        parts.push(scripts(base, sub, sup));
+        continue;
+      }
+      const a = atom();
+      if (a) parts.push(a);
+    }
+    return parts.join('');
+  }
+
+  return seq(false);
+}
+
+// ---------- Rendered HTML (shared by the RTF, DOCX and ODT writers) ----------
+
+// #tags with settings.tags === 'styled': Obsidian's tag accent on a light tint of it
+const TAG_COLOR = '#7048e8';
+const TAG_BACKGROUND = '#eeeafc';
+
+// Marks bookmark targets with data-rtf-bookmark and returns their names: headings when
+// settings.internalLinks is 'bookmark' (first heading wins on duplicate names), and
+// ^block-ids (span.rtf-block-id from HtmlRenderer) in every link mode
+function assignBookmarks(body, settings = DEFAULT_SETTINGS) {
+  const bookmarks = new Set();
+  const mark = (el, name) => {
+    if (bookmarks.has(name)) return;
+    bookmarks.add(name);
+    el.setAttribute('data-rtf-bookmark', name);
+  };
+  if (settings.internalLinks === 'bookmark') {
+    body.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach(h => mark(h, bookmarkName(h.textContent)));
+  }
+  body.querySelectorAll('span.rtf-block-id').forEach(span =>
+    mark(span, bookmarkName(span.getAttribute('data-block-id'), 'b_')));
+  return bookmarks;
+}
+
+// Where a rendered [[link]] points per settings.internalLinks: { url }, { anchor } (a bookmark
+// name) or null for plain text
+function internalLinkTarget(a, settings, bookmarks) {
+  if (a.classList.contains('is-unresolved')) return null;
+  if (settings.internalLinks === 'obsidian') {
+    const uri = a.getAttribute('data-rtf-href');
+    return uri ? { url: uri } : null;
+  }
+  if (settings.internalLinks === 'bookmark') {
+    const target = (a.getAttribute('data-href') || a.getAttribute('href') || '').trim();
+    const hash = target.indexOf('#');
+    const sub = hash >= 0 ? target.slice(hash + 1).replace(/^#+/, '') : '';
+    // [[Note]] points at the note's title heading (present when notes are compiled together)
+    const name = sub.startsWith('^') ? bookmarkName(sub.slice(1), 'b_')
+      : bookmarkName(sub || target.split('/').pop());
+    if (bookmarks.has(name)) return { anchor: name };
+  }
+  return null;
+}
+
+// Obsidian footnote list items by id (fn-1-abc…), for [^1] and ^[inline] references
+function collectFootnotes(body) {
+  const footnotes = new Map();
+  body.querySelectorAll('section.footnotes li, div.footnotes li').forEach(li => {
+    const id = li.getAttribute('id') || li.getAttribute('data-footnote-id');
+    if (id) footnotes.set(id, li);
+  });
+  return footnotes;
+}
+
+// The footnote <li> a <sup> reference points to, or null
+function footnoteFor(sup, footnotes) {
+  const link = sup.querySelector('a[href^="#fn"]');
+  if (!link || !(sup.classList.contains('footnote-ref') || sup.hasAttribute('data-footnote-id') || link.classList.contains('footnote-link'))) return null;
+  let id = link.getAttribute('href').slice(1);
+  try { id = decodeURIComponent(id); } catch (e) { /* keep as is */ }
+  return footnotes.get(id) || null;
+}
+
+// What a rendered <a> becomes: { text, tag: true } for #tags, else { text, target } where target
+// is { url }, { anchor } or null for plain text (other schemes show as "🔗 [text](url)")
+function linkInfo(a, settings, bookmarks) {
+  const href = (a.getAttribute('href') || a.getAttribute('data-href') || '').trim();
+  const text = a.textContent.trim() || href;
+  if (a.classList.contains('tag')) return { text, tag: true };
+  if (a.classList.contains('internal-link')) return { text, target: internalLinkTarget(a, settings, bookmarks) };
+  if (/^(https?:\/\/|mailto:)/i.test(href)) return { text, target: { url: href } };
+  return { text: href ? `🔗 [${text}](${href})` : text, target: null };
+}
+
+// A callout's look and parts; the content is left out of folded callouts unless
+// settings.foldedCallouts is 'expand'
+function calloutParts(el, settings) {
+  return {
+    look: calloutLook(el.getAttribute('data-callout'), settings),
+    folded: el.getAttribute('data-callout-fold') === '-' && settings.foldedCallouts !== 'expand',
+    titleEl: el.querySelector(':scope > .callout-title'),
+    contentEl: el.querySelector(':scope > .callout-content')
+  };
+}
+
+// TeX of a rendered formula (data-tex from HtmlRenderer.tagMath), else MathJax's assistive text
+function mathSource(el) {
+  return el.getAttribute('data-tex')
+    ?? (el.querySelector('mjx-assistive-mml, math')?.textContent || el.textContent || '').trim();
+}
+
+// Table of contents entries: H1–H3 in document order
+function tocEntries(body) {
+  return Array.from(body.querySelectorAll('h1, h2, h3')).map(h => ({ level: Number(h.tagName[1]), text: h.textContent.trim() }));
+}
+
+// Checkbox shown in front of task list items
+const TASK_MARKS = { checked: '☑', unchecked: '☐' };
+
+// Character formatting from inline CSS (and <font color/face>). Unset properties stay undefined;
+// bold/italic/underline/strike can be false to switch inherited formatting off. size in half-points.
+function cssRunFormat(el, css = elementStyle(el), baseFs = 24) {
+  const run = {
+    color: cssColor(css.color) || (el.tagName === 'FONT' ? parseColorToRGB(el.getAttribute('color')) : null),
+    background: cssColor(css['background-color'] || css.background),
+    size: cssFontSize(css['font-size'], baseFs),
+    family: css['font-family'] || (el.tagName === 'FONT' ? el.getAttribute('face') : '') || ''
+  };
+  const weight = (css['font-weight'] || '').toLowerCase();
+  if (weight) run.bold = /^(bold|bolder)$/.test(weight) || parseInt(weight, 10) >= 600;
+  const fontStyle = (css['font-style'] || '').toLowerCase();
+  if (fontStyle) run.italic = /italic|oblique/.test(fontStyle);
+  const deco = (css['text-decoration-line'] || css['text-decoration'] || '').toLowerCase();
+  if (/underline/.test(deco)) run.underline = true;
+  if (/line-through/.test(deco)) run.strike = true;
+  if (/^none\b/.test(deco)) run.underline = run.strike = false;
+  const valign = (css['vertical-align'] || '').toLowerCase();
+  if (['super', 'sub', 'baseline'].includes(valign)) run.vert = valign;
+  return run;
+}
+
+// text-align (or the align attribute) → 'left' | 'center' | 'right' | 'justify' | ''
+function cssAlign(el, css = elementStyle(el)) {
+  const align = (css['text-align'] || el.getAttribute('align') || '').toLowerCase();
+  return { left: 'left', start: 'left', center: 'center', right: 'right', end: 'right', justify: 'justify' }[align] || '';
+}
+
+// Theme key (CODE_THEMES) of a syntax-highlight token span, or undefined
+function codeTokenKey(el) {
+  return Array.from(el.classList).map(c => CODE_TOKEN_CLASSES[c]).find(Boolean);
+}
+
+// "🖼 name" (or the full path, settings.showFullImagePath) for images that stay placeholders
+function imagePlaceholderText(img, settings = DEFAULT_SETTINGS) {
+  const src = (img.getAttribute('src') || '').trim() || 'image';
+  const name = (src.split('/').pop() || src).split('?')[0].split('#')[0] || 'image';
+  return '🖼 ' + (settings.showFullImagePath ? src : name);
+}
+
+// Natural size (or width/height hint) at 96 dpi in twips, scaled down to maxWidth
+function pictureSize(pict, maxWidth) {
+  const w = pict.displayWidth || pict.width;
+  const h = pict.displayHeight || Math.round(pict.height * w / (pict.width || 1));
+  let width = w * TWIPS_PER_PX, height = h * TWIPS_PER_PX;
+  if (width > maxWidth) {
+    height = Math.round(height * maxWidth / width);
+    width = maxWidth;
+  }
+  return { width, height };
+}
+
+// Header/footer template → text and { field: 'PAGE' | 'NUMPAGES' } parts; {{title}}, {{date}} filled in
+function templateParts(tpl, meta) {
+  return String(tpl || '').split(/(\{\{\s*(?:title|date|page|pages)\s*\}\})/).map(part => {
+    const m = part.match(/^\{\{\s*(title|date|page|pages)\s*\}\}$/);
+    if (!m) return part;
+    if (m[1] === 'page') return { field: 'PAGE' };
+    if (m[1] === 'pages') return { field: 'NUMPAGES' };
+    if (m[1] === 'title') return meta?.title || '';
+    return new Date().toLocaleDateString();
+  }).filter(part => part !== '');
+}
+
+// Cell grid with colspan/rowspan expanded: grid[row][col] = { td, top, left }
+function tableGrid(rows) {
+  const grid = rows.map(() => []);
+  rows.forEach((tr, r) => {
+    let c = 0;
+    for (const td of Array.from(tr.children)) {
+      if (td.tagName !== 'TD' && td.tagName !== 'TH') continue;
+      while (grid[r][c]) c++;
+      const cs = Math.max(1, parseInt(td.getAttribute('colspan'), 10) || 1);
+      const rs = Math.max(1, Math.min(parseInt(td.getAttribute('rowspan'), 10) || 1, rows.length - r));
+      for (let dr = 0; dr < rs; dr++) {
+        for (let dc = 0; dc < cs; dc++) grid[r + dr][c + dc] = { td, top: dr === 0, left: dc === 0 };
+      }
+      c += cs;
+    }
+  });
+  return grid;
+}
+
+// Column widths in twips from the longest line of text per column (spanning cells are shared
+// out), scaled down proportionally when the table is wider than the printable width
+function columnWidths(grid, cols, page) {
+  const charTwips = page.bodyFs * 5;  // ~half an em per character
+  const minWidth = 720, maxChars = 50, padding = 216;
+  const natural = new Array(cols).fill(minWidth);
+  for (const row of grid) {
+    for (let c = 0; c < cols; c++) {
+      const slot = row[c];
+      if (!slot || !slot.top || !slot.left) continue;
+      const span = Math.max(1, parseInt(slot.td.getAttribute('colspan'), 10) || 1);
+      const longest = Math.max(0, ...(slot.td.innerText ?? slot.td.textContent ?? '').split('\n').map(l => l.trim().length));
+      const need = (Math.min(longest, maxChars) * charTwips + padding) / span;
+      for (let k = 0; k < span && c + k < cols; k++) natural[c + k] = Math.max(natural[c + k], need);
+    }
+  }
+  const total = natural.reduce((a, b) => a + b, 0);
+  const scale = total > page.contentWidth ? page.contentWidth / total : 1;
+  return natural.map(w => Math.max(360, Math.round(w * scale)));
+}
+
+// ---------- HTML → RTF ----------
+
+// doc: per-document inputs gathered while rendering
+//   doc.pictures: id → picture
+//   doc.meta: { title, author, keywords, subject, created, properties } from frontmatter
+function htmlToRtf(html, settings = DEFAULT_SETTINGS, doc = {}) {
+  const pictures = doc.pictures || new Map();
+  const meta = doc.meta || null;
+  const codeTheme = resolveCodeTheme(settings);
+  const dom = new DOMParser().parseFromString(html, 'text/html');
+  if (meta && settings.frontmatterTable) insertPropertiesTable(dom, meta.properties);
+  const {
+    table: colorTable,
+    indexOf: colorIndex,
+    markIndex: markColorIndex,
+    linkBlueIndex,
+    calloutBgIndex
+  } = collectColors(dom.body, [
+    ...Object.values(codeTheme).map(parseColorToRGB),
+    ...Array.from(dom.body.querySelectorAll('div.callout')).flatMap(c => {
+      const look = calloutLook(c.getAttribute('data-callout'), settings);
+      return [look.color, look.tint];
+    }),
+    ...(settings.tags === 'styled' && dom.body.querySelector('a.tag')
+      ? [TAG_COLOR, TAG_BACKGROUND].map(parseColorToRGB) : [])
+  ]);
+
+  const page = pageSetup(settings);
+  const H_FS = page.headingFs;
+  const defaultFs = page.bodyFs;
+  const codeFs = page.codeFs;
+  const paraSa = page.spaceAfter;
+  const lineSp = page.lineSpacing !== 240 ? `\\sl${page.lineSpacing}\\slmult1` : '';
+  const codeBgIndex = colorIndex(parseColorToRGB(codeTheme.background));
+  const codeShading = codeBgIndex ? `\\cbpat${codeBgIndex}` : '';
+  const codeTextCf = colorIndex(parseColorToRGB(codeTheme.text)) || 0;
+
+  // Document codepage (\ansicpg): the fallback characters after \uN and the fonts' charset
+  const codepage = settings.codepage && settings.codepage !== 'auto'
+    ? rtfCodepage(Number(settings.codepage)).codepage
+    : detectCodepage([dom.body.textContent, meta?.title, meta?.author, meta?.subject].filter(Boolean).join('\n'));
+  const encode = (s) => encodeTextToRtf(s, codepage);
+
+  const trimHeadTail = (s) =>
+    (s ?? '')
+      .replace(/^[ \t]+/g, '')
+      .replace(/^(\\line\s*)+/g, '')
+      .replace(/(\\line\s*)+$/g, '');
+
+  const bookmarks = assignBookmarks(dom.body, settings);
+  const bookmarkRtf = (el) => {
+    const name = el.getAttribute('data-rtf-bookmark');
+    if (!name) return '';
+    const enc = encode(name);
+    return `{\\*\\bkmkstart ${enc}}{\\*\\bkmkend ${enc}}`;
+  };
+
+  // Native lists: every rendered <ul>/<ol> gets its own \list + \ls override
+  const lists = [];
+  const registerList = (ordered, ilvl, start, mark = '') => {
+    lists.push({ ordered, ilvl, start, mark });
+    return lists.length;
+  };
+
+  // Paragraph styles: emitted in {\stylesheet} and referenced with \sN. RTF readers don't
+  // inherit formatting from the style, so each paragraph repeats the style's properties.
+  const STYLES = {
+    normal:  { s: 0, name: 'Normal',      props: `\\sa${paraSa}\\f0\\fs${defaultFs}` },
+    h1:      { s: 1, name: 'heading 1',   props: `\\sb240\\sa${paraSa}\\keepn\\outlinelevel0\\f2\\b\\fs${H_FS.H1}` },
+    h2:      { s: 2, name: 'heading 2',   props: `\\sb240\\sa${paraSa}\\keepn\\outlinelevel1\\f2\\b\\fs${H_FS.H2}` },
+    h3:      { s: 3, name: 'heading 3',   props: `\\sb240\\sa${paraSa}\\keepn\\outlinelevel2\\f2\\b\\fs${H_FS.H3}` },
+    h4:      { s: 4, name: 'heading 4',   props: `\\sb240\\sa${paraSa}\\keepn\\outlinelevel3\\f2\\b\\fs${H_FS.H4}` },
+    h5:      { s: 5, name: 'heading 5',   props: `\\sb240\\sa${paraSa}\\keepn\\outlinelevel4\\f2\\b\\fs${H_FS.H5}` },
+    h6:      { s: 6, name: 'heading 6',   props: `\\sb240\\sa${paraSa}\\keepn\\outlinelevel5\\f2\\b\\fs${H_FS.H6}` },
+    quote:   { s: 7, name: 'Block Quote', props: `\\li720\\sb120\\sa${paraSa}\\i\\f0\\fs${defaultFs}` },
+    code:    { s: 8, name: 'Code',        props: `\\li720\\ri0\\sa${paraSa}${codeShading}\\f1\\fs${codeFs}` },
+    callout: { s: 9, name: 'Callout',     props: `\\f0\\fs${defaultFs}` }
+  };
+  const paraStyle = (key) => `\\s${STYLES[key].s}${STYLES[key].props}`;
+  const stylesheetRtf = () => '{\\stylesheet'
+    + Object.values(STYLES).map(st =>
+        `{\\s${st.s}${lineSp}${st.props}${st.s ? '\\sbasedon0' : ''}\\snext0 ${st.name};}`
+      ).join('')
+    + '}';
+
+  const openPara  = (props = '') => `{\\pard${lineSp}${props} `;
+  const closePara = () => `\\par}\\pard\\plain\\f0\\fs${defaultFs} `;
+
+  function withInline(el, inner) {
+    let prefix = '', suffix = '';
+    const tag = el.tagName;
+
+    if (/^(B|STRONG)$/.test(tag)) { prefix += '\\b '; suffix = '\\b0 ' + suffix; }
+    if (/^(I|EM)$/.test(tag))     { prefix += '\\i '; suffix = '\\i0 ' + suffix; }
+    if (tag === 'U')              { prefix += '\\ul '; suffix = '\\ul0 ' + suffix; }
+    if (tag === 'S' || tag === 'DEL') { prefix += '\\strike '; suffix = '\\strike0 ' + suffix; }
+    if (tag === 'CODE' && el.parentElement?.tagName !== 'PRE') { prefix += '\\f1 '; suffix = '\\f0 ' + suffix; }
+    if (tag === 'MARK' && typeof markColorIndex === 'number') {
+      prefix += `\\highlight${markColorIndex} `;
+      suffix  = '\\highlight0 ' + suffix;
+    }
+    if (tag === 'SUP') { prefix += '\\super '; suffix = '\\nosupersub ' + suffix; }
+    if (tag === 'SUB') { prefix += '\\sub '; suffix = '\\nosupersub ' + suffix; }
+
+    // Inline CSS goes into a group so the previous formatting comes back after it
+    const fmt = cssCharFormat(el);
+    return prefix + (fmt ? `{${fmt} ${inner}}` : inner) + suffix;
+  }
+
+  // Fonts named in inline styles, appended to the font table after \f0–\f2
+  const extraFonts = [];
+  const fontIndex = (family) => {
+    const names = String(family || '').split(',').map(f => f.trim().replace(/^["']|["']$/g, '')).filter(Boolean);
+    const name = names[0];
+    if (!name) return null;
+    const generic = { monospace: 1, 'ui-monospace': 1, 'sans-serif': 0, 'system-ui': 0, serif: null };
+    if (name.toLowerCase() in generic) return generic[name.toLowerCase()];
+    const known = [settings.bodyFont, settings.codeFont, settings.headingFont]
+      .findIndex(f => String(f || '').toLowerCase() === name.toLowerCase());
+    if (known >= 0) return known;
+    if (!extraFonts.includes(name)) extraFonts.push(name);
+    return extraFonts.indexOf(name) + 3;
+  };
+
+  // Script fonts go into the table with the charset their fallback bytes are in
+  const scriptFont = (name, charset) => {
+    if (name === (settings.bodyFont || 'Arial') && charset === rtfCodepage(codepage).charset) return 0;
+    let k = extraFonts.findIndex(f => f.name === name && f.charset === charset);
+    if (k < 0) k = extraFonts.push({ name, charset }) - 1;
+    return k + 3;
+  };
+
+  // Visible text: emoji in the emoji font, East Asian runs in the East Asian font (\dbch),
+  // Hebrew and Arabic runs right-to-left (\rtlch) with fallbacks in their own codepage
+  const scriptRun = ({ text, script }) => {
+    if (!script) return encode(text);
+    if (script === 'emoji') return `{\\f${scriptFont(settings.emojiFont || DEFAULT_SETTINGS.emojiFont, rtfCodepage(codepage).charset)} ${encode(text)}}`;
+    if (script === 'eastAsian') {
+      const cp = rtfCodepage(codepage).doubleByte ? codepage : eastAsianCodepage(text);
+      const f = scriptFont(settings.eastAsianFont || EAST_ASIAN_FONTS[cp], rtfCodepage(cp).charset);
+      return `{\\loch\\f${f}\\hich\\af${f}\\dbch\\af${f} ${encodeTextToRtf(text, cp)}}`;
+    }
+    const cp = script === 'hebrew' ? 1255 : 1256;
+    const f = scriptFont(settings.bodyFont || 'Arial', rtfCodepage(cp).charset);
+    return `{\\rtlch\\af${f}\\f${f} ${encodeTextToRtf(text, cp)}}`;
+  };
+  const encodeText = (txt) => scriptRuns(txt).map(scriptRun).join('');
+
+  // Character formatting from inline CSS (and <font color/face>); opts.background: false
+  // leaves the background to the caller (paragraph shading)
+  function cssCharFormat(el, css = elementStyle(el), opts = {}) {
+    const run = cssRunFormat(el, css, defaultFs);
+    let fmt = '';
+    const cf = colorIndex(run.color);
+    if (cf) fmt += `\\cf${cf}`;
+    const bg = opts.background === false ? null : colorIndex(run.background);
+    if (bg) fmt += `\\highlight${bg}`;
+    if (run.bold != null) fmt += run.bold ? '\\b' : '\\b0';
+    if (run.italic != null) fmt += run.italic ? '\\i' : '\\i0';
+    if (run.underline) fmt += '\\ul';
+    if (run.strike) fmt += '\\strike';
+    if (run.underline === false && run.strike === false) fmt += '\\ulnone\\strike0';
+    if (run.vert) fmt += { super: '\\super', sub: '\\sub', baseline: '\\nosupersub' }[run.vert];
+    if (run.size) fmt += `\\fs${run.size}`;
+    const f = fontIndex(run.family);
+    if (f != null) fmt += `\\f${f}`;
+    return fmt;
+  }
+
+  const paraAlign = (el, css = elementStyle(el)) =>
+    ({ left: '\\ql', center: '\\qc', right: '\\qr', justify: '\\qj' }[cssAlign(el, css)] || '');
+
+  // Right-to-left paragraphs (isRtlBlock) are right-aligned unless the element says otherwise
+  const paraProps = (el, css = elementStyle(el), leaf) => {
+    const align = paraAlign(el, css);
+    return isRtlBlock(el, undefined, leaf) ? '\\rtlpar' + (align || '\\qr') : align;
+  };
+
+  // Syntax-highlight token span (Prism classes) → theme color
+  function withToken(el, inner) {
+    const key = codeTokenKey(el);
+    const idx = key && colorIndex(parseColorToRGB(codeTheme[key]));
+    if (!idx) return inner;
+    const italic = key === 'comment';
+    return `\\cf${idx} ${italic ? '\\i ' : ''}${inner}${italic ? '\\i0 ' : ''}\\cf${codeTextCf} `;
+  }
+
+  // Boxed cell with optional border style (solid/dash/dot), border color and background
+  // (light gray by default). depth > 0: the box sits inside another table's cell and is
+  // written as a nested table (\itap / \nestcell / \nestrow).
+  const renderSingleCellBox = (innerRtf, opts = {}) => {
+    const inner = trimHeadTail(innerRtf || '');
+    const depth = opts.depth || 0;
+    const cellRight = page.contentWidth - depth * 360;
+
+    const bgIndex = opts.background || calloutBgIndex;
+    const bg = (typeof bgIndex === 'number' && bgIndex > 0)
+      ? `\\clshdng0\\clcbpat${bgIndex}`    // solid background, no foreground overlay
+      : '';
+
+    const br = opts.borderStyle === 'dash' ? '\\brdrdash'
+            : opts.borderStyle === 'dot'  ? '\\brdrdot'
+            : '\\brdrs'; // default solid
+    const cf = opts.borderColor ? `\\brdrcf${opts.borderColor}` : '';
+
+    const row = '\\trowd\\trgaph108\\trleft0 '
+      + `\\clbrdrt${br}\\brdrw10${cf}`
+      + `\\clbrdrl${br}\\brdrw${opts.accentLeft ? 40 : 10}${cf}`
+      + `\\clbrdrb${br}\\brdrw10${cf}`
+      + `\\clbrdrr${br}\\brdrw10${cf}`
+      + `${bg} `
+      + `\\cellx${cellRight} `;
+
+    if (depth > 0) {
+      return `\\par\\pard\\intbl\\itap${depth + 1}${paraStyle('callout')} ${inner}\\nestcell`
+        + `{\\*\\nesttableprops${row}\\nestrow}{\\nonesttables\\par}`
+        + `\\pard\\intbl\\itap${depth}${paraStyle('callout')} `;
+    }
+    return '{' + row
+      + `{\\pard\\intbl${paraStyle('callout')} ${inner}\\line \\cell}`
+      + '\\row}'
+      + `\\pard\\plain\\f0\\fs${defaultFs} `;
+  };
+
+  // Natural size (or width/height hint) at 96 dpi, scaled down to the printable width
+  const renderPicture = (pict) => {
+    const { width: goalW, height: goalH } = pictureSize(pict, page.contentWidth);
+    return `{\\pict\\${pict.blip}\\picw${pict.width}\\pich${pict.height}`
+      + `\\picwgoal${goalW}\\pichgoal${goalH}\n${bytesToHex(pict.bytes)}}`;
+  };
+
+  // MathJax output → picture, Word equation or the TeX source (settings.mathMode).
+  // data-tex is set by HtmlRenderer; without it only MathJax's assistive text is left.
+  const renderMath = (el, ctx) => {
+    const display = el.classList.contains('math-block');
+    const tex = mathSource(el);
+    const source = `{\\f1\\fs${codeFs} ${encodeText(tex)}}`;
+    const pict = pictures.get(el.getAttribute('data-rtf-pict'));
+    let r;
+    if (pict) r = renderPicture(pict);
+    else if (settings.mathMode === 'equation' && el.hasAttribute('data-tex')) {
+      const omml = `{\\*\\moMath ${texToOmml(tex)}}`;
+      // \mmathPict is what readers without math support show instead
+      r = `{\\mmath${display ? `{\\*\\moMathPara${omml}}` : omml}}{\\mmathPict ${source}}`;
+    } else r = source;
+    if (!display) return r;
+    if (ctx.inTable || ctx.inList || el.parentElement?.closest('p')) return `\\line ${r}\\line `;
+    return openPara(`${paraStyle(ctx.blockStyle || 'normal')}\\qc`) + r + closePara();
+  };
+
+  // Diagram picture from HtmlRenderer.renderDiagrams (a placeholder box when it has none),
+  // centered, with a "Figure N" caption (SEQ field) when settings.diagramCaptions is on
+  let figureCount = 0;
+  const renderDiagram = (el, ctx) => {
+    const pict = pictures.get(el.getAttribute('data-rtf-pict'));
+    const title = el.getAttribute('data-caption') || '';
+    if (!pict) return renderSingleCellBox(encodeText('🖼 ' + (title || 'Diagram')),
+      { borderStyle: 'dash', depth: ctx.tableDepth || 0 });
+    let caption = '';
+    if (settings.diagramCaptions) {
+      const n = ++figureCount;
+      caption = `Figure {\\field{\\*\\fldinst SEQ Figure \\\\* ARABIC}{\\fldrslt ${n}}}`
+        + (title ? encodeText(': ' + title) : '');
+    }
+    if (ctx.inTable || ctx.inList || el.parentElement?.closest('p')) {
+      return `\\line ${renderPicture(pict)}` + (caption ? `\\line \\i ${caption}\\i0 ` : '') + '\\line ';
+    }
+    return openPara(`${paraStyle('normal')}\\qc${caption ? '\\keepn' : ''}`) + renderPicture(pict) + closePara()
+      + (caption ? openPara(`${paraStyle('normal')}\\qc`) + `\\i\\fs${Math.max(12, defaultFs - 2)} ${caption}\\i0 ` + closePara() : '');
+  };
+
+  const footnotes = collectFootnotes(dom.body);
+  const endnotes = settings.footnotes === 'endnote';
+
+  // {\footnote} at the reference point; \ftnalt turns it into an endnote
+  const renderFootnote = (li) => {
+    const paras = [];
+    let loose = '';
+    li.childNodes.forEach(n => {
+      if (n.nodeType === ELEMENT_NODE && n.tagName === 'P') {
+        if (loose.trim()) { paras.push(loose); loose = ''; }
+        paras.push(walk(n, { inList: true }));
+      } else {
+        loose += walk(n, { inList: true });
+      }
+    });
+    if (loose.trim()) paras.push(loose);
+    const fs = Math.max(16, defaultFs - 4);
+    const body = paras.map(p => trimHeadTail(p).replace(/(\\u160\?|\s)+$/, ''))
+      .filter(Boolean)
+      .join(`\\par\\pard\\plain\\f0\\fs${fs} `);
+    return `{\\super\\chftn}{\\footnote${endnotes ? '\\ftnalt' : ''}\\pard\\plain\\f0\\fs${fs} {\\super\\chftn} ${body}}`;
+  };
+
+  // {{title}} / {{date}} as text, {{page}} / {{pages}} as PAGE / NUMPAGES fields
+  const expandTemplate = (tpl) => templateParts(tpl, meta).map(part =>
+    typeof part === 'string' ? encodeText(part) : `{\\field{\\*\\fldinst ${part.field}}{\\fldrslt 1}}`
+  ).join('');
+
+  const ALIGN = { left: '\\ql', center: '\\qc', right: '\\qr' };
+  const headerFooterGroup = (word, tpl, align) =>
+    `{\\${word}\\pard\\plain${ALIGN[align] || '\\qc'}\\f0\\fs${Math.max(16, defaultFs - 4)} ${expandTemplate(tpl || '')}\\par}`;
+
+  // Section header/footer groups; \titlepg switches page 1 to \headerf / \footerf
+  const headersFootersRtf = () => {
+    const first = !!settings.differentFirstPage;
+    if (!settings.headerTemplate && !settings.footerTemplate && !first) return '';
+    let out = '\\sectd' + (first ? '\\titlepg' : '') + '\n';
+    if (settings.headerTemplate) out += headerFooterGroup('header', settings.headerTemplate, settings.headerAlign);
+    if (settings.footerTemplate) out += headerFooterGroup('footer', settings.footerTemplate, settings.footerAlign);
+    if (first) {
+      out += headerFooterGroup('headerf', settings.firstPageHeaderTemplate, settings.headerAlign);
+      out += headerFooterGroup('footerf', settings.firstPageFooterTemplate, settings.footerAlign);
+    }
+    return out + '\n';
+  };
+
+  // Title, author, date and description centered on their own page
+  const renderTitlePage = () => {
+    const line = (text, props) => text ? openPara(`\\qc${props}`) + encodeText(text) + closePara() : '';
+    const date = meta.created ? meta.created.toLocaleDateString() : '';
+    return openPara(`\\sb${Math.round(page.paperH / 4)}`) + closePara()
+      + line(meta.title, `\\sa240\\f2\\b\\fs${H_FS.H1 + 8}`)
+      + line(meta.author, `\\sa120\\fs${defaultFs + 4}`)
+      + line(date, `\\sa120\\fs${defaultFs}`)
+      + line(meta.subject, `\\sb480\\i\\fs${defaultFs}`)
+      + '\\page ';
+  };
+
+  // TOC field over H1–H3; the result is prefilled so the list shows before Word updates it
+  const renderToc = () => {
+    const entries = tocEntries(dom.body).map(({ level, text }) =>
+      `{\\pard\\li${(level - 1) * 360}\\sa60 ${encodeText(text)}\\par}`).join('');
+    return openPara(`\\sa240\\f2\\b\\fs${H_FS.H2}`) + encodeText('Contents') + closePara()
+      + `{\\field{\\*\\fldinst TOC \\\\o "1-3" \\\\h \\\\z \\\\u}{\\fldrslt ${entries}}}`
+      + `\\pard\\plain\\f0\\fs${defaultFs} \\page `;
+  };
+
+  const renderHyperlink = (fldinst, disp) => {
+    const blue = (typeof linkBlueIndex === 'number' && linkBlueIndex > 0) ? `\\cf${linkBlueIndex} ` : '';
+    return `{\\field{\\*\\fldinst ${fldinst}}{\\fldrslt ${blue}\\ul ${disp}\\ul0\\cf0}}`;
+  };
+
+  // #tag according to settings.tags
+  const tagCf = colorIndex(parseColorToRGB(TAG_COLOR));
+  const tagBg = colorIndex(parseColorToRGB(TAG_BACKGROUND));
+  const renderTag = (disp) => {
+    if (settings.tags === 'remove') return '';
+    if (settings.tags !== 'styled' || !tagCf) return disp;
+    return `{\\cf${tagCf}${tagBg ? `\\chcbpat${tagBg}` : ''} ${disp}}`;
+  };
+
+  // HYPERLINK field to a URL or, with \\l, to a bookmark (linkInfo)
+  const renderLink = (target, disp) => target.url
+    ? renderHyperlink(`HYPERLINK "${escapeForFldinst(target.url, codepage)}"`, disp)
+    : renderHyperlink(`HYPERLINK \\\\l "${encode(target.anchor)}"`, disp);
+
+  // Callout as a 1×1 box in the type's colors; nested callouts become nested tables
+  function renderCalloutAsSingleCell(el, walkFn, ctx = {}) {
+    const depth = ctx.tableDepth || 0;
+    const cellCtx = { inTable: true, tableDepth: depth + 1 };
+    const { look, folded, titleEl, contentEl } = calloutParts(el, settings);
+
+    const parts = [];
+    if (titleEl) {
+      let t = Array.from(titleEl.childNodes).map(n => walkFn(n, cellCtx)).join('');
+      t = trimHeadTail(t) || encodeText(look.label);
+      const icon = settings.calloutIcons ? encodeText(look.icon + ' ') : '';
+      const cf = colorIndex(look.color);
+      parts.push(cf ? `\\cf${cf} \\b ${icon}${t}\\b0\\cf0 ` : `\\b ${icon}${t}\\b0`);
+    }
+    if (contentEl && !folded) {
+      let c = Array.from(contentEl.childNodes).map(n => walkFn(n, cellCtx)).join('');
+      c = trimHeadTail(c);
+      if (c) parts.push(c);
+    }
+    if (!titleEl && !contentEl) {
+      let all = Array.from(el.childNodes).map(n => walkFn(n, cellCtx)).join('');
+      all = trimHeadTail(all);
+      if (all) parts.push(all);
+    }
+
+    const inner = trimHeadTail(parts.filter(Boolean).join(' \\line '));
+    return renderSingleCellBox(inner, {
+      borderColor: colorIndex(look.color),
+      background: colorIndex(look.tint),
+      accentLeft: true,
+      depth
+    });
+  }
+
+  function renderLiBlockParagraph(el, ctx, baseIndentTwips) {
+    const fmt = cssCharFormat(el);
+    const [prefix, suffix] = fmt ? [`{${fmt} `, '}'] : ['', ''];
+    const inner = trimHeadTail(Array.from(el.childNodes).map(n => walk(n, { ...ctx, inList: true })).join(''));
+    if (!inner) return '';
+    if (ctx.inTable) {
+      return `{\\pard\\intbl\\li${baseIndentTwips}\\fi0 ${prefix}${inner}${suffix}\\line }`;
+    }
+    return openPara(`\\li${baseIndentTwips}\\fi0\\sa60`) + prefix + inner + suffix + closePara();
+  }
+
+  function splitLiPreservingOrder(li, ctx, level, baseIndentTwips) {
+    let headText = '';
+    let headTaken = false;
+    const tailPieces = [];
+
+    li.childNodes.forEach(n => {
+      if (n.nodeType === ELEMENT_NODE && (n.tagName === 'UL' || n.tagName === 'OL')) {
+        const r = renderList(n, { ...ctx, listLevel: level + 1 });
+        if (r) tailPieces.push({ type: 'list', rtf: r });
+        return;
+      }
+      if (n.nodeType === ELEMENT_NODE && (n.tagName === 'P' || n.tagName === 'DIV')) {
+        if (!headTaken) {
+          headText += trimHeadTail(Array.from(n.childNodes).map(c => walk(c, { ...ctx, inList: true })).join(''));
+          headTaken = true;
+        } else {
+          const r = renderLiBlockParagraph(n, ctx, baseIndentTwips);
+          if (r) tailPieces.push({ type: 'block', rtf: r });
+        }
+        return;
+      }
+      if (n.nodeType === ELEMENT_NODE && (n.tagName === 'PRE' || n.tagName === 'BLOCKQUOTE')) {
+        const r = renderLiBlockParagraph(n, ctx, baseIndentTwips);
+        if (r) tailPieces.push({ type: 'block', rtf: r });
+        return;
+      }
+      headText += walk(n, { ...ctx, inList: true });
+    });
+
+    headText = trimHeadTail(headText);
+    const tailRtf = tailPieces.map(p => p.rtf).join('');
+    return { headText, tailRtf };
+  }
+
+  function renderList(el, ctx) {
+    let out = '';
+    const level  = ctx.listLevel || 1;
+    const indent = 720 * level;
+    const ordered = el.tagName === 'OL';
+    const start = ordered ? (parseInt(el.getAttribute('start'), 10) || 1) : 1;
+    const ls = ctx.inTable ? 0 : registerList(ordered, level - 1, start);
+    // Task items are paragraphs of a list whose marker is their checkbox, one per state
+    const taskLists = {};
+    const listOf = (task) => task ? (taskLists[task] ||= registerList(false, level - 1, 1, TASK_MARKS[task])) : ls;
+    let n = start;
+
+    for (const li of el.children) {
+      if (li.tagName !== 'LI') continue;
+      const { headText, tailRtf } = splitLiPreservingOrder(li, ctx, level, indent);
+      const task = taskState(li);
+      const dir = isRtlBlock(li, listItemText(li), true) ? '\\rtlpar\\qr' : '';
+      const label = task
+        ? encodeText(TASK_MARKS[task])
+        : ordered ? encodeText(formatListNumber(n++, level - 1) + '.')
+        : `\\u${LIST_BULLETS[(level - 1) % LIST_BULLETS.length]}?`;
+
+      if (ctx.inTable) {
+        out += `\\li${indent} ${label} ${headText} \\li0 \\line `;
+      } else {
+        out += openPara(`${dir}\\ls${listOf(task)}\\ilvl${level - 1}\\li${indent}\\fi-360\\sa60`)
+             + `{\\listtext ${label}\\tab}` + headText + closePara();
+      }
+      out += tailRtf;
+    }
+    return out;
+  }
+
+  function walk(node, ctx = { inTable: false, inList: false, listLevel: 0 }) {
+    if (node.nodeType === TEXT_NODE) {
+      const s = node.nodeValue ?? '';
+      if (ctx.inTable && /^\s+$/.test(s)) return '';
+      return encodeText(s);
+    }
+    if (node.nodeType !== ELEMENT_NODE) return '';
+
+    const el = node;
+
+    if (el.tagName === 'BR')     return '\\line ';
+    if (el.tagName === 'TABLE')  return renderTable(el);
+
+    if (/^H[1-6]$/.test(el.tagName)) {
+      const sz = H_FS[el.tagName] || 32;
+      if (ctx.inTable) {
+        let inner = Array.from(el.childNodes).map(n => walk(n, ctx)).join('');
+        inner = trimHeadTail(inner);
+        return `\\f2\\b\\fs${sz} ${inner}\\b0\\f0\\fs${defaultFs} \\line `;
+      } else {
+        let r = openPara(paraStyle(el.tagName.toLowerCase()) + paraProps(el)) + bookmarkRtf(el);
+        r += Array.from(el.childNodes).map(n => walk(n, ctx)).join('');
+        r += closePara();
+        return r;
+      }
+    }
+
+    if (el.tagName === 'BLOCKQUOTE') {
+      if (ctx.inTable) {
+        let inner = Array.from(el.childNodes).map(n => walk(n, ctx)).join('');
+        inner = trimHeadTail(inner);
+        return '\\i ' + inner + '\\i0 \\line ';
+      } else if (Array.from(el.children).some(c => c.tagName === 'P')) {
+        // Quote paragraphs carry the Block Quote style themselves
+        return Array.from(el.childNodes)
+          .filter(n => n.nodeType !== TEXT_NODE || n.nodeValue.trim())
+          .map(n => walk(n, { ...ctx, blockStyle: 'quote' })).join('');
+      } else {
+        let r = openPara(paraStyle('quote') + paraProps(el));
+        r += Array.from(el.childNodes).map(n => walk(n, ctx)).join('');
+        r += closePara();
+        return r;
+      }
+    }
+
+    if (el.matches && el.matches('div.callout')) {
+      return renderCalloutAsSingleCell(el, walk, ctx);
+    }
+
+    // Footnotes: the list at the bottom is emitted at the reference points instead
+    if (el.matches && el.matches('section.footnotes, div.footnotes')) return '';
+    if (el.tagName === 'SUP') {
+      const li = footnoteFor(el, footnotes);
+      if (li) return renderFootnote(li);
+    }
+
+    // Markers inserted by compileNotes
+    if (el.matches && el.matches('div.rtf-toc')) return renderToc();
+    if (el.matches && el.matches('div.rtf-page-break')) return '\\page ';
+
+    if (el.matches && el.matches('.math-inline, .math-block')) return renderMath(el, ctx);
+    if (el.matches && el.matches('span.rtf-block-id')) return bookmarkRtf(el);
+    if (el.matches && el.matches('div.rtf-diagram')) return renderDiagram(el, ctx);
+
+    if (el.tagName === 'P' || el.tagName === 'DIV') {
+      const css = elementStyle(el);
+      const bg = colorIndex(cssColor(css['background-color'] || css.background));
+      const fmt = cssCharFormat(el, css, { background: false });
+      const styled = (inner) => fmt ? `{${fmt} ${inner}}` : inner;
+      // Inside lists and cells a background can only be a highlight; on its own it shades the paragraph
+      const highlighted = (inner) => bg ? `\\highlight${bg} ${inner}\\highlight0 ` : inner;
+
+      if (ctx.inList) {
+        let inner = trimHeadTail(Array.from(el.childNodes).map(n => walk(n, { ...ctx, inList: true })).join(''));
+        return highlighted(styled(inner));
+      }
+
+      if (ctx.inTable) {
+        let inner = trimHeadTail(Array.from(el.childNodes).map(n => walk(n, ctx)).join(''));
+        return highlighted(styled(inner)) + '\\line ';
+      } else {
+        let props = paraStyle(ctx.blockStyle || 'normal') + paraProps(el, css) + (bg ? `\\cbpat${bg}` : '');
+        let inner = Array.from(el.childNodes).map(n => walk(n, ctx)).join('');
+        return openPara(props) + styled(inner) + closePara();
+      }
+    }
+
+    if (el.tagName === 'UL' || el.tagName === 'OL') {
+      return renderList(el, { ...ctx, listLevel: (ctx.listLevel || 0) + 1 });
+    }
+
+    if (el.tagName === 'PRE') {
+      // Whitespace is significant: only the trailing newline(s) are dropped
+      let inner = Array.from(el.childNodes).map(n => walk(n, { ...ctx, inCode: true })).join('')
+        .replace(/(\\line\s*)+$/g, '');
+      if (codeTextCf) inner = `\\cf${codeTextCf} ${inner}\\cf0 `;
+      if (ctx.inTable) return `\\f1\\fs${codeFs} ` + inner + `\\f0\\fs${defaultFs} \\line `;
+
+      let caption = '';
+      const lang = codeLanguage(el);
+      if (settings.codeLanguageCaption && lang) {
+        caption = openPara(`${paraStyle('code')}\\sa0\\keepn`)
+          + `\\i\\fs${Math.max(12, codeFs - 4)} ${encodeText(lang)}\\i0 ` + closePara();
+      }
+      return caption + openPara(paraStyle('code')) + inner + closePara();
+    }
+
+    if (el.tagName === 'IMG') {
+      const pict = pictures.get(el.getAttribute('data-rtf-pict'));
+      if (pict) return renderPicture(pict);
+
+      const inner = encodeText(imagePlaceholderText(el, settings));
+      // Image placeholder: dashed border to differentiate from callouts
+      return renderSingleCellBox(inner, { borderStyle: 'dash', depth: ctx.tableDepth || 0 });
+    }
+
+    if (el.tagName === 'A') {
+      if (el.classList.contains('footnote-backref')) return '';
+      const { text, tag, target } = linkInfo(el, settings, bookmarks);
+      const disp = encodeText(text);
+      if (tag) return renderTag(disp);
+      return target ? renderLink(target, disp) : disp;
+    }
+
+    if (['SPAN','B','STRONG','I','EM','U','S','DEL','CODE','MARK','SUB','SUP','FONT'].includes(el.tagName)) {
+      const inner = Array.from(el.childNodes).map(n => walk(n, ctx)).join('');
+      if (ctx.inCode && el.classList.contains('token')) return withToken(el, inner);
+      return withInline(el, inner);
+    }
+
+    return Array.from(el.childNodes).map(n => walk(n, ctx)).join('');
+  }
+
+  const cellAlign = (td) => paraProps(td, elementStyle(td), true) || '\\ql';
 
   function renderTable(tbl) {
     const rows = Array.from(tbl.querySelectorAll('tr'));
-    if (!rows.length) return '';
-    const cols = Math.max(...rows.map(r => r.children.length));
-    const cellWidth = 1800;
+    if (!rows.length) return '';
+    const grid = tableGrid(rows);
+    const cols = Math.max(...grid.map(r => r.length));
+    const widths = columnWidths(grid, cols, page);
+
+    let out = '';
+    rows.forEach((tr, r) => {
+      const isHeader = tr.parentElement?.tagName === 'THEAD'
+        || Array.from(tr.children).every(td => td.tagName === 'TH');
+      let curX = 0;
+      out += '{\\trowd\\trleft0\\trgaph0'
+           + '\\trpaddl0\\trpaddr0\\trpaddt0\\trpaddb0'
+           + '\\trpadfl3\\trpadfr3\\trpadft3\\trpadfb3'
+           + (isHeader ? '\\trhdr' : '') + ' ';
+      for (let c = 0; c < cols; c++) {
+        const slot = grid[r][c];
+        curX += widths[c];
+        let merge = '';
+        if (slot) {
+          const td = slot.td;
+          if ((parseInt(td.getAttribute('colspan'), 10) || 1) > 1) merge += slot.left ? '\\clmgf' : '\\clmrg';
+          if ((parseInt(td.getAttribute('rowspan'), 10) || 1) > 1) merge += slot.top ? '\\clvmgf' : '\\clvmrg';
+        }
+        out += merge
+            +  '\\clbrdrt\\brdrs\\brdrw10'
+            +  '\\clbrdrl\\brdrs\\brdrw10'
+            +  '\\clbrdrb\\brdrs\\brdrw10'
+            +  '\\clbrdrr\\brdrs\\brdrw10'
+            +  `\\cellx${curX} `;
+      }
+
+      for (let c = 0; c < cols; c++) {
+        const slot = grid[r][c];
+        const td = slot && slot.top && slot.left ? slot.td : null;  // merged-away cells stay empty
+        let content = td
+          ? Array.from(td.childNodes).map(n => walk(n, { inTable: true, tableDepth: 1, listLevel: 0 })).join('')
+          : '';
+        content = content
+          .replace(/^(?:\\(?:line|par)\s*)+/g, '')
+          .replace(/^[\uFEFF\u200B\u00A0\s]+/g, '');
+        if (td && (td.tagName === 'TH' || isHeader) && content) content = `\\b ${content}\\b0 `;
+        const align = slot ? cellAlign(slot.td) : '\\ql';
+
+        out += `{\\pard\\intbl${align}\\sb0\\sa0\\sl0\\slmult1\\f0\\fs${defaultFs} ${content}\\cell}`;
+      }
+
+      out += '\\row}';
+      out += `\\pard\\plain\\f0\\fs${defaultFs} `;
+    });
+    return out;
+  }
+
+  // Body and headers first: list definitions and script fonts are collected while walking
+  let body = [...dom.body.childNodes].map(n => walk(n)).join('');
+  if (meta && settings.frontmatterTitlePage) body = renderTitlePage() + body;
+  const headersFooters = headersFootersRtf();
+
+  let rtf = `{\\rtf1\\ansi\\ansicpg${codepage}\\deff0\\uc1\\viewkind4\n`
+          + fontTableRtf(settings, extraFonts, rtfCodepage(codepage).charset, codepage) + '\n'
+          + colorTable + '\n'
+          + stylesheetRtf() + '\n'
+          + listTablesRtf(lists)
+          + (meta && settings.documentProperties ? infoRtf(meta, codepage) + '\n' : '')
+          + `\\paperw${page.paperW}\\paperh${page.paperH}`
+          + `\\margl${page.margL}\\margr${page.margR}\\margt${page.margT}\\margb${page.margB}`
+          + (page.landscape ? '\\landscape' : '')
+          + (footnotes.size ? (endnotes ? '\\fet1\\aenddoc\\aftnnar' : '\\fet0\\ftnbj\\ftnnar') : '') + '\n'
+          + headersFooters
+          + `\\f0\\fs${defaultFs} `;
+
+  rtf += body;
+  rtf += '}';
+
+  return rtf;
+}
+
+// ---------- HTML → document model (for DOCX and ODT) ----------
+
+// The rendered note as plain data, written out by docModelToDocx / docModelToOdt. htmlToRtf keeps
+// its own walk, since RTF nests tables, lists and fields in ways the model doesn't describe; what
+// both decide about the HTML (bookmarks, links, footnotes, callouts, math, task marks, table grids,
+// direction and scripts) lives in the shared helpers above.
+//   blocks: { type: 'para', style, align, rtl, shade, keepNext, spaceBefore, runs }
+//           { type: 'list', ordered, start, items: [{ task, blocks }] }   (task: 'checked' | 'unchecked', shown as the marker)
+//           { type: 'table', widths, rows: [{ header, cells }], box }   (callouts and placeholders: 1×1 box)
+//           { type: 'toc', entries: [{ level, text }] } | { type: 'pageBreak' }
+//   cells:  { blocks, colspan, rowspan } or { covered, colspan } for slots taken by a rowspan/colspan
+//   runs:   { text, script, b, i, u, strike, code, mark, font, size, color, shade, vert, link: { url } | { anchor } }
+//           { picture, width, height } | { footnote: blocks } | { bookmark } | { field: 'PAGE' | 'NUMPAGES' | 'SEQ', text }
+//           Formulas for Word equations also carry { math: tex, display }; writers without
+//           equations show them as the code text.
+// Styles: normal, h1–h6, quote, code, caption, title, footnote. Colors are 'RRGGBB', sizes
+// half-points, widths twips; "\n" and "\t" in text are line breaks and tabs. rtl and script
+// follow isRtlBlock and scriptRuns, as in htmlToRtf.
+function htmlToDocModel(html, settings = DEFAULT_SETTINGS, doc = {}) {
+  const pictures = doc.pictures || new Map();
+  const meta = doc.meta || null;
+  const codeTheme = resolveCodeTheme(settings);
+  const dom = new DOMParser().parseFromString(html, 'text/html');
+  if (meta && settings.frontmatterTable) insertPropertiesTable(dom, meta.properties);
+  const page = pageSetup(settings);
+  const bookmarks = assignBookmarks(dom.body, settings);
+  const footnotes = collectFootnotes(dom.body);
+  const hex = (color) => hexColor(typeof color === 'string' ? parseColorToRGB(color) : color);
+  let figureCount = 0;
+
+  // Paragraphs are opened by the first inline content of a flow and closed by the next block
+  const flow = (blocks, props = {}) => ({ blocks, props, para: null });
+  const addRun = (f, run) => {
+    if (!f.para) {
+      f.para = { type: 'para', style: 'normal', ...f.props, runs: [] };
+      f.blocks.push(f.para);
+    }
+    f.para.runs.push(run);
+  };
+  // Text split into script runs (emoji, East Asian, Hebrew, Arabic) that the writers give their own fonts
+  const addText = (f, fmt, text) => scriptRuns(text).forEach(({ text, script }) =>
+    addRun(f, script ? { ...fmt, text, script } : { ...fmt, text }));
+  const addBlock = (f, block) => { f.para = null; f.blocks.push(block); };
+  const box = (blocks, look) => ({
+    type: 'table', widths: [page.contentWidth], rows: [{ cells: [{ blocks }] }], box: look
+  });
+  const placeholder = (text) => box([{ type: 'para', style: 'normal', runs: [{ text }] }], { border: '000000', dashed: true });
+  const pictureRun = (pict) => ({ picture: pict, ...pictureSize(pict, page.contentWidth) });
+
+  // First family of a CSS font-family list; generic families fall back to the body/code font
+  const fontFamily = (family) => {
+    const name = String(family || '').split(',')[0].trim().replace(/^["']|["']$/g, '');
+    const generic = { monospace: settings.codeFont, 'ui-monospace': settings.codeFont, 'sans-serif': settings.bodyFont, 'system-ui': settings.bodyFont, serif: '' };
+    return (name.toLowerCase() in generic ? generic[name.toLowerCase()] : name) || null;
+  };
+
+  // Run properties set by an element's inline CSS
+  function cssRun(el, css = elementStyle(el), { background = true } = {}) {
+    const run = cssRunFormat(el, css, page.bodyFs);
+    const out = {};
+    if (run.color) out.color = hex(run.color);
+    if (background && run.background) out.shade = hex(run.background);
+    if (run.bold != null) out.b = run.bold;
+    if (run.italic != null) out.i = run.italic;
+    if (run.underline != null) out.u = run.underline;
+    if (run.strike != null) out.strike = run.strike;
+    if (run.vert) out.vert = run.vert === 'baseline' ? null : run.vert;
+    if (run.size) out.size = run.size;
+    const font = fontFamily(run.family);
+    if (font) out.font = font;
+    return out;
+  }
+
+  function inlineFormat(el, fmt, ctx) {
+    const tag = el.tagName;
+    const out = { ...fmt };
+    if (/^(B|STRONG)$/.test(tag)) out.b = true;
+    if (/^(I|EM)$/.test(tag)) out.i = true;
+    if (tag === 'U') out.u = true;
+    if (tag === 'S' || tag === 'DEL') out.strike = true;
+    if (tag === 'CODE' && !ctx.pre) out.code = true;
+    if (tag === 'MARK') out.mark = true;
+    if (tag === 'SUP') out.vert = 'super';
+    if (tag === 'SUB') out.vert = 'sub';
+    if (ctx.pre && el.classList.contains('token')) {
+      const key = codeTokenKey(el);
+      if (key && codeTheme[key]) {
+        out.color = hex(codeTheme[key]);
+        if (key === 'comment') out.i = true;
+      }
+    }
+    return { ...out, ...cssRun(el) };
+  }
+
+  const BLOCK_TAGS = new Set(['P', 'DIV', 'SECTION', 'ARTICLE', 'HEADER', 'FOOTER', 'ASIDE', 'NAV', 'MAIN',
+    'DETAILS', 'SUMMARY', 'FIGURE', 'FIGCAPTION', 'DL', 'DT', 'DD', 'ADDRESS']);
+
+  function walk(node, f, fmt = {}, ctx = {}) {
+    if (node.nodeType === TEXT_NODE) {
+      const text = ctx.pre ? node.nodeValue : node.nodeValue.replace(/[ \t\r\n]+/g, ' ');
+      if (text && (f.para || text.trim())) addText(f, fmt, text);
+      return;
+    }
+    if (node.nodeType !== ELEMENT_NODE) return;
+    const el = node;
+    const tag = el.tagName;
+    const children = (into, runFmt = fmt, childCtx = ctx) => el.childNodes.forEach(n => walk(n, into, runFmt, childCtx));
+
+    if (el.matches('section.footnotes, div.footnotes, a.footnote-backref, .copy-code-button, .callout-fold, .collapse-indicator, button, input, script, style, svg')) return;
+    if (el.matches('span.rtf-block-id')) {
+      const name = el.getAttribute('data-rtf-bookmark');
+      if (name) addRun(f, { bookmark: name });
+      return;
+    }
+    if (tag === 'BR') return addRun(f, { ...fmt, text: '\n' });
+    if (tag === 'SUP') {
+      const li = footnoteFor(el, footnotes);
+      if (li) return addRun(f, { footnote: footnoteBlocks(li) });
+    }
+    // Markers inserted by compileNotes
+    if (el.matches('div.rtf-toc')) {
+      addBlock(f, {
+        type: 'toc',
+        entries: tocEntries(dom.body)
+      });
+      return addBlock(f, { type: 'pageBreak' });
+    }
+    if (el.matches('div.rtf-page-break')) return addBlock(f, { type: 'pageBreak' });
+    if (el.matches('.math-inline, .math-block')) return math(el, f, fmt);
+    if (el.matches('div.rtf-diagram')) return diagram(el, f);
+    if (el.matches('div.callout')) return addBlock(f, callout(el));
+    if (tag === 'IMG') {
+      const pict = pictures.get(el.getAttribute('data-rtf-pict'));
+      return pict ? addRun(f, pictureRun(pict)) : addBlock(f, placeholder(imagePlaceholderText(el, settings)));
+    }
+    if (tag === 'A') return link(el, f, fmt);
+    if (tag === 'TABLE') return el.querySelector('tr') && addBlock(f, table(el));
+    if (tag === 'UL' || tag === 'OL') return addBlock(f, list(el));
+    if (tag === 'PRE') return code(el, f);
+    if (ctx.flat) return children(f, inlineFormat(el, fmt, ctx));
+
+    const heading = /^H([1-6])$/.exec(tag);
+    if (heading || tag === 'BLOCKQUOTE' || BLOCK_TAGS.has(tag)) {
+      const css = elementStyle(el);
+      const align = cssAlign(el, css);
+      const shade = hex(cssColor(css['background-color'] || css.background));
+      const props = { ...f.props };
+      if (heading) props.style = tag.toLowerCase();
+      if (tag === 'BLOCKQUOTE') props.style = 'quote';
+      if (align) props.align = align;
+      if (isRtlBlock(el)) props.rtl = true; else delete props.rtl;
+      if (shade) props.shade = shade;
+      const inner = flow(f.blocks, props);
+      f.para = null;
+      if (el.getAttribute('data-rtf-bookmark')) addRun(inner, { bookmark: el.getAttribute('data-rtf-bookmark') });
+      children(inner, { ...fmt, ...cssRun(el, css, { background: false }) });
+      f.para = null;
+      return;
+    }
+    children(f, inlineFormat(el, fmt, ctx));
+  }
+
+  function link(el, f, fmt) {
+    const { text, tag, target } = linkInfo(el, settings, bookmarks);
+    if (!text) return;
+    if (tag) {
+      if (settings.tags === 'remove') return;
+      const styled = settings.tags === 'styled' ? { color: hex(TAG_COLOR), shade: hex(TAG_BACKGROUND) } : {};
+      return addText(f, { ...fmt, ...styled }, text);
+    }
+    addText(f, target ? { ...fmt, link: target, color: '0000FF', u: true } : fmt, text);
+  }
+
+  // Picture, Word equation or the TeX source in the code font (settings.mathMode, as in htmlToRtf)
+  function math(el, f, fmt) {
+    const tex = mathSource(el);
+    const display = el.classList.contains('math-block');
+    const pict = pictures.get(el.getAttribute('data-rtf-pict'));
+    const run = pict ? pictureRun(pict) : { ...fmt, text: tex, code: true };
+    if (!pict && settings.mathMode === 'equation' && el.hasAttribute('data-tex')) Object.assign(run, { math: tex, display });
+    if (!display) return addRun(f, run);
+    addBlock(f, { type: 'para', style: 'normal', ...f.props, align: 'center', runs: [run] });
+  }
+
+  function diagram(el, f) {
+    const pict = pictures.get(el.getAttribute('data-rtf-pict'));
+    const title = el.getAttribute('data-caption') || '';
+    if (!pict) return addBlock(f, placeholder('🖼 ' + (title || 'Diagram')));
+    const caption = !!settings.diagramCaptions;
+    addBlock(f, { type: 'para', style: 'normal', align: 'center', keepNext: caption, runs: [pictureRun(pict)] });
+    if (!caption) return;
+    const n = ++figureCount;
+    addBlock(f, {
+      type: 'para', style: 'caption', align: 'center',
+      runs: [{ text: 'Figure ' }, { field: 'SEQ', text: String(n) }, ...(title ? [{ text: ': ' + title }] : [])]
+    });
+  }
+
+  function callout(el) {
+    const { look, folded, titleEl, contentEl } = calloutParts(el, settings);
+    const blocks = [];
+    if (titleEl) {
+      const title = flow(blocks);
+      const fmt = { b: true, color: hex(look.color) };
+      if (settings.calloutIcons) addText(title, fmt, look.icon + ' ');
+      const before = title.para ? title.para.runs.length : 0;
+      titleEl.childNodes.forEach(n => walk(n, title, fmt, { flat: true }));
+      if (!(title.para?.runs.slice(before) || []).some(r => r.text?.trim())) addRun(title, { ...fmt, text: look.label });
+    }
+    const content = flow(blocks);
+    if (contentEl && !folded) contentEl.childNodes.forEach(n => walk(n, content));
+    if (!titleEl && !contentEl) el.childNodes.forEach(n => walk(n, content));
+    return box(blocks, { border: hex(look.color), fill: hex(look.tint), accent: true });
+  }
+
+  function list(el) {
+    const ordered = el.tagName === 'OL';
+    const items = [];
+    for (const li of el.children) {
+      if (li.tagName !== 'LI') continue;
+      const blocks = [];
+      const f = flow(blocks, isRtlBlock(li, listItemText(li), true) ? { rtl: true } : {});
+      li.childNodes.forEach(n => walk(n, f));
+      const task = taskState(li);
+      // An empty task still needs a paragraph to carry its checkbox
+      if (task && blocks[0]?.type !== 'para') blocks.unshift({ type: 'para', style: 'normal', runs: [] });
+      items.push({ task, blocks });
+    }
+    return { type: 'list', ordered, start: ordered ? (parseInt(el.getAttribute('start'), 10) || 1) : 1, items };
+  }
+
+  function table(tbl) {
+    const rows = Array.from(tbl.querySelectorAll('tr'));
+    const grid = tableGrid(rows);
+    const cols = Math.max(1, ...grid.map(r => r.length));
+    return {
+      type: 'table',
+      widths: columnWidths(grid, cols, page),
+      rows: rows.map((tr, r) => {
+        const header = tr.parentElement?.tagName === 'THEAD' || Array.from(tr.children).every(td => td.tagName === 'TH');
+        const cells = [];
+        for (let c = 0; c < cols; c++) {
+          const slot = grid[r][c];
+          if (!slot) { cells.push({ blocks: [] }); continue; }
+          const colspan = Math.min(cols - c, Math.max(1, parseInt(slot.td.getAttribute('colspan'), 10) || 1));
+          if (!slot.top || !slot.left) { cells.push({ covered: true, mergeStart: slot.left, colspan }); continue; }
+          const blocks = [];
+          const align = cssAlign(slot.td);
+          const props = align ? { align } : {};
+          if (isRtlBlock(slot.td, undefined, true)) props.rtl = true;
+          const f = flow(blocks, props);
+          slot.td.childNodes.forEach(n => walk(n, f, header || slot.td.tagName === 'TH' ? { b: true } : {}));
+          const rowspan = Math.max(1, Math.min(parseInt(slot.td.getAttribute('rowspan'), 10) || 1, rows.length - r));
+          cells.push({ blocks, colspan, rowspan });
+        }
+        return { header, cells };
+      })
+    };
+  }
+
+  // Whitespace is significant: only the trailing newline(s) are dropped
+  function code(pre, f) {
+    const lang = codeLanguage(pre);
+    if (settings.codeLanguageCaption && lang) {
+      addBlock(f, { type: 'para', style: 'code', keepNext: true, runs: [{ text: lang, i: true, size: Math.max(12, page.codeFs - 4) }] });
+    }
+    const inner = flow(f.blocks, { style: 'code' });
+    f.para = null;
+    pre.childNodes.forEach(n => walk(n, inner, { color: hex(codeTheme.text) }, { pre: true }));
+    f.para = null;
+    const runs = inner.para?.runs || [];
+    while (runs.length && runs[runs.length - 1].text != null) {
+      const last = runs[runs.length - 1];
+      last.text = last.text.replace(/\n+$/, '');
+      if (last.text) break;
+      runs.pop();
+    }
+  }
+
+  function footnoteBlocks(li) {
+    const blocks = [];
+    const f = flow(blocks, { style: 'footnote' });
+    li.childNodes.forEach(n => walk(n, f));
+    return tidy(blocks);
+  }
+
+  // Title, author, date and description centered on their own page
+  function titlePage() {
+    const line = (text, run, props = {}) => text ? [{ type: 'para', style: 'normal', align: 'center', ...props, runs: [{ text, ...run }] }] : [];
+    return [
+      { type: 'para', style: 'normal', spaceBefore: Math.round(page.paperH / 4), keepEmpty: true, runs: [] },
+      ...line(meta.title, {}, { style: 'title' }),
+      ...line(meta.author, { size: page.bodyFs + 4 }),
+      ...line(meta.created ? meta.created.toLocaleDateString() : '', {}),
+      ...line(meta.subject, { i: true }, { spaceBefore: 480 }),
+      { type: 'pageBreak' }
+    ];
+  }
+
+  // Whitespace at paragraph edges goes, and so do paragraphs left empty
+  function tidy(blocks) {
+    return blocks.filter(b => {
+      if (b.type === 'list') b.items.forEach(item => { item.blocks = tidy(item.blocks); });
+      if (b.type === 'table') b.rows.forEach(row => row.cells.forEach(cell => { if (cell.blocks) cell.blocks = tidy(cell.blocks); }));
+      if (b.type !== 'para') return true;
+      if (b.style !== 'code') trimRuns(b.runs);
+      return b.keepEmpty || b.runs.some(r => r.text == null || r.text !== '');
+    });
+  }
+
+  const body = [];
+  const top = flow(body);
+  dom.body.childNodes.forEach(n => walk(n, top));
+  const blocks = tidy(body);
+  if (meta && settings.frontmatterTitlePage) blocks.unshift(...titlePage());
+
+  const first = !!settings.differentFirstPage;
+  return {
+    page,
+    blocks,
+    meta: meta && settings.documentProperties ? meta : null,
+    codeShade: hex(codeTheme.background),
+    header: settings.headerTemplate ? templateParts(settings.headerTemplate, meta) : null,
+    footer: settings.footerTemplate ? templateParts(settings.footerTemplate, meta) : null,
+    firstHeader: first ? templateParts(settings.firstPageHeaderTemplate, meta) : null,
+    firstFooter: first ? templateParts(settings.firstPageFooterTemplate, meta) : null
+  };
+}
+
+// { r, g, b } → 'RRGGBB'
+function hexColor(rgb) {
+  return rgb ? [rgb.r, rgb.g, rgb.b].map(v => v.toString(16).padStart(2, '0')).join('').toUpperCase() : null;
+}
+
+// Drops leading whitespace of the first text run and trailing whitespace of the last
+function trimRuns(runs) {
+  for (const [edge, re] of [['start', /^[ \n]+/], ['end', /[ \n]+$/]]) {
+    for (;;) {
+      const k = edge === 'start' ? runs.findIndex(r => r.text != null) : runs.map(r => r.text != null).lastIndexOf(true);
+      if (k < 0) break;
+      const text = runs[k].text.replace(re, '');
+      if (text) { runs[k] = { ...runs[k], text }; break; }
+      runs.splice(k, 1);
+    }
+  }
+  return runs;
+}
+
+function xmlEscape(s) {
+  return String(s ?? '')
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+const XML_DECL = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+// ---------- DOCX ----------
+
+const OOXML_REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const DOCX_NS = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"'
+  + ` xmlns:r="${OOXML_REL}"`
+  + ' xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing"'
+  + ' xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"'
+  + ' xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture"'
+  + ' xmlns:m="http://schemas.openxmlformats.org/officeDocument/2006/math"';
+const DOCX_TYPES = 'application/vnd.openxmlformats-officedocument.wordprocessingml';
+
+// Document model → .docx bytes (WordprocessingML parts in a zip)
+function docModelToDocx(model, settings = DEFAULT_SETTINGS) {
+  const { page } = model;
+  const endnotes = settings.footnotes === 'endnote';
+  const noteTag = endnotes ? 'endnote' : 'footnote';
+  const smallFs = Math.max(16, page.bodyFs - 4);
+  const media = new Map();    // picture → part name
+  const lists = [];           // numbering instances: { ordered, start, ilvl, mark }
+  const notes = [];           // footnote bodies (XML)
+  const parts = {};           // header/footer parts: name → XML
+  let rels = [];              // relationships of the part being written
+  let bookmarkId = 0, drawingId = 0;
+
+  const relId = (type, target, external = false) => {
+    const id = `rId${rels.length + 1}`;
+    rels.push({ id, type, target, external });
+    return id;
+  };
+  const relsXml = (list) => XML_DECL
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + list.map(r => `<Relationship Id="${r.id}" Type="${OOXML_REL}/${r.type}" Target="${xmlEscape(r.target)}"${r.external ? ' TargetMode="External"' : ''}/>`).join('')
+    + '</Relationships>';
+
+  const font = (name, eastAsia = name) => `<w:rFonts w:ascii="${xmlEscape(name)}" w:hAnsi="${xmlEscape(name)}" w:eastAsia="${xmlEscape(eastAsia)}" w:cs="${xmlEscape(name)}"/>`;
+  const shd = (fill) => `<w:shd w:val="clear" w:color="auto" w:fill="${fill}"/>`;
+  const size = (hp) => `<w:sz w:val="${hp}"/><w:szCs w:val="${hp}"/>`;
+
+  // Script runs: emoji in the emoji font, East Asian text in the East Asian font
+  function runFonts(r) {
+    const name = r.font || (r.code ? settings.codeFont : null);
+    if (r.script === 'emoji') return font(settings.emojiFont || DEFAULT_SETTINGS.emojiFont);
+    if (r.script === 'eastAsian') {
+      const eastAsia = settings.eastAsianFont || EAST_ASIAN_FONTS[eastAsianCodepage(r.text)];
+      return name ? font(name, eastAsia) : `<w:rFonts w:eastAsia="${xmlEscape(eastAsia)}"/>`;
+    }
+    return name ? font(name) : '';
+  }
+
+  // Properties in schema order (Word rejects out-of-order elements). Bold and italic are set
+  // for complex scripts too, and Hebrew and Arabic runs are right-to-left.
+  function runProps(r) {
+    let p = runFonts(r);
+    if (r.b != null) p += r.b ? '<w:b/><w:bCs/>' : '<w:b w:val="0"/><w:bCs w:val="0"/>';
+    if (r.i != null) p += r.i ? '<w:i/><w:iCs/>' : '<w:i w:val="0"/><w:iCs w:val="0"/>';
+    if (r.strike != null) p += r.strike ? '<w:strike/>' : '<w:strike w:val="0"/>';
+    if (r.color) p += `<w:color w:val="${r.color}"/>`;
+    if (r.size || r.code) p += size(r.size || page.codeFs);
+    if (r.mark) p += '<w:highlight w:val="yellow"/>';
+    if (r.u != null) p += `<w:u w:val="${r.u ? 'single' : 'none'}"/>`;
+    if (r.shade) p += shd(r.shade);
+    if (r.vert) p += `<w:vertAlign w:val="${r.vert === 'super' ? 'superscript' : 'subscript'}"/>`;
+    if (r.script === 'hebrew' || r.script === 'arabic') p += '<w:rtl/>';
+    return p ? `<w:rPr>${p}</w:rPr>` : '';
+  }
+
+  const textXml = (text) => text.split(/(\n|\t)/).map(part =>
+    part === '\n' ? '<w:br/>' : part === '\t' ? '<w:tab/>' : part ? `<w:t xml:space="preserve">${xmlEscape(part)}</w:t>` : ''
+  ).join('');
+
+  function drawingXml(r) {
+    const pict = r.picture;
+    const ext = pict.blip === 'jpegblip' ? 'jpeg' : 'png';
+    if (!media.has(pict)) media.set(pict, `media/image${media.size + 1}.${ext}`);
+    const id = relId('image', media.get(pict));
+    const cx = Math.round(r.width * 635), cy = Math.round(r.height * 635);  // twips → EMU
+    const n = ++drawingId;
+    return `<w:drawing><wp:inline distT="0" distB="0" distL="0" distR="0"><wp:extent cx="${cx}" cy="${cy}"/>`
+      + `<wp:docPr id="${n}" name="Picture ${n}"/>`
+      + '<a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture"><pic:pic>'
+      + `<pic:nvPicPr><pic:cNvPr id="${n}" name="image${n}.${ext}"/><pic:cNvPicPr/></pic:nvPicPr>`
+      + `<pic:blipFill><a:blip r:embed="${id}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>`
+      + `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>`
+      + '</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing>';
+  }
+
+  function runXml(r) {
+    if (r.bookmark) {
+      const id = bookmarkId++;
+      return `<w:bookmarkStart w:id="${id}" w:name="${xmlEscape(r.bookmark)}"/><w:bookmarkEnd w:id="${id}"/>`;
+    }
+    if (r.picture) return `<w:r>${drawingXml(r)}</w:r>`;
+    if (r.math != null) {
+      const omml = `<m:oMath>${texToOmml(r.math, OMML_XML)}</m:oMath>`;
+      return r.display ? `<m:oMathPara>${omml}</m:oMathPara>` : omml;
+    }
+    if (r.footnote) {
+      notes.push(r.footnote);
+      return `<w:r><w:rPr><w:vertAlign w:val="superscript"/></w:rPr><w:${noteTag}Reference w:id="${notes.length}"/></w:r>`;
+    }
+    if (r.field) {
+      const instr = r.field === 'SEQ' ? 'SEQ Figure \\* ARABIC' : r.field;
+      return `<w:fldSimple w:instr=" ${instr} "><w:r>${runProps(r)}<w:t>${xmlEscape(r.text || '1')}</w:t></w:r></w:fldSimple>`;
+    }
+    const xml = `<w:r>${runProps(r)}${textXml(r.text)}</w:r>`;
+    if (!r.link) return xml;
+    if (r.link.anchor) return `<w:hyperlink w:anchor="${xmlEscape(r.link.anchor)}">${xml}</w:hyperlink>`;
+    return `<w:hyperlink r:id="${relId('hyperlink', r.link.url, true)}">${xml}</w:hyperlink>`;
+  }
+
+  const STYLE_IDS = {
+    normal: 'Normal', h1: 'Heading1', h2: 'Heading2', h3: 'Heading3', h4: 'Heading4', h5: 'Heading5', h6: 'Heading6',
+    quote: 'Quote', code: 'Code', caption: 'Caption', title: 'Title', footnote: endnotes ? 'EndnoteText' : 'FootnoteText'
+  };
+
+  function paraXml(p, { numPr = '', indent = 0, prefix = '' } = {}) {
+    let pPr = `<w:pStyle w:val="${STYLE_IDS[p.style] || 'Normal'}"/>`;
+    if (p.keepNext) pPr += '<w:keepNext/>';
+    pPr += numPr;
+    if (p.shade) pPr += shd(p.shade);
+    if (p.rtl) pPr += '<w:bidi/>';
+    if (p.spaceBefore) pPr += `<w:spacing w:before="${p.spaceBefore}"/>`;
+    if (indent) pPr += `<w:ind w:left="${indent}"/>`;
+    if (p.align) pPr += `<w:jc w:val="${p.align === 'justify' ? 'both' : p.align}"/>`;
+    return `<w:p><w:pPr>${pPr}</w:pPr>${prefix}${p.runs.map(runXml).join('')}</w:p>`;
+  }
+
+  // Every list is a numbering instance of its own; nested lists are the next level. Task items
+  // belong to an instance whose marker is their checkbox, one per state.
+  function listXml(list, ilvl = 0) {
+    const numId = lists.push({ ordered: list.ordered, start: list.start, ilvl });
+    const taskIds = {};
+    const numOf = (task) => task
+      ? (taskIds[task] ||= lists.push({ ordered: false, start: 1, ilvl, mark: TASK_MARKS[task] }))
+      : numId;
+    const indent = 720 * (ilvl + 1);
+    return list.items.map(item => item.blocks.map((b, k) => {
+      if (b.type === 'list') return listXml(b, Math.min(ilvl + 1, 8));
+      if (b.type !== 'para') return blockXml(b);
+      if (k === 0) {
+        return paraXml(b, { numPr: `<w:numPr><w:ilvl w:val="${ilvl}"/><w:numId w:val="${numOf(item.task)}"/></w:numPr>` });
+      }
+      return paraXml(b, { indent });
+    }).join('')).join('');
+  }
+
+  function tableXml(t, depth) {
+    const { box } = t;
+    let borders;
+    if (box) {
+      const val = box.dashed ? 'dashed' : 'single';
+      borders = ['top', 'left', 'bottom', 'right'].map(side =>
+        `<w:${side} w:val="${val}" w:sz="${side === 'left' && box.accent ? 24 : 4}" w:space="0" w:color="${box.border || '000000'}"/>`).join('');
+    } else {
+      borders = ['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(side =>
+        `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="000000"/>`).join('');
+    }
+    // Boxes fill the width of whatever they sit in
+    const widths = box ? [Math.max(1440, page.contentWidth - depth * 360)] : t.widths;
+    const tblW = box ? '<w:tblW w:w="5000" w:type="pct"/>' : `<w:tblW w:w="${widths.reduce((a, b) => a + b, 0)}" w:type="dxa"/>`;
+    const tblPr = `<w:tblPr>${tblW}<w:tblBorders>${borders}</w:tblBorders>`
+      + (box ? '' : '<w:tblLayout w:type="fixed"/>')
+      + '<w:tblCellMar><w:top w:w="45" w:type="dxa"/><w:left w:w="108" w:type="dxa"/><w:bottom w:w="45" w:type="dxa"/><w:right w:w="108" w:type="dxa"/></w:tblCellMar>'
+      + '<w:tblLook w:val="0000"/></w:tblPr>';
+    const grid = `<w:tblGrid>${widths.map(w => `<w:gridCol w:w="${w}"/>`).join('')}</w:tblGrid>`;
+    const rows = t.rows.map(row => {
+      const cells = row.cells.map((cell, c) => {
+        if (cell.covered && !cell.mergeStart) return '';
+        const span = cell.colspan || 1;
+        let tcPr = `<w:tcW w:w="${widths.slice(c, c + span).reduce((a, b) => a + b, 0)}" w:type="dxa"/>`;
+        if (span > 1) tcPr += `<w:gridSpan w:val="${span}"/>`;
+        if (cell.covered) tcPr += '<w:vMerge/>';
+        else if (cell.rowspan > 1) tcPr += '<w:vMerge w:val="restart"/>';
+        if (box?.fill) tcPr += shd(box.fill);
+        let content = cell.covered ? '' : blocksXml(cell.blocks, depth + 1);
+        if (!content.endsWith('</w:p>')) content += '<w:p/>';  // a cell must end with a paragraph
+        return `<w:tc><w:tcPr>${tcPr}</w:tcPr>${content}</w:tc>`;
+      }).join('');
+      return `<w:tr>${row.header ? '<w:trPr><w:tblHeader/></w:trPr>' : ''}${cells}</w:tr>`;
+    }).join('');
+    return `<w:tbl>${tblPr}${grid}${rows}</w:tbl>`;
+  }
+
+  // TOC field over H1–H3; the result is prefilled so the list shows before Word updates it
+  function tocXml(toc) {
+    const entries = toc.entries.length ? toc.entries : [{ level: 1, text: '' }];
+    const title = paraXml({ style: 'normal', runs: [{ text: 'Contents', b: true, font: settings.headingFont, size: page.headingFs.H2 }] });
+    return title + entries.map((e, k) => {
+      const begin = k ? '' : '<w:r><w:fldChar w:fldCharType="begin"/></w:r>'
+        + '<w:r><w:instrText xml:space="preserve"> TOC \\o "1-3" \\h \\z \\u </w:instrText></w:r>'
+        + '<w:r><w:fldChar w:fldCharType="separate"/></w:r>';
+      const end = k === entries.length - 1 ? '<w:r><w:fldChar w:fldCharType="end"/></w:r>' : '';
+      return `<w:p><w:pPr><w:spacing w:after="60"/><w:ind w:left="${(e.level - 1) * 360}"/></w:pPr>${begin}`
+        + `<w:r>${textXml(e.text)}</w:r>${end}</w:p>`;
+    }).join('');
+  }
+
+  function blockXml(b, depth = 0) {
+    if (b.type === 'para') return paraXml(b);
+    if (b.type === 'list') return listXml(b);
+    if (b.type === 'table') return tableXml(b, depth);
+    if (b.type === 'toc') return tocXml(b);
+    if (b.type === 'pageBreak') return '<w:p><w:r><w:br w:type="page"/></w:r></w:p>';
+    return '';
+  }
+  // Word joins tables that touch, so consecutive ones get an empty paragraph between them
+  const blocksXml = (blocks, depth = 0) => blocks.map((b, k) =>
+    (b.type === 'table' && blocks[k - 1]?.type === 'table' ? '<w:p/>' : '') + blockXml(b, depth)).join('');
+
+  // Header/footer part; returns its relationship id in document.xml.rels
+  const docRels = [];
+  function headerFooter(kind, content, align) {
+    const part = kind === 'hdr' ? 'header' : 'footer';
+    const name = `${part}${Object.keys(parts).filter(p => p.startsWith(part)).length + 1}.xml`;
+    const runs = content.map(part => typeof part === 'string' ? { text: part, size: smallFs } : { field: part.field, size: smallFs });
+    parts[name] = XML_DECL + `<w:${kind} ${DOCX_NS}>`
+      + paraXml({ style: 'normal', align: ['left', 'center', 'right'].includes(align) ? align : 'center', runs })
+      + `</w:${kind}>`;
+    rels = docRels;
+    return relId(part, name);
+  }
+
+  // Body first: relationships, lists and notes are collected while writing it
+  rels = docRels;
+  relId('styles', 'styles.xml');
+  relId('settings', 'settings.xml');
+  relId('numbering', 'numbering.xml');
+  relId(`${noteTag}s`, `${noteTag}s.xml`);
+  let body = blocksXml(model.blocks);
+  if (!body.endsWith('</w:p>')) body += '<w:p/>';
+
+  const refs = [];
+  if (model.header) refs.push(`<w:headerReference w:type="default" r:id="${headerFooter('hdr', model.header, settings.headerAlign)}"/>`);
+  if (model.firstHeader) refs.push(`<w:headerReference w:type="first" r:id="${headerFooter('hdr', model.firstHeader, settings.headerAlign)}"/>`);
+  if (model.footer) refs.push(`<w:footerReference w:type="default" r:id="${headerFooter('ftr', model.footer, settings.footerAlign)}"/>`);
+  if (model.firstFooter) refs.push(`<w:footerReference w:type="first" r:id="${headerFooter('ftr', model.firstFooter, settings.footerAlign)}"/>`);
+  const sectPr = '<w:sectPr>' + refs.join('')
+    + `<w:pgSz w:w="${page.paperW}" w:h="${page.paperH}"${page.landscape ? ' w:orient="landscape"' : ''}/>`
+    + `<w:pgMar w:top="${page.margT}" w:right="${page.margR}" w:bottom="${page.margB}" w:left="${page.margL}" w:header="708" w:footer="708" w:gutter="0"/>`
+    + (model.firstHeader || model.firstFooter ? '<w:titlePg/>' : '')
+    + '</w:sectPr>';
+  const documentXml = XML_DECL + `<w:document ${DOCX_NS}><w:body>${body}${sectPr}</w:body></w:document>`;
+
+  // Notes have their own relationships (links and pictures inside them)
+  const noteRels = [];
+  rels = noteRels;
+  const noteXml = notes.map((blocks, k) => {
+    const ref = `<w:r><w:rPr><w:vertAlign w:val="superscript"/></w:rPr><w:${noteTag}Ref/></w:r><w:r><w:t xml:space="preserve"> </w:t></w:r>`;
+    const first = blocks[0]?.type === 'para' ? blocks[0] : { type: 'para', style: 'footnote', runs: [] };
+    const rest = blocks[0] === first ? blocks.slice(1) : blocks;
+    return `<w:${noteTag} w:id="${k + 1}">${paraXml({ ...first, style: 'footnote' }, { prefix: ref })}${blocksXml(rest)}</w:${noteTag}>`;
+  }).join('');
+  const notesXml = XML_DECL + `<w:${noteTag}s ${DOCX_NS}>`
+    + `<w:${noteTag} w:type="separator" w:id="-1"><w:p><w:r><w:separator/></w:r></w:p></w:${noteTag}>`
+    + `<w:${noteTag} w:type="continuationSeparator" w:id="0"><w:p><w:r><w:continuationSeparator/></w:r></w:p></w:${noteTag}>`
+    + noteXml + `</w:${noteTag}s>`;
+
+  const levelXml = (list, i) => {
+    const text = list.ordered ? `%${i + 1}.` : list.mark || String.fromCharCode(LIST_BULLETS[i % LIST_BULLETS.length]);
+    const format = list.ordered ? ['decimal', 'lowerLetter', 'lowerRoman'][i % 3] : 'bullet';
+    return `<w:lvl w:ilvl="${i}"><w:start w:val="${i === list.ilvl ? list.start : 1}"/><w:numFmt w:val="${format}"/>`
+      + `<w:lvlText w:val="${xmlEscape(text)}"/><w:lvlJc w:val="left"/>`
+      + `<w:pPr><w:ind w:left="${720 * (i + 1)}" w:hanging="360"/></w:pPr></w:lvl>`;
+  };
+  const numberingXml = XML_DECL + `<w:numbering ${DOCX_NS}>`
+    + lists.map((list, k) => `<w:abstractNum w:abstractNumId="${k}"><w:multiLevelType w:val="hybridMultilevel"/>`
+      + Array.from({ length: 9 }, (_, i) => levelXml(list, i)).join('') + '</w:abstractNum>').join('')
+    + lists.map((_, k) => `<w:num w:numId="${k + 1}"><w:abstractNumId w:val="${k}"/></w:num>`).join('')
+    + '</w:numbering>';
+
+  const H = page.headingFs;
+  const style = (id, name, pPr, rPr, extra = '') =>
+    `<w:style w:type="paragraph" w:styleId="${id}"><w:name w:val="${name}"/><w:basedOn w:val="Normal"/>${extra}<w:qFormat/>`
+    + (pPr ? `<w:pPr>${pPr}</w:pPr>` : '') + (rPr ? `<w:rPr>${rPr}</w:rPr>` : '') + '</w:style>';
+  const stylesXml = XML_DECL + `<w:styles ${DOCX_NS}>`
+    + `<w:docDefaults><w:rPrDefault><w:rPr>${font(settings.bodyFont)}${size(page.bodyFs)}</w:rPr></w:rPrDefault>`
+    + `<w:pPrDefault><w:pPr><w:spacing w:after="${page.spaceAfter}" w:line="${page.lineSpacing}" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>`
+    + '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>'
+    + [1, 2, 3, 4, 5, 6].map(n => style(`Heading${n}`, `heading ${n}`,
+      `<w:keepNext/><w:spacing w:before="240"/><w:outlineLvl w:val="${n - 1}"/>`,
+      `${font(settings.headingFont)}<w:b/><w:bCs/>${size(H['H' + n])}`, '<w:next w:val="Normal"/>')).join('')
+    + style('Title', 'Title', '<w:spacing w:after="240"/><w:jc w:val="center"/>', `${font(settings.headingFont)}<w:b/><w:bCs/>${size(H.H1 + 8)}`)
+    + style('Quote', 'Quote', '<w:spacing w:before="120"/><w:ind w:left="720"/>', '<w:i/><w:iCs/>')
+    + style('Code', 'Code', `${model.codeShade ? shd(model.codeShade) : ''}<w:ind w:left="720"/>`, `${font(settings.codeFont)}${size(page.codeFs)}`)
+    + style('Caption', 'caption', '<w:jc w:val="center"/>', `<w:i/><w:iCs/>${size(Math.max(12, page.bodyFs - 2))}`)
+    + style(STYLE_IDS.footnote, endnotes ? 'endnote text' : 'footnote text', '<w:spacing w:after="0" w:line="240" w:lineRule="auto"/>', size(smallFs))
+    + '</w:styles>';
+
+  const settingsXml = XML_DECL + `<w:settings ${DOCX_NS}>`
+    + (model.blocks.some(b => b.type === 'toc') ? '<w:updateFields w:val="true"/>' : '')
+    + `<w:${noteTag}Pr><w:${noteTag} w:id="-1"/><w:${noteTag} w:id="0"/></w:${noteTag}Pr>`
+    + '</w:settings>';
+
+  const meta = model.meta;
+  const iso = meta?.created && !isNaN(meta.created) ? meta.created.toISOString().replace(/\.\d{3}Z$/, 'Z') : '';
+  const coreXml = XML_DECL
+    + '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties"'
+    + ' xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/"'
+    + ' xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">'
+    + (meta?.title ? `<dc:title>${xmlEscape(meta.title)}</dc:title>` : '')
+    + (meta?.subject ? `<dc:subject>${xmlEscape(meta.subject)}</dc:subject>` : '')
+    + (meta?.author ? `<dc:creator>${xmlEscape(meta.author)}</dc:creator>` : '')
+    + (meta?.keywords ? `<cp:keywords>${xmlEscape(meta.keywords)}</cp:keywords>` : '')
+    + (iso ? `<dcterms:created xsi:type="dcterms:W3CDTF">${iso}</dcterms:created>` : '')
+    + '</cp:coreProperties>';
+
+  const override = (part, type) => `<Override PartName="/${part}" ContentType="${type}"/>`;
+  const contentTypesXml = XML_DECL
+    + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Default Extension="png" ContentType="image/png"/>'
+    + '<Default Extension="jpeg" ContentType="image/jpeg"/>'
+    + override('word/document.xml', `${DOCX_TYPES}.document.main+xml`)
+    + override('word/styles.xml', `${DOCX_TYPES}.styles+xml`)
+    + override('word/settings.xml', `${DOCX_TYPES}.settings+xml`)
+    + override('word/numbering.xml', `${DOCX_TYPES}.numbering+xml`)
+    + override(`word/${noteTag}s.xml`, `${DOCX_TYPES}.${noteTag}s+xml`)
+    + Object.keys(parts).map(name => override(`word/${name}`, `${DOCX_TYPES}.${name.startsWith('header') ? 'header' : 'footer'}+xml`)).join('')
+    + override('docProps/core.xml', 'application/vnd.openxmlformats-package.core-properties+xml')
+    + '</Types>';
+
+  const packageRels = XML_DECL
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + `<Relationship Id="rId1" Type="${OOXML_REL}/officeDocument" Target="word/document.xml"/>`
+    + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>'
+    + '</Relationships>';
+
+  return createZip([
+    { name: '[Content_Types].xml', data: contentTypesXml },
+    { name: '_rels/.rels', data: packageRels },
+    { name: 'docProps/core.xml', data: coreXml },
+    { name: 'word/document.xml', data: documentXml },
+    { name: 'word/_rels/document.xml.rels', data: relsXml(docRels) },
+    { name: 'word/styles.xml', data: stylesXml },
+    { name: 'word/settings.xml', data: settingsXml },
+    { name: 'word/numbering.xml', data: numberingXml },
+    { name: `word/${noteTag}s.xml`, data: notesXml },
+    ...(noteRels.length ? [{ name: `word/_rels/${noteTag}s.xml.rels`, data: relsXml(noteRels) }] : []),
+    ...Object.entries(parts).map(([name, data]) => ({ name: `word/${name}`, data })),
+    ...Array.from(media, ([pict, name]) => ({ name: `word/${name}`, data: pict.bytes }))
+  ]);
+}
+
+// ---------- ODT ----------
+
+const ODT_NS = 'xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0"'
+  + ' xmlns:style="urn:oasis:names:tc:opendocument:xmlns:style:1.0"'
+  + ' xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0"'
+  + ' xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0"'
+  + ' xmlns:draw="urn:oasis:names:tc:opendocument:xmlns:drawing:1.0"'
+  + ' xmlns:fo="urn:oasis:names:tc:opendocument:xmlns:xsl-fo-compatible:1.0"'
+  + ' xmlns:svg="urn:oasis:names:tc:opendocument:xmlns:svg-compatible:1.0"'
+  + ' xmlns:xlink="http://www.w3.org/1999/xlink"'
+  + ' xmlns:dc="http://purl.org/dc/elements/1.1/"'
+  + ' xmlns:meta="urn:oasis:names:tc:opendocument:xmlns:meta:1.0"';
+
+// Document model → .odt bytes (OpenDocument parts in a zip, mimetype first)
+function docModelToOdt(model, settings = DEFAULT_SETTINGS) {
+  const { page } = model;
+  const endnotes = settings.footnotes === 'endnote';
+  const smallFs = Math.max(16, page.bodyFs - 4);
+  const inch = (twips) => `${(twips / 1440).toFixed(4)}in`;
+  const pt = (hp) => `${hp / 2}pt`;
+  const media = new Map();        // picture → Pictures/… path
+  const fonts = new Set([settings.bodyFont, settings.codeFont, settings.headingFont].map(f => String(f || 'Arial')));
+  const autoStyles = new Map();   // definition → name
+  let noteCount = 0, frameCount = 0, tableCount = 0, sequenceCount = 0;
+
+  // Automatic styles are shared by everything with the same properties
+  const autoStyle = (family, attrs, props) => {
+    const key = `${family}|${attrs}|${props}`;
+    if (!autoStyles.has(key)) {
+      const name = `${{ paragraph: 'P', text: 'T', table: 'Tab', 'table-column': 'Col', 'table-cell': 'Cell', list: 'L' }[family]}${autoStyles.size + 1}`;
+      autoStyles.set(key, {
+        name,
+        xml: family === 'list'
+          ? `<text:list-style style:name="${name}">${props}</text:list-style>`
+          : `<style:style style:name="${name}" style:family="${family}"${attrs ? ' ' + attrs : ''}>${props}</style:style>`
+      });
+    }
+    return autoStyles.get(key).name;
+  };
+
+  // East Asian and Hebrew/Arabic runs are in the asian and complex slots, whose font, weight,
+  // style and size are set apart from the western ones; emoji get the emoji font
+  function textStyle(r) {
+    const p = [];
+    const fontName = (attr, name) => {
+      fonts.add(String(name));
+      p.push(`${attr}="${xmlEscape(String(name))}"`);
+    };
+    const slot = { eastAsian: '-asian', hebrew: '-complex', arabic: '-complex' }[r.script] || '';
+    if (r.script === 'emoji') fontName('style:font-name', settings.emojiFont || DEFAULT_SETTINGS.emojiFont);
+    else if (r.font || r.code) fontName('style:font-name', r.font || settings.codeFont);
+    if (r.script === 'eastAsian') fontName('style:font-name-asian', settings.eastAsianFont || EAST_ASIAN_FONTS[eastAsianCodepage(r.text)]);
+    else if (slot) fontName('style:font-name-complex', r.font || (r.code ? settings.codeFont : settings.bodyFont || 'Arial'));
+    if (r.b != null) p.push(`fo:font-weight="${r.b ? 'bold' : 'normal'}"`, ...(slot ? [`style:font-weight${slot}="${r.b ? 'bold' : 'normal'}"`] : []));
+    if (r.i != null) p.push(`fo:font-style="${r.i ? 'italic' : 'normal'}"`, ...(slot ? [`style:font-style${slot}="${r.i ? 'italic' : 'normal'}"`] : []));
+    if (r.u != null) p.push(r.u ? 'style:text-underline-style="solid" style:text-underline-width="auto" style:text-underline-color="font-color"' : 'style:text-underline-style="none"');
+    if (r.strike != null) p.push(`style:text-line-through-style="${r.strike ? 'solid' : 'none'}"`);
+    if (r.color) p.push(`fo:color="#${r.color}"`);
+    if (r.shade || r.mark) p.push(`fo:background-color="#${r.mark ? 'FFFF00' : r.shade}"`);
+    if (r.vert) p.push(`style:text-position="${r.vert} 58%"`);
+    if (r.size || r.code) p.push(`fo:font-size="${pt(r.size || page.codeFs)}"`, ...(slot ? [`style:font-size${slot}="${pt(r.size || page.codeFs)}"`] : []));
+    return p.length ? autoStyle('text', '', `<style:text-properties ${p.join(' ')}/>`) : null;
+  }
+
+  // Runs of spaces need <text:s/>, line breaks and tabs have elements of their own
+  const textXml = (text) => text.split(/(\n|\t)/).map(part => {
+    if (part === '\n') return '<text:line-break/>';
+    if (part === '\t') return '<text:tab/>';
+    return xmlEscape(part)
+      .replace(/^ /, '<text:s/>')
+      .replace(/ {2,}/g, m => ` <text:s text:c="${m.length - 1}"/>`);
+  }).join('');
+
+  function frameXml(r) {
+    const pict = r.picture;
+    if (!media.has(pict)) media.set(pict, `Pictures/image${media.size + 1}.${pict.blip === 'jpegblip' ? 'jpg' : 'png'}`);
+    return `<draw:frame draw:name="Image${++frameCount}" text:anchor-type="as-char" svg:width="${inch(r.width)}" svg:height="${inch(r.height)}">`
+      + `<draw:image xlink:href="${media.get(pict)}" xlink:type="simple" xlink:show="embed" xlink:actuate="onLoad"/></draw:frame>`;
+  }
+
+  function runXml(r) {
+    if (r.bookmark) return `<text:bookmark text:name="${xmlEscape(r.bookmark)}"/>`;
+    if (r.picture) return frameXml(r);
+    if (r.footnote) {
+      const n = ++noteCount;
+      return `<text:note text:id="note${n}" text:note-class="${endnotes ? 'endnote' : 'footnote'}">`
+        + `<text:note-citation>${n}</text:note-citation><text:note-body>${blocksXml(r.footnote) || '<text:p/>'}</text:note-body></text:note>`;
+    }
+    let xml;
+    if (r.field === 'PAGE') xml = '<text:page-number text:select-page="current">1</text:page-number>';
+    else if (r.field === 'NUMPAGES') xml = '<text:page-count>1</text:page-count>';
+    else if (r.field === 'SEQ') {
+      xml = `<text:sequence text:ref-name="refFigure${sequenceCount++}" text:name="Figure" text:formula="ooow:Figure+1" style:num-format="1">${xmlEscape(r.text)}</text:sequence>`;
+    } else xml = textXml(r.text);
+    const style = textStyle(r);
+    if (style) xml = `<text:span text:style-name="${style}">${xml}</text:span>`;
+    if (!r.link) return xml;
+    return `<text:a xlink:type="simple" xlink:href="${xmlEscape(r.link.url || '#' + r.link.anchor)}">${xml}</text:a>`;
+  }
+
+  const PARA_STYLES = {
+    normal: 'Standard', quote: 'Quotations', code: 'Preformatted_20_Text', caption: 'Caption',
+    title: 'Title', footnote: endnotes ? 'Endnote' : 'Footnote'
+  };
+  const ALIGN = { left: 'start', center: 'center', right: 'end', justify: 'justify' };
+
+  function paraXml(p, { indent = 0 } = {}) {
+    const level = /^h([1-6])$/.exec(p.style || '');
+    let style = level ? `Heading_20_${level[1]}` : PARA_STYLES[p.style] || 'Standard';
+    const props = [];
+    if (p.spaceBefore) props.push(`fo:margin-top="${inch(p.spaceBefore)}"`);
+    if (indent) props.push(`fo:margin-left="${inch(indent)}"`);
+    if (p.align) props.push(`fo:text-align="${ALIGN[p.align]}"`);
+    if (p.rtl) props.push('style:writing-mode="rl-tb"');
+    if (p.shade) props.push(`fo:background-color="#${p.shade}"`);
+    if (p.keepNext) props.push('fo:keep-with-next="always"');
+    if (props.length) style = autoStyle('paragraph', `style:parent-style-name="${style}"`, `<style:paragraph-properties ${props.join(' ')}/>`);
+    const content = p.runs.map(runXml).join('');
+    return level
+      ? `<text:h text:style-name="${style}" text:outline-level="${level[1]}">${content}</text:h>`
+      : `<text:p text:style-name="${style}">${content}</text:p>`;
+  }
+
+  // One list style per top-level list, with a level for each depth (bullets or numbers as nested);
+  // with a task mark, the style task items override it with: the checkbox on every level
+  function listStyle(list, mark = '') {
+    const ordered = [];
+    if (!mark) (function scan(l, depth) {
+      if (ordered[depth] == null) ordered[depth] = l.ordered;
+      l.items.forEach(item => item.blocks.forEach(b => { if (b.type === 'list') scan(b, depth + 1); }));
+    })(list, 0);
+    const levels = Array.from({ length: 10 }, (_, i) => {
+      const indent = inch(720 * (i + 1));
+      const position = '<style:list-level-properties text:list-level-position-and-space-mode="label-alignment">'
+        + `<style:list-level-label-alignment text:label-followed-by="listtab" text:list-tab-stop-position="${indent}" fo:text-indent="-${inch(360)}" fo:margin-left="${indent}"/>`
+        + '</style:list-level-properties>';
+      return !mark && ordered[Math.min(i, ordered.length - 1)]
+        ? `<text:list-level-style-number text:level="${i + 1}" style:num-suffix="." style:num-format="${['1', 'a', 'i'][i % 3]}">${position}</text:list-level-style-number>`
+        : `<text:list-level-style-bullet text:level="${i + 1}" text:bullet-char="${mark || String.fromCharCode(LIST_BULLETS[i % LIST_BULLETS.length])}">${position}</text:list-level-style-bullet>`;
+    }).join('');
+    return autoStyle('list', '', levels);
+  }
+
+  // List items hold paragraphs and lists only; tables in them are written as their paragraphs
+  const flatten = (blocks) => blocks.flatMap(b => b.type === 'table'
+    ? b.rows.flatMap(row => row.cells.flatMap(cell => flatten(cell.blocks || [])))
+    : [b]);
+
+  function listXml(list, style = listStyle(list), depth = 0) {
+    const items = list.items.map((item, k) => {
+      const body = flatten(item.blocks).map(b => {
+        if (b.type === 'list') return listXml(b, style, depth + 1);
+        if (b.type === 'para') return paraXml(b);
+        return '';
+      }).join('') || '<text:p/>';
+      const start = k === 0 && list.ordered && list.start !== 1 ? ` text:start-value="${list.start}"` : '';
+      const task = item.task ? ` text:style-override="${listStyle(list, TASK_MARKS[item.task])}"` : '';
+      return `<text:list-item${start}${task}>${body}</text:list-item>`;
+    }).join('');
+    return `<text:list${depth ? '' : ` text:style-name="${style}"`}>${items}</text:list>`;
+  }
+
+  function tableXml(t) {
+    const { box } = t;
+    const total = t.widths.reduce((a, b) => a + b, 0);
+    const tableStyle = autoStyle('table', '',
+      `<style:table-properties style:width="${inch(total)}"${box ? ' style:rel-width="100%"' : ''} table:align="left"/>`);
+    const columns = t.widths.map(w => `<table:table-column table:style-name="${autoStyle('table-column', '', `<style:table-column-properties style:column-width="${inch(w)}"/>`)}"/>`).join('');
+    let cellProps;
+    if (box) {
+      const line = `0.5pt ${box.dashed ? 'dashed' : 'solid'} #${box.border || '000000'}`;
+      cellProps = `fo:padding="0.06in" fo:border-top="${line}" fo:border-right="${line}" fo:border-bottom="${line}"`
+        + ` fo:border-left="${box.accent ? `2pt solid #${box.border}` : line}"`
+        + (box.fill ? ` fo:background-color="#${box.fill}"` : '');
+    } else cellProps = 'fo:padding="0.04in" fo:border="0.5pt solid #000000"';
+    const cellStyle = autoStyle('table-cell', '', `<style:table-cell-properties ${cellProps}/>`);
+
+    const rowXml = (row) => '<table:table-row>' + row.cells.map(cell => {
+      if (cell.covered) return '<table:covered-table-cell/>';
+      const spans = (cell.colspan > 1 ? ` table:number-columns-spanned="${cell.colspan}"` : '')
+        + (cell.rowspan > 1 ? ` table:number-rows-spanned="${cell.rowspan}"` : '');
+      return `<table:table-cell table:style-name="${cellStyle}" office:value-type="string"${spans}>${blocksXml(cell.blocks) || '<text:p/>'}</table:table-cell>`;
+    }).join('') + '</table:table-row>';
+    // Leading header rows repeat on every page
+    const headerCount = t.rows.findIndex(row => !row.header);
+    const head = headerCount < 0 ? t.rows.length : headerCount;
+    const rows = (head ? `<table:table-header-rows>${t.rows.slice(0, head).map(rowXml).join('')}</table:table-header-rows>` : '')
+      + t.rows.slice(head).map(rowXml).join('');
+    return `<table:table table:name="Table${++tableCount}" table:style-name="${tableStyle}">${columns}${rows}</table:table>`;
+  }
+
+  function tocXml(toc) {
+    return '<text:table-of-content text:name="Contents" text:protected="false">'
+      + '<text:table-of-content-source text:outline-level="3"><text:index-title-template text:style-name="Contents_20_Heading">Contents</text:index-title-template></text:table-of-content-source>'
+      + '<text:index-body><text:index-title text:name="Contents_Head"><text:p text:style-name="Contents_20_Heading">Contents</text:p></text:index-title>'
+      + toc.entries.map(e => `<text:p text:style-name="Contents_20_${e.level}">${textXml(e.text)}</text:p>`).join('')
+      + '</text:index-body></text:table-of-content>';
+  }
+
+  const pageBreakStyle = () => autoStyle('paragraph', 'style:parent-style-name="Standard"', '<style:paragraph-properties fo:break-before="page"/>');
+
+  function blockXml(b) {
+    if (b.type === 'para') return paraXml(b);
+    if (b.type === 'list') return listXml(b);
+    if (b.type === 'table') return tableXml(b);
+    if (b.type === 'toc') return tocXml(b);
+    if (b.type === 'pageBreak') return `<text:p text:style-name="${pageBreakStyle()}"/>`;
+    return '';
+  }
+  const blocksXml = (blocks) => blocks.map(blockXml).join('');
+
+  const body = blocksXml(model.blocks);
+  const fontDecls = '<office:font-face-decls>'
+    + Array.from(fonts, name => `<style:font-face style:name="${xmlEscape(name)}" svg:font-family="${xmlEscape(`'${name}'`)}"/>`).join('')
+    + '</office:font-face-decls>';
+
+  const contentXml = XML_DECL + `<office:document-content ${ODT_NS} office:version="1.3">`
+    + fontDecls
+    + `<office:automatic-styles>${Array.from(autoStyles.values(), s => s.xml).join('')}</office:automatic-styles>`
+    + '<office:body><office:text>'
+    + '<text:sequence-decls><text:sequence-decl text:display-outline-level="0" text:name="Figure"/></text:sequence-decls>'
+    + body
+    + '</office:text></office:body></office:document-content>';
+
+  // Named styles, page layout and headers/footers
+  const H = page.headingFs;
+  // Complex-script (Hebrew, Arabic) text in the same font; sizes for every slot
+  const textProps = (font, hp, extra = '') => `<style:text-properties style:font-name="${xmlEscape(font)}" style:font-name-complex="${xmlEscape(font)}"`
+    + ` fo:font-size="${pt(hp)}" style:font-size-asian="${pt(hp)}" style:font-size-complex="${pt(hp)}"${extra}/>`;
+  const BOLD = ' fo:font-weight="bold" style:font-weight-asian="bold" style:font-weight-complex="bold"';
+  const ITALIC = ' fo:font-style="italic" style:font-style-asian="italic" style:font-style-complex="italic"';
+  const named = (name, display, parent, paraProps, txtProps, extra = '') =>
+    `<style:style style:name="${name}" style:display-name="${display}" style:family="paragraph"${parent ? ` style:parent-style-name="${parent}"` : ''}${extra}>`
+    + (paraProps ? `<style:paragraph-properties ${paraProps}/>` : '') + (txtProps || '') + '</style:style>';
+  const hfParagraph = (name, display, align) =>
+    named(name, display, 'Standard', `fo:text-align="${ALIGN[align] || 'center'}" fo:margin-bottom="0in"`, `<style:text-properties fo:font-size="${pt(smallFs)}"/>`);
+  const stylesXml = XML_DECL + `<office:document-styles ${ODT_NS} office:version="1.3">`
+    + fontDecls
+    + '<office:styles>'
+    + '<style:default-style style:family="paragraph">'
+    + `<style:paragraph-properties fo:margin-top="0in" fo:margin-bottom="${inch(page.spaceAfter)}" fo:line-height="${Math.round(page.lineSpacing / 2.4)}%"/>`
+    + textProps(settings.bodyFont, page.bodyFs)
+    + '</style:default-style>'
+    + named('Standard', 'Default Paragraph Style', '', '', '', ' style:class="text"')
+    + [1, 2, 3, 4, 5, 6].map(n => named(`Heading_20_${n}`, `Heading ${n}`, 'Standard',
+      `fo:margin-top="${inch(240)}" fo:keep-with-next="always"`,
+      textProps(settings.headingFont, H['H' + n], BOLD),
+      ` style:next-style-name="Standard" style:default-outline-level="${n}" style:class="text"`)).join('')
+    + named('Title', 'Title', 'Standard', `fo:text-align="center" fo:margin-bottom="${inch(240)}"`,
+      textProps(settings.headingFont, H.H1 + 8, BOLD), ' style:class="chapter"')
+    + named('Quotations', 'Quotations', 'Standard', `fo:margin-left="${inch(720)}" fo:margin-top="${inch(120)}"`,
+      `<style:text-properties${ITALIC}/>`, ' style:class="html"')
+    + named('Preformatted_20_Text', 'Preformatted Text', 'Standard',
+      `fo:margin-left="${inch(720)}"${model.codeShade ? ` fo:background-color="#${model.codeShade}"` : ''}`,
+      textProps(settings.codeFont, page.codeFs), ' style:class="html"')
+    + named('Caption', 'Caption', 'Standard', 'fo:text-align="center"',
+      `<style:text-properties${ITALIC} fo:font-size="${pt(Math.max(12, page.bodyFs - 2))}"/>`, ' style:class="extra"')
+    + named(PARA_STYLES.footnote, endnotes ? 'Endnote' : 'Footnote', 'Standard', 'fo:margin-bottom="0in" fo:line-height="100%"',
+      `<style:text-properties fo:font-size="${pt(smallFs)}"/>`, ' style:class="extra"')
+    + named('Contents_20_Heading', 'Contents Heading', 'Standard', `fo:margin-bottom="${inch(240)}"`,
+      textProps(settings.headingFont, H.H2, BOLD), ' style:class="index"')
+    + [1, 2, 3].map(n => named(`Contents_20_${n}`, `Contents ${n}`, 'Standard',
+      `fo:margin-left="${inch((n - 1) * 360)}" fo:margin-bottom="${inch(60)}"`, '', ' style:class="index"')).join('')
+    + hfParagraph('Header', 'Header', settings.headerAlign)
+    + hfParagraph('Footer', 'Footer', settings.footerAlign)
+    + '<text:outline-style style:name="Outline">'
+    + Array.from({ length: 10 }, (_, i) => `<text:outline-level-style text:level="${i + 1}" style:num-format=""/>`).join('')
+    + '</text:outline-style>'
+    + `<text:notes-configuration text:note-class="footnote" style:num-format="1" text:start-value="0" text:footnotes-position="page" text:start-numbering-at="document"/>`
+    + `<text:notes-configuration text:note-class="endnote" style:num-format="1" text:start-value="0"/>`
+    + '</office:styles>'
+    + '<office:automatic-styles><style:page-layout style:name="pm1">'
+    + `<style:page-layout-properties fo:page-width="${inch(page.paperW)}" fo:page-height="${inch(page.paperH)}" style:print-orientation="${page.landscape ? 'landscape' : 'portrait'}"`
+    + ` fo:margin-top="${inch(page.margT)}" fo:margin-bottom="${inch(page.margB)}" fo:margin-left="${inch(page.margL)}" fo:margin-right="${inch(page.margR)}"/>`
+    + `<style:header-style><style:header-footer-properties fo:min-height="0in" fo:margin-bottom="${inch(120)}"/></style:header-style>`
+    + `<style:footer-style><style:header-footer-properties fo:min-height="0in" fo:margin-top="${inch(120)}"/></style:footer-style>`
+    + '</style:page-layout></office:automatic-styles>'
+    + '<office:master-styles><style:master-page style:name="Standard" style:page-layout-name="pm1">'
+    + headerFooterXml('header', model.header, model.firstHeader, 'Header')
+    + headerFooterXml('footer', model.footer, model.firstFooter, 'Footer')
+    + '</style:master-page></office:master-styles>'
+    + '</office:document-styles>';
+
+  // <style:header> plus <style:header-first> when the first page differs (empty when not set)
+  function headerFooterXml(kind, content, first, style) {
+    const para = (parts) => `<text:p text:style-name="${style}">${(parts || []).map(part =>
+      typeof part === 'string' ? textXml(part) : runXml({ field: part.field })).join('')}</text:p>`;
+    if (!content && !first) return '';
+    return `<style:${kind}>${para(content)}</style:${kind}>`
+      + (first ? `<style:${kind}-first>${para(first)}</style:${kind}-first>` : '');
+  }
+
+  const meta = model.meta;
+  const iso = meta?.created && !isNaN(meta.created) ? meta.created.toISOString().replace(/\.\d{3}Z$/, '') : '';
+  const metaXml = XML_DECL + `<office:document-meta ${ODT_NS} office:version="1.3"><office:meta>`
+    + '<meta:generator>Export to RTF (Obsidian)</meta:generator>'
+    + (meta?.title ? `<dc:title>${xmlEscape(meta.title)}</dc:title>` : '')
+    + (meta?.subject ? `<dc:subject>${xmlEscape(meta.subject)}</dc:subject>` : '')
+    + (meta?.author ? `<meta:initial-creator>${xmlEscape(meta.author)}</meta:initial-creator><dc:creator>${xmlEscape(meta.author)}</dc:creator>` : '')
+    + (meta?.keywords ? meta.keywords.split(/,\s*/).map(k => `<meta:keyword>${xmlEscape(k)}</meta:keyword>`).join('') : '')
+    + (iso ? `<meta:creation-date>${iso}</meta:creation-date>` : '')
+    + '</office:meta></office:document-meta>';
+
+  const pictureEntries = Array.from(media, ([pict, name]) => ({ name, data: pict.bytes }));
+  const manifestXml = XML_DECL
+    + '<manifest:manifest xmlns:manifest="urn:oasis:names:tc:opendocument:xmlns:manifest:1.0" manifest:version="1.3">'
+    + '<manifest:file-entry manifest:full-path="/" manifest:version="1.3" manifest:media-type="application/vnd.oasis.opendocument.text"/>'
+    + ['content.xml', 'styles.xml', 'meta.xml'].map(name => `<manifest:file-entry manifest:full-path="${name}" manifest:media-type="text/xml"/>`).join('')
+    + pictureEntries.map(({ name }) => `<manifest:file-entry manifest:full-path="${name}" manifest:media-type="image/${name.endsWith('.jpg') ? 'jpeg' : 'png'}"/>`).join('')
+    + '</manifest:manifest>';
+
+  return createZip([
+    { name: 'mimetype', data: 'application/vnd.oasis.opendocument.text' },
+    { name: 'META-INF/manifest.xml', data: manifestXml },
+    { name: 'content.xml', data: contentXml },
+    { name: 'styles.xml', data: stylesXml },
+    { name: 'meta.xml', data: metaXml },
+    ...pictureEntries
+  ]);
+}
+
+// ---------- Markdown → HTML renderer ----------
+
+// Fenced code blocks in document order: [{ lang, code }]
+function extractFences(md) {
+  const re = /^([ \t]*)(`{3,}|~{3,})[ \t]*([^\s`]*)[^\n]*\n([\s\S]*?)^\1\2[^\n]*$/gm;
+  return Array.from(String(md || '').matchAll(re), m => ({ lang: m[3].toLowerCase(), code: m[4].replace(/\n$/, '') }));
+}
+
+// Rendered <svg>s worth exporting: not UI icons, not parts of another SVG or of a formula
+function isDiagramSvg(svg) {
+  return !svg.classList.contains('svg-icon') && !svg.parentElement?.closest('svg')
+    && !svg.closest('.math, .callout-icon, .callout-fold, .collapse-indicator, button, a');
+}
+
+// Elements that code block processors (Mermaid, Dataview charts, …) render into
+const DIAGRAM_HOSTS = '.mermaid, [class*="block-language-"]';
+
+// Code blocks that plugins fill in asynchronously and that are still empty
+const PENDING_RENDER = ['dataview', 'dataviewjs', 'tasks', 'mermaid']
+  .map(lang => `.block-language-${lang}:empty`).join(', ');
+
+// Dataview, Tasks, Mermaid and other post-processors keep rendering after MarkdownRenderer.render
+// returns: resolves once `el` has not changed for `quietMs` and no block is pending, or at `timeoutMs`
+function waitForRender(el, { quietMs = 300, timeoutMs = 10000 } = {}) {
+  return new Promise(resolve => {
+    const deadline = Date.now() + timeoutMs;
+    let timer;
+    const schedule = () => {
+      clearTimeout(timer);
+      timer = setTimeout(check, Math.max(0, Math.min(quietMs, deadline - Date.now())));
+    };
+    const check = () => {
+      if (el.querySelector(PENDING_RENDER) && Date.now() < deadline) return schedule();
+      observer.disconnect();
+      resolve();
+    };
+    const observer = new MutationObserver(schedule);
+    observer.observe(el, { childList: true, subtree: true, characterData: true, attributes: true });
+    schedule();
+  });
+}
+
+class HtmlRenderer {
+  constructor(app, component, settings = DEFAULT_SETTINGS) {
+    this.app = app; this.component = component; this.settings = settings;
+    this.pictures = new Map(); // data-rtf-pict id → picture, passed to htmlToRtf
+  }
+  // depth: nesting level of note embeds being inlined (0 = the exported note itself)
+  async render(markdown, sourcePath = '', depth = 0) {
+    const container = document.createElement('div');
+    // Frontmatter is exported through doc.meta (document properties / title page / table)
+    markdown = stripComments(stripFrontmatter(markdown));
+    if (this.settings.renderWait === 'settle') {
+      // Off-screen but connected, so post-processors that measure or observe the page still run
+      container.style.cssText = 'position: fixed; left: -10000px; top: 0; width: 800px;';
+      document.body.appendChild(container);
+    }
+    try {
+      await MarkdownRenderer.render(this.app, markdown, container, sourcePath || ".", this.component);
+      // Only code block processors render late; a note without their blocks needs just the tick
+      if (this.settings.renderWait === 'settle' && container.querySelector(DIAGRAM_HOSTS)) {
+        // At least a second: with 0 'settle' would return before post-processors start
+        const seconds = Math.max(1, Number(this.settings.renderTimeout) || 0);
+        await waitForRender(container, { timeoutMs: seconds * 1000 });
+      } else {
+        await new Promise(res => setTimeout(res, 20)); // small tick to settle layout
+      }
+      this.tagDiagrams(container, markdown); // measured while still on the page
+    } finally {
+      container.remove();
+      container.removeAttribute('style');
+    }
+    container.querySelectorAll(".copy-code-button").forEach(btn => btn.remove());
+    this.tagBlockIds(container);
+    this.tagMath(container, markdown);
+    await this.inlineEmbeds(container, sourcePath, depth);
+    this.resolveInternalLinks(container, sourcePath);
+    if (this.settings.embedImages) await this.embedImages(container, sourcePath);
+    if (this.settings.mathMode === 'image') await this.renderMathImages(container);
+    await this.renderDiagrams(container);
+    return container.innerHTML;
+  }
+
+  // "text ^block-id": the id becomes an empty span.rtf-block-id at the start of its block, which
+  // htmlToRtf turns into a bookmark. A "^block-id" line on its own tags the block before it.
+  tagBlockIds(container) {
+    const BLOCKS = 'p, li, td, th, h1, h2, h3, h4, h5, h6';
+    const owner = (text) => text.parentElement?.closest(BLOCKS);
+    // Only the last text of its block carries an id: block → its last text
+    const lastText = new Map();
+    const walker = container.ownerDocument.createTreeWalker(container, 4 /* NodeFilter.SHOW_TEXT */);
+    for (let n = walker.nextNode(); n; n = walker.nextNode()) {
+      const block = owner(n);
+      if (block && n.nodeValue.trim() && !n.parentElement.closest('code, pre')) lastText.set(block, n);
+    }
+    lastText.forEach((text, block) => {
+      const m = /(^|\s)\^([A-Za-z0-9-]+)\s*$/.exec(text.nodeValue);
+      if (!m) return;
+      text.nodeValue = text.nodeValue.slice(0, m.index);
+
+      const anchor = document.createElement('span');
+      anchor.className = 'rtf-block-id';
+      anchor.setAttribute('data-block-id', m[2]);
+      let target = block;
+      if (block.tagName === 'P' && !block.textContent.trim() && block.previousElementSibling) {
+        const prev = block.previousElementSibling;
+        target = prev.matches(BLOCKS) ? prev : prev.querySelector(BLOCKS);
+        if (!target) return;
+        block.remove();
+      }
+      target.prepend(anchor);
+    });
+  }
+
+  // Diagram hosts get their code block's source (paired in order per language, like tagMath)
+  // and their SVGs the size they are displayed at
+  tagDiagrams(container, markdown) {
+    const fences = extractFences(markdown);
+    const hosts = Array.from(container.querySelectorAll(DIAGRAM_HOSTS))
+      .filter(el => !el.parentElement?.closest(DIAGRAM_HOSTS));
+    const langOf = (host) => host.classList.contains('mermaid') ? 'mermaid'
+      : Array.from(host.classList).find(c => c.startsWith('block-language-')).slice('block-language-'.length);
+    for (const lang of new Set(hosts.map(langOf))) {
+      const sources = fences.filter(f => f.lang === lang);
+      const rendered = hosts.filter(h => langOf(h) === lang);
+      if (sources.length !== rendered.length) continue;
+      rendered.forEach((host, k) => {
+        host.setAttribute('data-diagram-lang', lang);
+        host.setAttribute('data-diagram-source', sources[k].code);
+      });
+    }
+    container.querySelectorAll('svg').forEach(svg => {
+      if (!svg.isConnected || !isDiagramSvg(svg)) return;
+      const { width, height } = svg.getBoundingClientRect();
+      if (width > 0 && height > 0) svg.setAttribute('data-rtf-size', `${Math.round(width)}x${Math.round(height)}`);
+    });
+  }
+
+  // Rendered SVGs → div.rtf-diagram with a PNG picture; if rasterizing fails, the diagram's
+  // source as a code block, or (without a source) an empty div.rtf-diagram for a placeholder
+  async renderDiagrams(container) {
+    for (const svg of Array.from(container.querySelectorAll('svg')).filter(isDiagramSvg)) {
+      const host = svg.closest(DIAGRAM_HOSTS);
+      const lang = host?.getAttribute('data-diagram-lang') || '';
+      const source = host?.getAttribute('data-diagram-source');
+      // The host goes as a whole unless it holds more than the diagram (a chart's legend, say)
+      const target = host && host.textContent.trim() === svg.textContent.trim() ? host : svg;
+
+      const diagram = document.createElement('div');
+      diagram.className = 'rtf-diagram';
+      const title = svg.querySelector(':scope > title')?.textContent.trim() || svg.getAttribute('aria-label');
+      diagram.setAttribute('data-caption', title || (lang ? `${lang[0].toUpperCase()}${lang.slice(1)} diagram` : ''));
+      try {
+        const size = svgSize(svg);
+        if (!size) throw new Error('Diagram has no size');
+        const id = String(this.pictures.size + 1);
+        this.pictures.set(id, await svgToPicture(svg, size));
+        diagram.setAttribute('data-rtf-pict', id);
+      } catch (e) {
+        console.warn('RTF export: diagram not rasterized', e);
+        if (source != null) {
+          const pre = document.createElement('pre');
+          const code = pre.appendChild(document.createElement('code'));
+          code.className = `language-${lang}`;
+          code.textContent = source + '\n';
+          host.replaceWith(pre);
+          continue;
+        }
+      }
+      target.replaceWith(diagram);
+    }
+  }
+
+  // MathJax keeps no TeX in its output: pair the rendered formulas with the sources, in order.
+  // When the counts differ (math from embeds or plugins, $ the renderer didn't take as math), each
+  // formula gets the next source that MathJax renders to the same markup; the rest keep no TeX.
+  tagMath(container, markdown) {
+    const { display, inline } = extractMath(markdown);
+    const mathJax = window.MathJax;
+    const markup = (el) => (el.querySelector('mjx-math') || el).outerHTML;
+    const pair = (elements, sources, isDisplay) => {
+      elements = Array.from(elements).filter(el => !el.hasAttribute('data-tex'));
+      if (elements.length === sources.length) {
+        elements.forEach((el, k) => el.setAttribute('data-tex', sources[k]));
+        return;
+      }
+      if (!mathJax?.tex2chtml) return;
+      const rendered = new Map(); // source index → markup
+      const markupOf = (k) => {
+        if (!rendered.has(k)) {
+          let html = null;
+          try { html = markup(mathJax.tex2chtml(sources[k], { display: isDisplay })); } catch (e) { /* TeX error */ }
+          rendered.set(k, html);
+        }
+        return rendered.get(k);
+      };
+      let next = 0;
+      for (const el of elements) {
+        const target = markup(el);
+        for (let k = next; k < sources.length; k++) {
+          if (markupOf(k) !== target) continue;
+          el.setAttribute('data-tex', sources[k]);
+          next = k + 1;
+          break;
+        }
+      }
+    };
+    pair(container.querySelectorAll('.math-block'), display, true);
+    pair(container.querySelectorAll('.math-inline'), inline, false);
+  }
+
+  // Formulas as PNG pictures via MathJax's SVG output; without it they fall back to TeX source
+  async renderMathImages(container) {
+    const formulas = Array.from(container.querySelectorAll('.math[data-tex]:not([data-rtf-pict])'));
+    if (!formulas.length) return;
+    try { await loadMathJax(); } catch (e) { /* MathJax unavailable */ }
+    const mathJax = window.MathJax;
+    if (!mathJax?.tex2svg) return;
+    const exPx = (Number(this.settings.bodyFontSize) || 12) * 2 / 3; // ~0.5em at 96 dpi
+    const scale = 3; // rasterize above screen resolution so print stays sharp
+    for (const el of formulas) {
+      try {
+        const svg = mathJax.tex2svg(el.getAttribute('data-tex'), { display: el.classList.contains('math-block') })
+          .querySelector('svg');
+        const width = parseFloat(svg.getAttribute('width')) * exPx;
+        const height = parseFloat(svg.getAttribute('height')) * exPx;
+        if (!(width > 0 && height > 0)) continue;
+        svg.setAttribute('width', String(width * scale));
+        svg.setAttribute('height', String(height * scale));
+        const bytes = new TextEncoder().encode(new XMLSerializer().serializeToString(svg));
+        const png = await rasterizeToPng(bytes, 'image/svg+xml', { width: width * scale, height: height * scale });
+        const id = String(this.pictures.size + 1);
+        this.pictures.set(id, {
+          blip: 'pngblip', ...png, displayWidth: Math.round(width), displayHeight: Math.round(height)
+        });
+        el.setAttribute('data-rtf-pict', id);
+      } catch (e) {
+        console.warn('RTF export: formula not rendered', el.getAttribute('data-tex'), e);
+      }
+    }
+  }
+
+  // ![[Note]], ![[Note#Heading]], ![[Note#^block]] → the rendered content of that note/section
+  async inlineEmbeds(container, sourcePath, depth) {
+    for (const embed of Array.from(container.querySelectorAll('.internal-embed'))) {
+      const src = (embed.getAttribute('src') || '').trim();
+      // The container is off the page by now: contains() tells embeds replaced with an outer one
+      if (!src || !container.contains(embed)) continue;
+      const hash = src.indexOf('#');
+      const linkpath = hash >= 0 ? src.slice(0, hash) : src;
+      const subpath = hash >= 0 ? src.slice(hash) : '';
+      const file = this.app.metadataCache.getFirstLinkpathDest(linkpath, sourcePath);
+      if (!(file instanceof TFile) || file.extension !== 'md') continue;
+
+      const block = document.createElement('div');
+      block.className = 'rtf-embed';
+      if (depth >= (Number(this.settings.embedDepth) || 0)) {
+        // Too deep (or a cycle): keep a readable reference instead of recursing
+        const ref = document.createElement('p');
+        ref.textContent = `[[${src}]]`;
+        block.appendChild(ref);
+      } else {
+        let md = await this.app.vault.cachedRead(file);
+        if (subpath) {
+          const cache = this.app.metadataCache.getFileCache(file);
+          const found = cache && resolveSubpath(cache, subpath);
+          if (!found) continue;
+          md = md.slice(found.start.offset, found.end ? found.end.offset : undefined);
+        }
+        block.innerHTML = await this.render(md, file.path, depth + 1);
+      }
+      // An embed alone in a paragraph replaces the paragraph (a <div> can't live inside <p>)
+      const parent = embed.parentElement;
+      if (parent && parent.tagName === 'P' && parent.textContent.trim() === embed.textContent.trim()
+          && parent.children.length === 1) parent.replaceWith(block);
+      else embed.replaceWith(block);
+    }
+  }
+
+  // Records where internal links point so htmlToRtf can render them per settings.internalLinks
+  resolveInternalLinks(container, sourcePath) {
+    const vault = encodeURIComponent(this.app.vault.getName());
+    container.querySelectorAll('a.internal-link').forEach(a => {
+      const target = (a.getAttribute('data-href') || a.getAttribute('href') || '').trim();
+      const hash = target.indexOf('#');
+      const linkpath = hash >= 0 ? target.slice(0, hash) : target;
+      const file = linkpath
+        ? this.app.metadataCache.getFirstLinkpathDest(linkpath, sourcePath)
+        : this.app.vault.getAbstractFileByPath(sourcePath);
+      if (!file) { a.classList.add('is-unresolved'); return; }
+      const subpath = hash >= 0 ? target.slice(hash) : '';
+      a.setAttribute('data-rtf-href', `obsidian://open?vault=${vault}&file=${encodeURIComponent(file.path + subpath)}`);
+    });
+  }
+
+  // Loads vault images behind <img> / image embeds; anything unresolved keeps the placeholder
+  async embedImages(container, sourcePath) {
+    // Image embeds that haven't loaded their <img> yet still carry the link in src
+    container.querySelectorAll('.internal-embed.image-embed').forEach(embed => {
+      if (embed.querySelector('img')) return;
+      const img = document.createElement('img');
+      img.setAttribute('src', embed.getAttribute('src') || '');
+      if (embed.getAttribute('width')) img.setAttribute('width', embed.getAttribute('width'));
+      embed.appendChild(img);
+    });
+
+    // Images of embedded notes were embedded by their own render, against their own path
+    const maxBytes = (Number(this.settings.maxImageSizeKb) || 0) * 1024;
+    for (const img of Array.from(container.querySelectorAll('img:not([data-rtf-pict])'))) {
+      try {
+        const data = await this.loadImageBytes(img, sourcePath);
+        if (!data || (maxBytes && data.bytes.length > maxBytes)) continue;
+        const pict = await toPicture(data.bytes, data.mime);
+        const w = parseInt(img.getAttribute('width'), 10);
+        const h = parseInt(img.getAttribute('height'), 10);
+        if (w > 0) pict.displayWidth = w;
+        if (h > 0) pict.displayHeight = h;
+        const id = String(this.pictures.size + 1);
+        this.pictures.set(id, pict);
+        img.setAttribute('data-rtf-pict', id);
+      } catch (e) {
+        console.warn('RTF export: image not embedded', img.getAttribute('src'), e);
+      }
+    }
+  }
+
+  async loadImageBytes(img, sourcePath) {
+    const embed = img.closest('.internal-embed');
+    const src = (embed?.getAttribute('src') || img.getAttribute('src') || '').trim();
+    if (!src) return null;
+
+    const dataUri = src.match(/^data:(image\/[\w.+-]+);base64,(.*)$/i);
+    if (dataUri) return { mime: dataUri[1].toLowerCase(), bytes: base64ToBytes(dataUri[2]) };
+    if (/^https?:/i.test(src)) return null; // remote images stay placeholders
 
-    let out = '';
-    for (const tr of rows) {
-      let curX = 0;
-      out += '{\\trowd\\trleft0\\trgaph0'
-           + '\\trpaddl0\\trpaddr0\\trpaddt0\\trpaddb0'
-           + '\\trpadfl3\\trpadfr3\\trpadft3\\trpadfb3 ';
-      for (let c = 0; c < cols; c++) {
-        curX += cellWidth;
-        out += '\\clbrdrt\\brdrs\\brdrw10'
-            +  '\\clbrdrl\\brdrs\\brdrw10'
-            +  '\\clbrdrb\\brdrs\\brdrw10'
-            +  '\\clbrdrr\\brdrs\\brdrw10'
-            +  `\\cellx${curX} `;
+    const file = this.resolveImageFile(src, sourcePath);
+    const mime = file && IMAGE_MIME[(file.extension || '').toLowerCase()];
+    if (!mime) return null;
+    return { mime, bytes: new Uint8Array(await this.app.vault.readBinary(file)) };
+  }
+
+  resolveImageFile(src, sourcePath) {
+    // Rendered <img> elements point at app://… resource URLs; map them back to vault files
+    if (/^(app|capacitor|file):/i.test(src)) {
+      const bare = src.split('?')[0];
+      return this.app.vault.getFiles().find(f =>
+        IMAGE_MIME[(f.extension || '').toLowerCase()] && this.app.vault.getResourcePath(f).split('?')[0] === bare
+      ) || null;
+    }
+    let linkpath = src.split('|')[0].split('#')[0];
+    try { linkpath = decodeURIComponent(linkpath); } catch (e) { /* keep as is */ }
+    return this.app.metadataCache.getFirstLinkpathDest(linkpath, sourcePath) || null;
+  }
+}
+
+// Output formats: RTF is written from the rendered HTML, DOCX and ODT from the document model
+const EXPORT_FORMATS = {
+  rtf: { name: 'RTF', mime: 'application/rtf', convert: htmlToRtf },
+  docx: {
+    name: 'DOCX',
+    mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    convert: (html, settings, doc) => docModelToDocx(htmlToDocModel(html, settings, doc), settings)
+  },
+  odt: {
+    name: 'ODT',
+    mime: 'application/vnd.oasis.opendocument.text',
+    convert: (html, settings, doc) => docModelToOdt(htmlToDocModel(html, settings, doc), settings)
+  }
+};
+
+// Format choice for the batch export and compile dialogs
+function addFormatDropdown(containerEl, value, onChange) {
+  new Setting(containerEl)
+    .setName('Format')
+    .addDropdown(d => {
+      for (const [key, { name }] of Object.entries(EXPORT_FORMATS)) d.addOption(key, name);
+      d.setValue(value).onChange(onChange);
+    });
+}
+
+// settings: the effective settings of this export (see exportSettings)
+// Returns the RTF text, or the DOCX/ODT file bytes
+async function renderNote(app, plugin, markdown, sourcePath = '', settings = plugin.settings, format = 'rtf') {
+  const renderer = new HtmlRenderer(app, plugin, settings);
+  const html = await renderer.render(markdown, sourcePath);
+  const file = sourcePath ? app.vault.getAbstractFileByPath(sourcePath) : null;
+  return EXPORT_FORMATS[format].convert(html, settings, {
+    pictures: renderer.pictures,
+    meta: file instanceof TFile ? noteMeta(app, file) : null
+  });
+}
+
+// Document metadata from the note's frontmatter (via the metadata cache)
+function noteMeta(app, file) {
+  const fm = app.metadataCache.getFileCache(file)?.frontmatter || {};
+  const { position, ...properties } = fm;
+  const list = (v) => (Array.isArray(v) ? v : v == null || v === '' ? [] : [v]).map(String);
+  const tags = (parseFrontMatterTags(fm) || []).map(t => t.replace(/^#/, ''));
+  const createdRaw = fm.created ?? fm.date;
+  const created = createdRaw ? new Date(createdRaw) : null;
+  return {
+    title: String(fm.title || file.basename),
+    author: list(fm.author ?? fm.authors).join(', '),
+    keywords: tags.join(', '),
+    subject: String(fm.description ?? fm.summary ?? ''),
+    created: created && !isNaN(created) ? created : new Date(file.stat.ctime),
+    properties
+  };
+}
+
+// ---------- Export active note to a file ----------
+
+async function exportActive(app, plugin, format = 'rtf') {
+  const file = app.workspace.getActiveFile();
+  if (!file) { new Notice("No active note"); return; }
+  const md = await app.vault.read(file);
+  await exportMarkdown(app, plugin, md, file, { format });
+}
+
+// Exports markdown taken from `file` (the whole note or a part of it) under the given name
+async function exportMarkdown(app, plugin, md, file, { basename = file?.basename, format = 'rtf' } = {}) {
+  const settings = await exportSettings(app, plugin, file);
+  if (!settings) return; // profile picker cancelled
+  const data = await renderNote(app, plugin, md, file?.path, settings, format);
+  await saveExport(app, settings, data, { basename, folder: file?.parent?.path, format });
+}
+
+// ATX headings in Markdown text, outside frontmatter and code fences: { line, level, heading }.
+// Read from the text itself, so unsaved editor changes count.
+function markdownHeadings(lines) {
+  const headings = [];
+  let k = 0, fence = null;
+  if (/^---[ \t]*$/.test(lines[0] || '')) {
+    const end = lines.findIndex((l, i) => i > 0 && /^---[ \t]*$/.test(l));
+    if (end > 0) k = end + 1;
+  }
+  for (; k < lines.length; k++) {
+    const marker = /^[ \t]*(`{3,}|~{3,})(.*)$/.exec(lines[k]);
+    if (fence) {
+      if (marker && marker[1][0] === fence[0] && marker[1].length >= fence.length && !marker[2].trim()) fence = null;
+      continue;
+    }
+    if (marker) { fence = marker[1]; continue; }
+    const m = /^ {0,3}(#{1,6})[ \t]+(.*?)(?:[ \t]+#+)?[ \t]*$/.exec(lines[k]);
+    if (m) headings.push({ line: k, level: m[1].length, heading: m[2] });
+  }
+  return headings;
+}
+
+// The heading at or above `line` with all its subsections: { heading, markdown }
+function sectionAt(content, line) {
+  const lines = String(content ?? '').split('\n');
+  const headings = markdownHeadings(lines);
+  let idx = -1;
+  headings.forEach((h, k) => { if (h.line <= line) idx = k; });
+  if (idx < 0) return null;
+  const heading = headings[idx];
+  const next = headings.slice(idx + 1).find(h => h.level <= heading.level);
+  return {
+    heading: heading.heading,
+    markdown: lines.slice(heading.line, next ? next.line : lines.length).join('\n')
+  };
+}
+
+function safeFileName(name, fallback = 'markdown') {
+  return String(name || '').replace(/[\\/:*?"<>|#^[\]]/g, '').replace(/\s+/g, ' ').trim() || fallback;
+}
+
+function downloadFile(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url; a.download = filename || "download"; a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 150);
+}
+
+// ---------- Copy to clipboard ----------
+
+// Rendered note HTML → self-contained HTML (pictures as data URIs, no Obsidian markup) and plain text
+function clipboardContent(html, pictures = new Map(), settings = DEFAULT_SETTINGS) {
+  const dom = new DOMParser().parseFromString(html, 'text/html');
+  const body = dom.body;
+  body.querySelectorAll('.copy-code-button, .footnote-backref, .callout-fold, .collapse-indicator, button')
+    .forEach(el => el.remove());
+  body.querySelectorAll('input[type="checkbox"]').forEach(box =>
+    box.replaceWith(TASK_MARKS[box.hasAttribute('checked') ? 'checked' : 'unchecked'] + ' '));
+  body.querySelectorAll('[data-rtf-pict]').forEach(el => {
+    const pict = pictures.get(el.getAttribute('data-rtf-pict'));
+    if (!pict) return;
+    const img = dom.createElement('img');
+    img.setAttribute('src', `data:image/${pict.blip === 'jpegblip' ? 'jpeg' : 'png'};base64,${bytesToBase64(pict.bytes)}`);
+    img.setAttribute('width', String(pict.displayWidth || pict.width));
+    if (el.getAttribute('alt')) img.setAttribute('alt', el.getAttribute('alt'));
+    el.replaceWith(img);
+  });
+  body.querySelectorAll('.math[data-tex]').forEach(el => {
+    const code = dom.createElement('code');
+    code.textContent = el.getAttribute('data-tex');
+    el.replaceWith(code);
+  });
+  body.querySelectorAll('a.internal-link').forEach(a => {
+    const uri = a.getAttribute('data-rtf-href');
+    if (settings.internalLinks === 'obsidian' && uri) a.setAttribute('href', uri);
+    else a.replaceWith(a.textContent);
+  });
+  body.querySelectorAll('*').forEach(el => {
+    for (const { name } of Array.from(el.attributes)) {
+      if (!['href', 'src', 'alt', 'width', 'height', 'colspan', 'rowspan', 'start', 'style'].includes(name)) el.removeAttribute(name);
+    }
+  });
+  const cleanHtml = body.innerHTML;
+
+  // Plain text: one line per block
+  body.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+  body.querySelectorAll('p, li, tr, pre, h1, h2, h3, h4, h5, h6, blockquote, div').forEach(el => el.append('\n'));
+  body.querySelectorAll('td, th').forEach(el => el.append('\t'));
+  const text = (body.textContent || '').replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  return { html: cleanHtml, text };
+}
+
+// Electron's clipboard takes RTF; browsers (mobile) only HTML or plain text. Returns what was written.
+async function writeClipboard({ rtf, html, text }) {
+  let electron = null;
+  try { electron = window.require?.('electron'); } catch (e) { /* not desktop */ }
+  if (electron?.clipboard?.write) {
+    electron.clipboard.write({ text, html, rtf });
+    return 'rtf';
+  }
+  if (navigator.clipboard?.write && typeof ClipboardItem !== 'undefined') {
+    try {
+      await navigator.clipboard.write([new ClipboardItem({
+        'text/html': new Blob([html], { type: 'text/html' }),
+        'text/plain': new Blob([text], { type: 'text/plain' })
+      })]);
+      return 'html';
+    } catch (e) { /* fall back to plain text */ }
+  }
+  await navigator.clipboard.writeText(text);
+  return 'text';
+}
+
+// Copies markdown from `file` (a note or a selection) as RTF + HTML + plain text
+async function copyAsRtf(app, plugin, md, file) {
+  const settings = await exportSettings(app, plugin, file, { ask: false });
+  const renderer = new HtmlRenderer(app, plugin, settings);
+  const html = await renderer.render(md, file?.path || '');
+  // No title page or properties table: pasted text is a fragment, not a document
+  const rtf = htmlToRtf(html, settings, { pictures: renderer.pictures });
+  const kind = await writeClipboard({ rtf, ...clipboardContent(html, renderer.pictures, settings) });
+  new Notice({
+    rtf: 'Copied as rich text',
+    html: 'Copied as HTML: this clipboard does not accept RTF',
+    text: 'Copied as plain text only: this clipboard does not accept rich text'
+  }[kind]);
+}
+
+// ---------- Export destination ----------
+
+// {{folder}} / {{basename}} / {{date}} → vault path; always ends in .rtf (or the format's extension)
+function exportPath(template, { basename, folder }, format = 'rtf') {
+  const d = new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  const values = {
+    folder: folder && folder !== '/' ? folder : '',
+    basename: basename || 'markdown',
+    date: `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`
+  };
+  let path = String(template || DEFAULT_SETTINGS.exportPathTemplate)
+    .replace(/\{\{\s*(folder|basename|date)\s*\}\}/g, (_, k) => values[k]);
+  path = normalizePath(path).replace(/\.(rtf|docx|odt)$/i, '');
+  return `${path}.${format}`;
+}
+
+// "name.rtf" → "name 1.rtf", "name 2.rtf", … until the path is free
+async function availablePath(app, path) {
+  if (!(await app.vault.adapter.exists(path))) return path;
+  const dot = path.lastIndexOf('.');
+  const ext = dot > path.lastIndexOf('/') ? path.slice(dot) : '';
+  const base = path.slice(0, path.length - ext.length);
+  for (let n = 1; ; n++) {
+    const candidate = `${base} ${n}${ext}`;
+    if (!(await app.vault.adapter.exists(candidate))) return candidate;
+  }
+}
+
+function openExported(app, path) {
+  if (typeof app.openWithDefaultApp === 'function') app.openWithDefaultApp(path);
+  else new Notice(`Saved to ${path}`);
+}
+
+// Delivers an export according to settings.destination: browser download or a vault file
+async function saveExport(app, settings, data, { basename, folder, format = 'rtf' }) {
+  const { name, mime } = EXPORT_FORMATS[format];
+  if (settings.destination !== 'vault') {
+    downloadFile(new Blob([data], { type: mime }), `${basename || "markdown"}.${format}`);
+    new Notice(`${name} file downloaded!`);
+    return null;
+  }
+
+  let path = exportPath(settings.exportPathTemplate, { basename, folder }, format);
+  if (settings.onConflict === 'rename') path = await availablePath(app, path);
+  await writeVaultFile(app, path, data);
+
+  const msg = document.createDocumentFragment();
+  msg.append(`${name} saved to `);
+  const link = document.createElement('a');
+  link.textContent = path;
+  link.href = '#';
+  link.addEventListener('click', (e) => { e.preventDefault(); openExported(app, path); });
+  msg.append(link);
+  new Notice(msg, 8000);
+  return path;
+}
+
+// ---------- Export profiles ----------
+
+// Keys that belong to the plugin, not to a profile. The batch dialog remembers its own
+// mode and folder in the global settings.
+const PROFILE_EXCLUDED_KEYS = ['profiles', 'askProfile', 'batchMode', 'batchFolder'];
+
+// The part of a settings object a profile stores; unknown keys are dropped
+function profileValues(source) {
+  const out = {};
+  for (const key of Object.keys(DEFAULT_SETTINGS)) {
+    if (!PROFILE_EXCLUDED_KEYS.includes(key) && source?.[key] !== undefined) out[key] = source[key];
+  }
+  return out;
+}
+
+// Settings of profile `name` ('' = no profile): the profile's values over the global settings,
+// which supply any key the profile lacks
+function profileSettings(settings, name) {
+  if (!name) return settings;
+  const profile = settings.profiles?.[name];
+  if (!profile) {
+    new Notice(`RTF profile "${name}" not found, using the global settings`);
+    return settings;
+  }
+  return { ...settings, ...profileValues(profile) };
+}
+
+// The note's "rtf-profile" property, or null
+function noteProfile(app, file) {
+  const value = file && app.metadataCache.getFileCache(file)?.frontmatter?.['rtf-profile'];
+  return value == null || value === '' ? null : String(value);
+}
+
+// Settings for exporting `file`: its "rtf-profile" property, else the profile picked in
+// ProfilePickerModal (settings.askProfile), else the global settings. null when the picker is cancelled.
+async function exportSettings(app, plugin, file, { ask = plugin.settings.askProfile } = {}) {
+  const { settings } = plugin;
+  const fromNote = noteProfile(app, file);
+  if (fromNote !== null) return profileSettings(settings, fromNote);
+  if (!ask || !Object.keys(settings.profiles).length) return settings;
+  const name = await new Promise(resolve => new ProfilePickerModal(app, plugin, resolve).open());
+  return name === null ? null : profileSettings(settings, name);
+}
+
+// Profiles from JSON: { "profiles": { name: settings } } as written by the settings tab, or a bare map
+function parseProfilesJson(text) {
+  const data = JSON.parse(text);
+  const map = data && typeof data.profiles === 'object' ? data.profiles : data;
+  if (!map || typeof map !== 'object' || Array.isArray(map)) throw new Error('No profiles found');
+  const out = {};
+  for (const [name, values] of Object.entries(map)) {
+    if (name.trim() && values && typeof values === 'object') out[name.trim()] = profileValues(values);
+  }
+  return out;
+}
+
+// "Profile" dropdown for the export modals; onChange gets the name ('' = global settings)
+function addProfileDropdown(containerEl, plugin, value, onChange, desc = '') {
+  const names = Object.keys(plugin.settings.profiles);
+  if (!names.length) return;
+  new Setting(containerEl)
+    .setName('Profile')
+    .setDesc(desc)
+    .addDropdown(d => {
+      d.addOption('', 'Global settings');
+      for (const name of names) d.addOption(name, name);
+      d.setValue(value).onChange(onChange);
+    });
+}
+
+// Resolves with the chosen profile name ('' = global settings) or null when closed
+class ProfilePickerModal extends Modal {
+  constructor(app, plugin, resolve) {
+    super(app);
+    this.plugin = plugin;
+    this.resolve = resolve;
+    this.choice = null;
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.createEl('h3', { text: 'Export with profile' });
+    for (const name of ['', ...Object.keys(this.plugin.settings.profiles)]) {
+      new Setting(contentEl)
+        .setName(name || 'Global settings')
+        .addButton(b => b
+          .setButtonText('Export')
+          .onClick(() => { this.choice = name; this.close(); }));
+    }
+  }
+
+  onClose() {
+    this.contentEl.empty();
+    this.resolve(this.choice);
+  }
+}
+
+// ---------- Compile several notes into one document ----------
+
+// Notes linked from an index note, in link order (duplicates and non-notes skipped)
+function indexNoteLinks(app, indexFile) {
+  const cache = app.metadataCache.getFileCache(indexFile);
+  const links = [...(cache?.links || []), ...(cache?.embeds || [])]
+    .sort((a, b) => a.position.start.offset - b.position.start.offset);
+  const seen = new Set();
+  const out = [];
+  for (const l of links) {
+    const f = app.metadataCache.getFirstLinkpathDest(l.link.split('#')[0], indexFile.path);
+    if (!f || f.extension !== 'md' || f === indexFile || seen.has(f.path)) continue;
+    seen.add(f.path);
+    out.push(f);
+  }
+  return out;
+}
+
+// Each note becomes an H1 chapter separated by page breaks, optionally preceded by a TOC.
+// A note that already starts with its title as an H1 keeps that heading instead of a second one.
+async function compileNotes(app, plugin, files, { toc = true, title = '', settings = plugin.settings, format = 'rtf' } = {}) {
+  const renderer = new HtmlRenderer(app, plugin, settings);
+  const chapters = [];
+  for (const file of files) {
+    const md = await app.vault.read(file);
+    const body = document.createElement('div');
+    body.innerHTML = await renderer.render(md, file.path);
+    const first = body.firstElementChild;
+    if (first?.tagName !== 'H1' || first.textContent.trim() !== file.basename) {
+      const heading = document.createElement('h1');
+      heading.textContent = file.basename;
+      body.prepend(heading);
+    }
+    chapters.push(body.innerHTML);
+  }
+  const html = (toc ? '<div class="rtf-toc"></div>' : '')
+    + chapters.join('<div class="rtf-page-break"></div>');
+  return EXPORT_FORMATS[format].convert(html, settings, {
+    pictures: renderer.pictures,
+    meta: { title, author: '', keywords: '', subject: '', created: new Date(), properties: {} }
+  });
+}
+
+class CompileModal extends Modal {
+  constructor(app, plugin, folder = null) {
+    super(app);
+    this.plugin = plugin;
+    this.source = folder ? 'folder' : 'index';
+    this.folderPath = folder?.path ?? (app.workspace.getActiveFile()?.parent?.path || '');
+    this.toc = true;
+    this.profile = '';
+    this.format = 'rtf';
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.createEl('h3', { text: 'Compile notes into one document' });
+
+    new Setting(contentEl)
+      .setName('Source')
+      .addDropdown(d => d
+        .addOption('index', 'Notes linked from the active note (in order)')
+        .addOption('folder', 'All notes in a folder (by name)')
+        .setValue(this.source)
+        .onChange(v => { this.source = v; this.onOpen(); }));
+
+    if (this.source === 'folder') {
+      new Setting(contentEl)
+        .setName('Folder')
+        .addText(t => t.setValue(this.folderPath).onChange(v => { this.folderPath = v; }));
+    }
+
+    new Setting(contentEl)
+      .setName('Table of contents')
+      .addToggle(t => t.setValue(this.toc).onChange(v => { this.toc = v; }));
+
+    addFormatDropdown(contentEl, this.format, v => { this.format = v; });
+    addProfileDropdown(contentEl, this.plugin, this.profile, v => { this.profile = v; });
+
+    new Setting(contentEl)
+      .addButton(b => b.setButtonText('Compile').setCta().onClick(() => this.run()));
+  }
+
+  async run() {
+    let files, name;
+    if (this.source === 'folder') {
+      const folder = this.folderPath.trim()
+        ? this.app.vault.getAbstractFileByPath(normalizePath(this.folderPath))
+        : this.app.vault.getRoot();
+      if (!(folder instanceof TFolder)) { new Notice("Folder not found"); return; }
+      files = folderNotes(folder);
+      name = folder.name || this.app.vault.getName();
+    } else {
+      const index = this.app.workspace.getActiveFile();
+      if (!index) { new Notice("No active note"); return; }
+      files = indexNoteLinks(this.app, index);
+      name = index.basename;
+    }
+    if (!files.length) { new Notice("No notes to compile"); return; }
+    this.close();
+
+    const { format } = this;
+    const notice = new Notice(`Compiling ${files.length} notes to ${EXPORT_FORMATS[format].name}…`, 0);
+    try {
+      const settings = profileSettings(this.plugin.settings, this.profile);
+      const data = await compileNotes(this.app, this.plugin, files, { toc: this.toc, title: name, settings, format });
+      await saveExport(this.app, settings, data, { basename: name, folder: files[0].parent?.path, format });
+    } catch (e) {
+      console.error(e);
+      new Notice(`${EXPORT_FORMATS[format].name} export failed. See console.`);
+    } finally {
+      notice.hide();
+    }
+  }
+
+  onClose() { this.contentEl.empty(); }
+}
+
+// ---------- Zip (stored, no compression) ----------
+
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+function crc32(bytes) {
+  let c = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Local time in MS-DOS format (two-second steps, years from 1980), as zip headers store it
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: (Math.max(0, date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+// entries: [{ name, data: Uint8Array | string }] → Uint8Array with the zip archive, every
+// entry dated `modified`
+function createZip(entries, modified = new Date()) {
+  const enc = new TextEncoder();
+  const local = [], central = [];
+  const { time, date } = dosDateTime(modified);
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = enc.encode(entry.name);
+    const data = typeof entry.data === 'string' ? enc.encode(entry.data) : entry.data;
+    const crc = crc32(data);
+
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034b50, true);
+    header.setUint16(4, 20, true);
+    header.setUint16(6, 0x0800, true);        // UTF-8 file names
+    header.setUint16(10, time, true);
+    header.setUint16(12, date, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, data.length, true);
+    header.setUint32(22, data.length, true);
+    header.setUint16(26, name.length, true);
+    local.push(new Uint8Array(header.buffer), name, data);
+
+    const dir = new DataView(new ArrayBuffer(46));
+    dir.setUint32(0, 0x02014b50, true);
+    dir.setUint16(4, 20, true);
+    dir.setUint16(6, 20, true);
+    dir.setUint16(8, 0x0800, true);
+    dir.setUint16(12, time, true);
+    dir.setUint16(14, date, true);
+    dir.setUint32(16, crc, true);
+    dir.setUint32(20, data.length, true);
+    dir.setUint32(24, data.length, true);
+    dir.setUint16(28, name.length, true);
+    dir.setUint32(42, offset, true);
+    central.push(new Uint8Array(dir.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  }
+
+  const centralSize = central.reduce((n, b) => n + b.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...local, ...central, new Uint8Array(end.buffer)];
+  const out = new Uint8Array(parts.reduce((n, b) => n + b.length, 0));
+  let pos = 0;
+  for (const b of parts) { out.set(b, pos); pos += b.length; }
+  return out;
+}
+
+// ---------- Batch export ----------
+
+async function ensureVaultFolder(app, path) {
+  let current = '';
+  for (const part of normalizePath(path).split('/').filter(Boolean)) {
+    current = current ? `${current}/${part}` : part;
+    if (!app.vault.getAbstractFileByPath(current)) await app.vault.createFolder(current);
+  }
+}
+
+async function writeVaultFile(app, path, data) {
+  path = normalizePath(path);
+  const dir = path.split('/').slice(0, -1).join('/');
+  if (dir) await ensureVaultFolder(app, dir);
+  if (typeof data === 'string') await app.vault.adapter.write(path, data);
+  else await app.vault.adapter.writeBinary(path, data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+}
+
+function folderNotes(folder) {
+  const out = [];
+  (function collect(f) {
+    if (f instanceof TFile && f.extension === 'md') out.push(f);
+    else if (f instanceof TFolder) f.children.forEach(collect);
+  })(folder);
+  return out.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+// "#tag" matches tags (frontmatter + inline, including nested tags); anything else is a
+// case-insensitive search in note paths and contents
+async function searchNotes(app, query) {
+  const q = query.trim().toLowerCase();
+  if (!q) return [];
+  const files = app.vault.getMarkdownFiles().sort((a, b) => a.path.localeCompare(b.path));
+  if (q.startsWith('#')) {
+    return files.filter(f => {
+      const cache = app.metadataCache.getFileCache(f);
+      const tags = (cache && getAllTags(cache)) || [];
+      return tags.some(t => t.toLowerCase() === q || t.toLowerCase().startsWith(q + '/'));
+    });
+  }
+  const out = [];
+  for (const f of files) {
+    if (f.path.toLowerCase().includes(q) || (await app.vault.cachedRead(f)).toLowerCase().includes(q)) out.push(f);
+  }
+  return out;
+}
+
+// Exports every note to RTF (or format), either into a vault folder or as one zip download.
+// rootPath is stripped from note paths so the folder structure below it is kept.
+// profile: used for notes without their own "rtf-profile"
+async function exportNotesBatch(app, plugin, files, { mode, folder, rootPath = '', zipName = 'RTF export', profile = '', format = 'rtf' }) {
+  if (!files.length) { new Notice("No notes to export"); return; }
+  const label = EXPORT_FORMATS[format].name;
+  const notice = new Notice(`Exporting to ${label}… 0/${files.length}`, 0);
+  const failures = [];
+  const entries = [];
+  const prefix = rootPath ? rootPath.replace(/\/+$/, '') + '/' : '';
+
+  for (let i = 0; i < files.length; i++) {
+    const file = files[i];
+    notice.setMessage(`Exporting to ${label}… ${i + 1}/${files.length}\n${file.basename}`);
+    try {
+      const md = await app.vault.read(file);
+      const settings = profileSettings(plugin.settings, noteProfile(app, file) ?? profile);
+      const data = await renderNote(app, plugin, md, file.path, settings, format);
+      const rel = (file.path.startsWith(prefix) ? file.path.slice(prefix.length) : file.path).replace(/\.md$/i, `.${format}`);
+      if (mode === 'zip') entries.push({ name: rel, data });
+      else await writeVaultFile(app, `${folder}/${rel}`, data);
+    } catch (e) {
+      console.error(`${label} export failed for ${file.path}`, e);
+      failures.push(file.path);
+    }
+  }
+
+  if (mode === 'zip' && entries.length) {
+    downloadFile(new Blob([createZip(entries)], { type: "application/zip" }), `${zipName}.zip`);
+  }
+  notice.hide();
+
+  const done = files.length - failures.length;
+  const where = mode === 'zip' ? `${zipName}.zip` : `"${normalizePath(folder)}"`;
+  if (!failures.length) {
+    new Notice(`Exported ${done} notes to ${where}`);
+  } else {
+    const list = failures.slice(0, 5).join('\n') + (failures.length > 5 ? `\n…and ${failures.length - 5} more` : '');
+    new Notice(`Exported ${done} of ${files.length} notes to ${where}.\nFailed:\n${list}\nSee console for details.`, 15000);
+  }
+}
+
+// Collects the output options (and the search query when no folder is given) before a batch export
+class BatchExportModal extends Modal {
+  constructor(app, plugin, folder = null) {
+    super(app);
+    this.plugin = plugin;
+    this.folder = folder;
+    this.query = '';
+    this.mode = plugin.settings.batchMode;
+    this.outFolder = plugin.settings.batchFolder;
+    this.profile = '';
+    this.format = 'rtf';
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.empty();
+    contentEl.createEl('h3', { text: this.folder ? `Export folder "${this.folder.path || '/'}"` : 'Export notes' });
+
+    if (!this.folder) {
+      new Setting(contentEl)
+        .setName('Tag or search')
+        .setDesc('#tag exports notes with that tag; any other text matches note paths and contents.')
+        .addText(t => t.setPlaceholder('#project').onChange(v => { this.query = v; }));
+    }
+
+    new Setting(contentEl)
+      .setName('Output')
+      .addDropdown(d => d
+        .addOption('files', 'One file per note in a vault folder')
+        .addOption('zip', 'Single zip download')
+        .setValue(this.mode)
+        .onChange(v => { this.mode = v; this.onOpen(); }));
+
+    if (this.mode === 'files') {
+      new Setting(contentEl)
+        .setName('Vault folder')
+        .addText(t => t.setValue(this.outFolder).onChange(v => { this.outFolder = v; }));
+    }
+
+    addFormatDropdown(contentEl, this.format, v => { this.format = v; });
+    addProfileDropdown(contentEl, this.plugin, this.profile, v => { this.profile = v; },
+      'Notes with an "rtf-profile" property use their own profile.');
+
+    new Setting(contentEl)
+      .addButton(b => b.setButtonText('Export').setCta().onClick(() => this.run()));
+  }
+
+  async run() {
+    const folder = this.outFolder.trim() || DEFAULT_SETTINGS.batchFolder;
+    this.plugin.settings.batchMode = this.mode;
+    this.plugin.settings.batchFolder = folder;
+    await this.plugin.saveSettings();
+    this.close();
+
+    try {
+      const files = this.folder ? folderNotes(this.folder) : await searchNotes(this.app, this.query);
+      const zipName = this.folder ? (this.folder.name || this.app.vault.getName()) : 'RTF export';
+      await exportNotesBatch(this.app, this.plugin, files, {
+        mode: this.mode, folder, rootPath: this.folder?.path || '', zipName, profile: this.profile, format: this.format
+      });
+    } catch (e) {
+      console.error(e);
+      new Notice("RTF export failed. See console.");
+    }
+  }
+
+  onClose() { this.contentEl.empty(); }
+}
+
+// ---------- Import RTF as Markdown ----------
+
+// Destinations whose content is not document text
+const RTF_SKIP_DESTINATIONS = new Set([
+  'colortbl', 'info', 'listtable', 'listoverridetable', 'header', 'headerl', 'headerr', 'headerf',
+  'footer', 'footerl', 'footerr', 'footerf', 'pntext', 'nonshppict', 'nonesttables', 'mmath', 'mmathPr',
+  'themedata', 'colorschememapping', 'latentstyles', 'datastore', 'xmlnstbl', 'rsidtbl', 'generator',
+  'filetbl', 'revtbl', 'object', 'ftnsep', 'ftnsepc', 'aftnsep', 'aftnsepc', 'pgdsctbl'
+]);
+
+const RTF_SYMBOLS = {
+  emdash: '—', endash: '–', bullet: '•', lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”',
+  emspace: ' ', enspace: ' ', qmspace: ' ', line: '\n', tab: '\t', nestcell: '\n'
+};
+
+const RTF_PICT_TYPES = { pngblip: 'png', jpegblip: 'jpg', emfblip: 'emf', wmetafile: 'wmf' };
+
+function rtfDecoder(codepage) {
+  const labels = { 65001: 'utf-8', 932: 'shift_jis', 936: 'gbk', 949: 'euc-kr', 950: 'big5', 10000: 'macintosh' };
+  try { return new TextDecoder(labels[codepage] || `windows-${codepage}`); }
+  catch (e) { return new TextDecoder('windows-1252'); }
+}
+
+// Raw 8-bit text in the file is in the document codepage (\ansicpgN)
+function decodeRtfBytes(bytes) {
+  const head = String.fromCharCode(...bytes.subarray(0, 256));
+  return rtfDecoder(Number(head.match(/\\ansicpg(\d+)/)?.[1]) || 1252).decode(bytes);
+}
+
+// Reads RTF into paragraphs of formatted runs and tables of such paragraphs:
+// { blocks, footnotes: [blocks], images: [{ ext, bytes }] }
+function parseRtf(rtf) {
+  const fonts = new Map();   // \fN → font name
+  const styles = new Map();  // \sN → style name
+  const images = [];
+  const footnotes = [];
+  const newOut = () => ({ blocks: [], para: null, table: null, row: null, cell: null });
+  const main = newOut();
+  let decoder = rtfDecoder(1252);
+  let defaultFont = 0;
+
+  const plain = { b: false, i: false, ul: false, strike: false, sup: false, sub: false, mark: false, fs: 24 };
+  let st = {
+    ...plain, f: 0, dest: null, out: main, href: null, field: null, math: false, uc: 1,
+    s: 0, ls: 0, ilvl: 0, li: 0, outline: -1, intbl: false, pict: null, collect: null
+  };
+  const stack = [];
+  let pendingStar = false, ucSkip = 0, hexBytes = [];
+
+  const para = (out) => out.para || (out.para = { runs: [], listText: '' });
+
+  const appendRun = (run) => {
+    const runs = para(st.out).runs;
+    const last = runs[runs.length - 1];
+    if (run.text != null && last && last.text != null && ['b', 'i', 'ul', 'strike', 'sup', 'sub', 'mark', 'code', 'fs', 'href', 'math']
+      .every(k => last[k] === run[k])) last.text += run.text;
+    else runs.push(run);
+  };
+
+  const text = (t) => {
+    if (st.dest === 'skip') return;
+    if (st.dest === 'fonttbl' || st.dest === 'stylesheet') {
+      // Entries end with ';' (inner groups or one flat list)
+      for (const ch of t) {
+        if (ch !== ';') { st.collect.name += ch; continue; }
+        (st.dest === 'fonttbl' ? fonts : styles).set(st.dest === 'fonttbl' ? st.f : st.s, st.collect.name.trim());
+        st.collect.name = '';
       }
+      return;
+    }
+    if (st.dest === 'fldinst') { st.field.inst += t; return; }
+    if (st.dest === 'listtext') { para(st.out).listText += t; return; }
+    if (st.dest === 'pict') { st.pict.hex.push(t); return; }
+    appendRun({
+      text: t, b: st.b, i: st.i, ul: st.ul, strike: st.strike, sup: st.sup, sub: st.sub, mark: st.mark,
+      code: /courier|consolas|mono|menlo|monaco|lucida console/i.test(fonts.get(st.f) || ''),
+      fs: st.fs, href: st.href, math: st.math
+    });
+  };
 
-      const cells = Array.from(tr.children);
-      for (let c = 0; c < cols; c++) {
-        const td = cells[c];
-        let content = td
-          ? Array.from(td.childNodes).map(n => walk(n, { inTable: true, listLevel: 0 })).join('')
-          : '';
-        content = content
-          .replace(/^(?:\\(?:line|par)\s*)+/g, '')
-          .replace(/^[\uFEFF\u200B\u00A0\s]+/g, '');
+  const flushHex = () => {
+    if (!hexBytes.length) return;
+    const bytes = Uint8Array.from(hexBytes);
+    hexBytes = [];
+    text(decoder.decode(bytes));
+  };
+
+  const closeTable = (out) => {
+    if (!out.table) return;
+    out.blocks.push({ table: out.table });
+    out.table = null;
+  };
+
+  // Ends the current paragraph with the paragraph properties of state s
+  const endPara = (out = st.out, s = st, inCell = s.intbl) => {
+    const p = para(out);
+    out.para = null;
+    Object.assign(p, { style: styles.get(s.s) || '', ls: s.ls, ilvl: s.ilvl, li: s.li, outline: s.outline });
+    if (inCell) { (out.cell || (out.cell = [])).push(p); return; }
+    closeTable(out);
+    out.blocks.push(p);
+  };
+
+  const fieldHref = (inst) => {
+    const m = inst.match(/HYPERLINK\s+(\\l\s+)?(?:"([^"]*)"|(\S+))/);
+    if (!m) return null;
+    const target = m[2] ?? m[3];
+    return m[1] ? '#' + target : target;
+  };
+
+  const control = (word, param) => {
+    const star = pendingStar;
+    pendingStar = false;
+    if (st.dest === 'skip') return;
+    if (st.dest === 'pict') {
+      if (star) st.dest = 'skip'; // \blipuid, \picprop
+      else if (RTF_PICT_TYPES[word]) st.pict.ext = RTF_PICT_TYPES[word];
+      return;
+    }
+    const on = param !== 0;
+    switch (word) {
+      case 'par': if (st.dest === null) endPara(); return;
+      case 'pard': {
+        // Stray whitespace between paragraphs doesn't start one
+        const p = st.out.para;
+        if (p && p.runs.every(r => r.text != null && !r.text.trim())) st.out.para = null;
+        Object.assign(st, { s: 0, ls: 0, ilvl: 0, li: 0, outline: -1, intbl: false });
+        return;
+      }
+      case 'plain': Object.assign(st, plain, { f: defaultFont }); return;
+      case 'b': st.b = on; return;
+      case 'i': st.i = on; return;
+      case 'strike': case 'striked': st.strike = on; return;
+      case 'ulnone': st.ul = false; return;
+      case 'super': st.sup = on; st.sub = false; return;
+      case 'sub': st.sub = on; st.sup = false; return;
+      case 'nosupersub': st.sup = st.sub = false; return;
+      case 'highlight': st.mark = param > 0; return;
+      case 'f': st.f = param; return;
+      case 'fs': st.fs = param; return;
+      case 's': st.s = param; return;
+      case 'ls': st.ls = param; return;
+      case 'ilvl': st.ilvl = param; return;
+      case 'li': st.li = param; return;
+      case 'outlinelevel': st.outline = param; return;
+      case 'intbl': st.intbl = true; return;
+      case 'itap': st.intbl = param > 0; return;
+      case 'uc': st.uc = param; return;
+      case 'u': text(String.fromCharCode(param < 0 ? param + 65536 : param)); ucSkip = st.uc; return;
+      case 'ansicpg': decoder = rtfDecoder(param); return;
+      case 'deff': defaultFont = param; return;
+      case 'fonttbl': case 'stylesheet': st.dest = word; st.collect = { name: '' }; return;
+      case 'listtext': st.dest = 'listtext'; return;
+      case 'field': st.field = { inst: '' }; return;
+      case 'fldinst': st.dest = 'fldinst'; return;
+      case 'fldrslt': st.href = st.field ? fieldHref(st.field.inst) : null; return;
+      case 'mmathPict': st.math = true; return;
+      case 'pict': st.dest = 'pict'; st.pict = { hex: [], ext: null }; return;
+      case 'footnote': {
+        footnotes.push(newOut());
+        appendRun({ footnote: footnotes.length });
+        Object.assign(st, plain, { out: footnotes[footnotes.length - 1], f: defaultFont, href: null, dest: null });
+        return;
+      }
+      case 'cell': {
+        const out = st.out;
+        if (out.para || !out.cell) endPara(out, st, true);
+        (out.row || (out.row = [])).push(out.cell);
+        out.cell = null;
+        return;
+      }
+      case 'row': {
+        const out = st.out;
+        // A different number of cells starts a new table (e.g. a boxed note right after a table)
+        if (out.table && out.row && out.table[0].length !== out.row.length) closeTable(out);
+        if (out.row) (out.table || (out.table = [])).push(out.row);
+        out.row = null;
+        return;
+      }
+    }
+    if (/^ul(d|db|w|wave|dash|th)?$/.test(word)) { st.ul = on; return; }
+    if (RTF_SYMBOLS[word] && st.dest === null) { text(RTF_SYMBOLS[word]); return; }
+    if (RTF_SKIP_DESTINATIONS.has(word) || (star && word !== 'shppict')) st.dest = 'skip';
+  };
+
+  // Group end: pictures become image runs, a finished footnote flushes its last paragraph
+  const closeGroup = (inner) => {
+    if (inner.dest === 'pict' && st.dest !== 'pict' && inner.pict.ext) {
+      const hex = inner.pict.hex.join('').replace(/[^0-9a-f]/gi, '');
+      const bytes = new Uint8Array(hex.length >> 1);
+      for (let k = 0; k < bytes.length; k++) bytes[k] = parseInt(hex.substr(k * 2, 2), 16);
+      images.push({ ext: inner.pict.ext, bytes });
+      appendRun({ image: images.length - 1 });
+    }
+    if (inner.out !== st.out) {
+      if (inner.out.para) endPara(inner.out, inner);
+      closeTable(inner.out);
+    }
+  };
+
+  for (let i = 0; i < rtf.length;) {
+    const c = rtf[i];
+    if (c === '{' || c === '}') {
+      flushHex();
+      ucSkip = 0;
+      if (c === '{') { stack.push(st); st = { ...st }; }
+      else { const inner = st; st = stack.pop() || inner; closeGroup(inner); }
+      i++;
+      continue;
+    }
+    if (c === '\\') {
+      const next = rtf[i + 1];
+      if (/[a-zA-Z]/.test(next || '')) {
+        const m = /^([a-zA-Z]+)(-?\d+)? ?/.exec(rtf.slice(i + 1, i + 48));
+        i += 1 + m[0].length;
+        const param = m[2] === undefined ? null : Number(m[2]);
+        if (m[1] !== 'u') flushHex();
+        if (m[1] === 'bin') {
+          // Raw binary picture data
+          if (st.dest === 'pict') st.pict.hex.push(Array.from(rtf.slice(i, i + param), ch => ch.charCodeAt(0).toString(16).padStart(2, '0')).join(''));
+          i += param || 0;
+          continue;
+        }
+        control(m[1], param);
+        continue;
+      }
+      if (next === "'") {
+        const byte = parseInt(rtf.substr(i + 2, 2), 16);
+        i += 4;
+        if (ucSkip) { ucSkip--; continue; }
+        if (!isNaN(byte)) hexBytes.push(byte);
+        continue;
+      }
+      flushHex();
+      i += 2;
+      if (ucSkip) { ucSkip--; continue; }
+      if (next === '\\' || next === '{' || next === '}') text(next);
+      else if (next === '~') text(' ');
+      else if (next === '_') text('‑');
+      else if (next === '*') pendingStar = true;
+      else if (next === '\n' || next === '\r') control('par', null);
+      continue;
+    }
+    if (c === '\r' || c === '\n') { i++; continue; }
+    flushHex();
+    let j = i;
+    while (j < rtf.length && !'{}\\\r\n'.includes(rtf[j])) j++;
+    let t = rtf.slice(i, j);
+    i = j;
+    if (ucSkip) { const k = Math.min(ucSkip, t.length); t = t.slice(k); ucSkip -= k; }
+    if (t) text(t);
+  }
+  flushHex();
+  if (main.para && main.para.runs.length) endPara(main);
+  closeTable(main);
+
+  return { blocks: main.blocks, footnotes: footnotes.map(f => f.blocks), images };
+}
+
+function escapeMarkdown(s) {
+  return s.replace(/([\\*_`\[\]])/g, '\\$1');
+}
 
-        out += `{\\pard\\intbl\\sb0\\sa0\\sl0\\slmult1\\f0\\fs${defaultFs} ${content}\\cell}`;
-      }
+// Pictures Obsidian can't display; they are left out with a placeholder
+const RTF_METAFILE_TYPES = new Set(['emf', 'wmf']);
 
-      out += '\\row}';
-      out += `\\pard\\plain\\f0\\fs${defaultFs} `;
+// Parsed RTF → Markdown. Images are linked as ![[name]] with names from imageName(n, ext);
+// skipped counts the EMF/WMF pictures replaced by a placeholder.
+function rtfToMarkdown(rtf, { imageName = (n, ext) => `image ${n}.${ext}` } = {}) {
+  const parsed = parseRtf(rtf);
+  let n = 0;
+  const pictures = parsed.images.map(img => RTF_METAFILE_TYPES.has(img.ext)
+    ? { skipped: img.ext.toUpperCase() }
+    : { name: imageName(++n, img.ext), bytes: img.bytes });
+  const images = pictures.filter(p => !p.skipped);
+
+  const formatRun = (run, inTable) => {
+    if (run.image != null) {
+      const pict = pictures[run.image];
+      return pict.skipped ? `*[${pict.skipped} picture not imported]*` : `![[${pict.name}]]`;
     }
-    return out;
-  }
+    if (run.footnote != null) return `[^${run.footnote}]`;
+    if (run.math) return `$${run.text}$`;
+    const lead = run.text.match(/^\s*/)[0], trail = run.text.slice(lead.length).match(/\s*$/)[0];
+    const core = run.text.slice(lead.length, run.text.length - trail.length);
+    if (!core) return run.text;
+    let md;
+    if (run.code) {
+      const ticks = core.includes('`') ? '``' : '`';
+      md = ticks + core + ticks;
+    } else {
+      md = escapeMarkdown(core);
+      if (inTable) md = md.replace(/\|/g, '\\|');
+      if (run.sup) md = `<sup>${md}</sup>`;
+      if (run.sub) md = `<sub>${md}</sub>`;
+      if (run.ul && !run.href) md = `<u>${md}</u>`;
+      if (run.mark) md = `==${md}==`;
+      if (run.strike) md = `~~${md}~~`;
+      if (run.i) md = `*${md}*`;
+      if (run.b) md = `**${md}**`;
+    }
+    return lead + md + trail;
+  };
 
-  let rtf = '{\\rtf1\\ansi\\deff0\\uc1\\viewkind4\n'
-          + '{\\fonttbl{\\f0\\fnil Arial;}{\\f1\\fmodern Courier New;}}\n'
-          + colorTable + '\n'
-          + `\\f0\\fs${defaultFs} `;
+  const inlineMarkdown = (runs, inTable = false) => {
+    let out = '';
+    for (let k = 0; k < runs.length;) {
+      const href = runs[k].href;
+      let j = k;
+      while (j < runs.length && runs[j].href === href) j++;
+      let inner = runs.slice(k, j).map(r => formatRun(r, inTable)).join('');
+      if (href) {
+        const plainText = runs.slice(k, j).map(r => r.text || '').join('').trim();
+        const vaultFile = href.match(/^obsidian:\/\/open\?.*?\bfile=([^&]+)/);
+        if (vaultFile) {
+          let target = vaultFile[1];
+          try { target = decodeURIComponent(target); } catch (e) { /* keep as is */ }
+          target = target.replace(/\.md(?=#|$)/, '');
+          inner = plainText && plainText !== target ? `[[${target}|${plainText}]]` : `[[${target}]]`;
+        } else inner = `[${inner.trim()}](${href.replace(/ /g, '%20')})`;
+      }
+      out += inner;
+      k = j;
+    }
+    return inTable ? out.trim().replace(/\n/g, '<br>') : out.trim();
+  };
 
-  rtf += [...dom.body.childNodes].map(n => walk(n)).join('');
-  rtf += '}';
+  const allBlocks = [parsed.blocks, ...parsed.footnotes].flat();
+  const plainParas = allBlocks.filter(b => b.runs);
+  const isCode = (p) => /^(code|html preformatted|plain text|source code)/i.test(p.style)
+    || (p.runs.some(r => r.text && r.text.trim()) && p.runs.every(r => (r.code && !r.math) || !r.text || !r.text.trim()));
+  const isList = (p) => p.listText || p.ls > 0;
 
-  return rtf;
-}
+  // Headings without a heading style: short one-size paragraphs larger than the body text, ranked by size
+  const charsBySize = new Map();
+  plainParas.forEach(p => p.runs.forEach(r => r.text && charsBySize.set(r.fs, (charsBySize.get(r.fs) || 0) + r.text.length)));
+  const bodyFs = [...charsBySize.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || 24;
+  const sizeOf = (p) => {
+    const sizes = new Set(p.runs.filter(r => r.text && r.text.trim()).map(r => r.fs));
+    const len = p.runs.reduce((n, r) => n + (r.text || '').length, 0);
+    return sizes.size === 1 && len <= 120 && !isList(p) && !isCode(p) ? [...sizes][0] : 0;
+  };
+  const headingSizes = [...new Set(parsed.blocks.filter(b => b.runs).map(sizeOf))]
+    .filter(fs => fs > bodyFs).sort((a, b) => b - a);
+  const headingLevel = (p) => {
+    const byStyle = p.style.match(/heading\s*(\d)/i);
+    if (byStyle) return Math.min(6, Number(byStyle[1]));
+    if (p.outline >= 0 && p.outline < 6) return p.outline + 1;
+    const rank = headingSizes.indexOf(sizeOf(p));
+    return rank >= 0 ? Math.min(6, rank + 1) : 0;
+  };
 
-// ---------- Markdown → HTML renderer ----------
+  const tableMarkdown = (rows) => {
+    const cells = rows.map(row => row.map(cell => (cell || []).map(p => inlineMarkdown(p.runs, true)).filter(Boolean).join('<br>')));
+    // A single cell is a boxed note (callouts and placeholders in exported RTF)
+    if (cells.length === 1 && cells[0].length === 1) {
+      return { kind: 'quote', md: cells[0][0].split('<br>').map(l => '> ' + l.trim()).join('\n') };
+    }
+    const cols = Math.max(...cells.map(r => r.length));
+    const line = (r) => '| ' + Array.from({ length: cols }, (_, c) => r[c] || '').join(' | ') + ' |';
+    return { kind: 'table', md: [line(cells[0]), '|' + ' --- |'.repeat(cols), ...cells.slice(1).map(line)].join('\n') };
+  };
 
-class HtmlRenderer {
-  constructor(app, component) { this.app = app; this.component = component; }
-  async render(markdown) {
-    const container = document.createElement('div');
-    await MarkdownRenderer.render(this.app, markdown, container, ".", this.component);
-    container.querySelectorAll(".copy-code-button").forEach(btn => btn.remove());
-    await new Promise(res => setTimeout(res, 20)); // small tick to settle layout
-    return container.innerHTML;
-  }
+  const blockMarkdown = (blocks) => {
+    const out = [];
+    let code = null;
+    for (const b of blocks) {
+      if (b.runs && isCode(b)) {
+        const lines = b.runs.map(r => r.text || '').join('');
+        if (code) code.lines.push(lines);
+        else out.push(code = { kind: 'code', lines: [lines] });
+        continue;
+      }
+      code = null;
+      if (b.table) { out.push(tableMarkdown(b.table)); continue; }
+      const content = b.runs.filter(r => r.text == null || r.text.trim());
+      if (content.length === 1 && content[0].math) { out.push({ kind: 'para', md: `$$${content[0].text.trim()}$$` }); continue; }
+      const quote = /quote/i.test(b.style);
+      // Block Quote's italics come from the style, not from the text
+      const md = inlineMarkdown(quote ? b.runs.map(r => ({ ...r, i: false })) : b.runs);
+      if (!md) continue;
+      const task = md.match(/^(☐|☑)\s*/);
+      if (task) {
+        const level = Math.max(0, Math.round(b.li / 720) - 1);
+        out.push({ kind: 'list', md: '\t'.repeat(level) + (task[1] === '☑' ? '- [x] ' : '- [ ] ') + md.slice(task[0].length) });
+      } else if (isList(b)) {
+        const ordered = /^\s*(\d+|[a-z]+)[.)]/i.test(b.listText);
+        out.push({ kind: 'list', md: '\t'.repeat(b.ilvl) + (ordered ? '1. ' : '- ') + md });
+      } else if (headingLevel(b)) {
+        const title = b.runs.map(r => r.text || '').join('').trim();
+        out.push({ kind: 'heading', md: '#'.repeat(headingLevel(b)) + ' ' + escapeMarkdown(title) });
+      } else if (quote) {
+        out.push({ kind: 'quote', md: md.split('\n').map(l => '> ' + l).join('\n') });
+      } else out.push({ kind: 'para', md });
+    }
+    return out.map(b => b.kind === 'code' ? { kind: 'code', md: '```\n' + b.lines.join('\n') + '\n```' } : b)
+      .reduce((acc, b, k, all) => acc + (k === 0 ? '' : b.kind === 'list' && all[k - 1].kind === 'list' ? '\n' : '\n\n') + b.md, '');
+  };
+
+  let markdown = blockMarkdown(parsed.blocks);
+  const notes = parsed.footnotes.map((blocks, k) => `[^${k + 1}]: ` + blockMarkdown(blocks).replace(/\n+/g, ' '));
+  if (notes.length) markdown += '\n\n' + notes.join('\n');
+  return { markdown: markdown + '\n', images, skipped: pictures.length - images.length };
 }
 
-// ---------- Export active note to RTF file ----------
+// Creates a note (plus image attachments) from RTF bytes; returns the new file
+async function importRtfAsNote(app, bytes, { basename, folder }) {
+  const dir = folder && folder !== '/' ? folder + '/' : '';
+  const notePath = await availablePath(app, normalizePath(`${dir}${basename || 'Imported'}.md`));
+  const noteName = notePath.split('/').pop().replace(/\.md$/, '');
+  const { markdown, images, skipped } = rtfToMarkdown(decodeRtfBytes(bytes), {
+    imageName: (n, ext) => `${noteName} ${n}.${ext}`
+  });
 
-async function exportActiveToRtf(app, plugin) {
-  const file = app.workspace.getActiveFile();
-  if (!file) { new Notice("No active note"); return; }
-  const md = await app.vault.read(file);
-  const renderer = new HtmlRenderer(app, plugin);
-  const html = await renderer.render(md);
-  const rtf = htmlToRtf(html, plugin.settings);
-  const blob = new Blob([rtf], { type: "application/rtf" });
-  const filename = (file.basename || "markdown") + ".rtf";
-  downloadFile(blob, filename);
-  new Notice("RTF file downloaded!");
+  let md = markdown;
+  for (const img of images) {
+    const path = await app.fileManager.getAvailablePathForAttachment(img.name, notePath);
+    const file = await app.vault.createBinary(path, img.bytes);
+    md = md.split(`![[${img.name}]]`).join('!' + app.fileManager.generateMarkdownLink(file, notePath));
+  }
+  const note = await app.vault.create(notePath, md);
+  await app.workspace.getLeaf(true).openFile(note);
+  new Notice(`Imported ${note.path}` + (images.length ? ` with ${images.length} image(s)` : '')
+    + (skipped ? `. ${skipped} EMF/WMF picture(s) were left out: Obsidian can't display them` : ''));
+  return note;
 }
 
-function downloadFile(blob, filename) {
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url; a.download = filename || "download"; a.click();
-  setTimeout(() => URL.revokeObjectURL(url), 150);
+// Opens the system file picker; resolves with the chosen File, or null when the dialog is cancelled
+function pickFile(accept) {
+  return new Promise(resolve => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = accept;
+    input.addEventListener('change', () => resolve(input.files?.[0] || null));
+    input.addEventListener('cancel', () => resolve(null));
+    // Webviews without the cancel event only give the window its focus back
+    window.addEventListener('focus', () => setTimeout(() => {
+      if (!input.files?.length) resolve(null);
+    }, 1000), { once: true });
+    input.click();
+  });
 }
 
 // ---------- Settings tab ----------
@@ -548,21 +4553,467 @@ class ExportToRtfSettingTab extends PluginSettingTab {
   constructor(app, plugin) {
     super(app, plugin);
     this.plugin = plugin;
+    this.editing = ''; // profile whose settings the tab shows; '' = the global settings
+  }
+
+  // The settings object the controls edit: the global settings or the profile being edited
+  get values() {
+    return (this.editing && this.plugin.settings.profiles[this.editing]) || this.plugin.settings;
+  }
+
+  // Non-negative number rounded to a multiple of `step` (0 = as typed), so that what reaches the
+  // writers fits their integer units; invalid input falls back to the default
+  addNumber(containerEl, key, name, desc = '', step = 0) {
+    const round = (n) => (step ? Number((Math.round(n / step) * step).toFixed(2)) : n);
+    return new Setting(containerEl)
+      .setName(name)
+      .setDesc(desc)
+      .addText(t => t
+        .setValue(String(this.values[key]))
+        .onChange(async (v) => {
+          const n = parseFloat(v);
+          this.values[key] = Number.isFinite(n) && n >= 0 ? round(n) : DEFAULT_SETTINGS[key];
+          await this.plugin.saveSettings();
+        }));
+  }
+
+  addText(containerEl, key, name, desc = '') {
+    return new Setting(containerEl)
+      .setName(name)
+      .setDesc(desc)
+      .addText(t => t
+        .setPlaceholder(String(DEFAULT_SETTINGS[key]))
+        .setValue(String(this.values[key] ?? ''))
+        .onChange(async (v) => {
+          this.values[key] = v.trim() || DEFAULT_SETTINGS[key];
+          await this.plugin.saveSettings();
+        }));
+  }
+
+  displayProfiles(containerEl) {
+    const { settings } = this.plugin;
+    const names = Object.keys(settings.profiles);
+    if (!settings.profiles[this.editing]) this.editing = '';
+
+    containerEl.createEl('h3', { text: 'Profiles' });
+    containerEl.createEl('p', {
+      cls: 'setting-item-description',
+      text: 'A profile is a named copy of the settings below. Pick one when exporting, or set "rtf-profile: name" in a note\'s properties.'
+    });
+
+    new Setting(containerEl)
+      .setName('Editing')
+      .setDesc('Which settings the controls below change.')
+      .addDropdown(d => {
+        d.addOption('', 'Global settings');
+        for (const name of names) d.addOption(name, `Profile: ${name}`);
+        d.setValue(this.editing).onChange(v => { this.editing = v; this.display(); });
+      })
+      .addExtraButton(b => {
+        b.setIcon('trash').setTooltip('Delete this profile').onClick(async () => {
+          delete settings.profiles[this.editing];
+          this.editing = '';
+          await this.plugin.saveSettings();
+          this.display();
+        });
+        if (!this.editing) b.extraSettingsEl.hide();
+      });
+
+    let newName = '';
+    new Setting(containerEl)
+      .setName('New profile')
+      .setDesc('Starts as a copy of the settings shown below.')
+      .addText(t => t.setPlaceholder('client').onChange(v => { newName = v.trim(); }))
+      .addButton(b => b.setButtonText('Create').onClick(async () => {
+        if (!newName) return;
+        if (settings.profiles[newName]) {
+          new Notice(`Profile "${newName}" already exists`);
+          return;
+        }
+        settings.profiles[newName] = profileValues(this.values);
+        this.editing = newName;
+        await this.plugin.saveSettings();
+        this.display();
+      }));
+
+    new Setting(containerEl)
+      .setName('Ask for a profile when exporting')
+      .setDesc('Single-note exports show a profile picker. Notes with an "rtf-profile" property are not asked.')
+      .addToggle(t => t
+        .setValue(settings.askProfile)
+        .onChange(async (v) => {
+          settings.askProfile = v;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Share profiles')
+      .setDesc('Download all profiles as JSON, or import profiles from such a file (profiles with the same name are replaced).')
+      .addButton(b => b.setButtonText('Export').setDisabled(!names.length).onClick(() => {
+        const json = JSON.stringify({ profiles: settings.profiles }, null, 2);
+        downloadFile(new Blob([json], { type: 'application/json' }), 'rtf-export-profiles.json');
+      }))
+      .addButton(b => b.setButtonText('Import').onClick(async () => {
+        const file = await pickFile('.json,application/json');
+        if (!file) return;
+        try {
+          const imported = parseProfilesJson(await file.text());
+          const count = Object.keys(imported).length;
+          Object.assign(settings.profiles, imported);
+          await this.plugin.saveSettings();
+          new Notice(`Imported ${count} profile${count === 1 ? '' : 's'}`);
+          this.display();
+        } catch (e) {
+          console.error(e);
+          new Notice(`Could not import profiles: ${e.message}`);
+        }
+      }));
+
+    if (this.editing) containerEl.createEl('h3', { text: `Profile: ${this.editing}` });
   }
+
   display() {
     const { containerEl } = this;
     containerEl.empty();
     containerEl.createEl('h2', { text: 'Export to RTF – Settings' });
 
+    this.displayProfiles(containerEl);
+
+    new Setting(containerEl)
+      .setName('Destination')
+      .setDesc('Where single-note and compiled exports are saved.')
+      .addDropdown(d => d
+        .addOption('download', 'Browser download (Downloads folder)')
+        .addOption('vault', 'Vault folder')
+        .setValue(this.values.destination)
+        .onChange(async (v) => {
+          this.values.destination = v;
+          await this.plugin.saveSettings();
+          this.display();
+        }));
+
+    if (this.values.destination === 'vault') {
+      new Setting(containerEl)
+        .setName('Export path')
+        .setDesc('Vault path template. Placeholders: {{folder}}, {{basename}}, {{date}}.')
+        .addText(t => t
+          .setPlaceholder(DEFAULT_SETTINGS.exportPathTemplate)
+          .setValue(this.values.exportPathTemplate)
+          .onChange(async (v) => {
+            this.values.exportPathTemplate = v.trim() || DEFAULT_SETTINGS.exportPathTemplate;
+            await this.plugin.saveSettings();
+          }));
+
+      new Setting(containerEl)
+        .setName('If the file exists')
+        .addDropdown(d => d
+          .addOption('rename', 'Keep both (add a number)')
+          .addOption('overwrite', 'Overwrite')
+          .setValue(this.values.onConflict)
+          .onChange(async (v) => {
+            this.values.onConflict = v;
+            await this.plugin.saveSettings();
+          }));
+    }
+
     new Setting(containerEl)
       .setName('Show full image path')
       .setDesc('If off, only the image file name is shown in the placeholder.')
       .addToggle(t => t
-        .setValue(this.plugin.settings.showFullImagePath)
+        .setValue(this.values.showFullImagePath)
+        .onChange(async (v) => {
+          this.values.showFullImagePath = v;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Internal links')
+      .setDesc('How [[wikilinks]] are exported.')
+      .addDropdown(d => d
+        .addOption('text', 'Plain text')
+        .addOption('bookmark', 'Links to headings inside the document')
+        .addOption('obsidian', 'obsidian:// links')
+        .setValue(this.values.internalLinks)
+        .onChange(async (v) => {
+          this.values.internalLinks = v;
+          await this.plugin.saveSettings();
+        }));
+
+    this.addNumber(containerEl, 'embedDepth', 'Embed depth',
+      'How many levels of ![[note]] embeds are inlined. 0 = keep embeds as references.', 1);
+
+    new Setting(containerEl)
+      .setName('Embed images')
+      .setDesc('Embed vault images (PNG/JPEG; GIF/WebP/SVG converted to PNG) into the RTF. Remote or missing images stay placeholders.')
+      .addToggle(t => t
+        .setValue(this.values.embedImages)
+        .onChange(async (v) => {
+          this.values.embedImages = v;
+          await this.plugin.saveSettings();
+        }));
+
+    this.addNumber(containerEl, 'maxImageSizeKb', 'Maximum embedded image size (KB)',
+      'Larger images are exported as placeholders. 0 = no limit.', 1);
+
+    new Setting(containerEl)
+      .setName('Footnotes')
+      .addDropdown(d => d
+        .addOption('footnote', 'Footnotes (bottom of page)')
+        .addOption('endnote', 'Endnotes (end of document)')
+        .setValue(this.values.footnotes)
+        .onChange(async (v) => {
+          this.values.footnotes = v;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Math')
+      .setDesc('How $…$ and $$…$$ formulas are exported. Word equations cover fractions, roots, scripts, Greek letters and common symbols, in RTF and DOCX; ODT shows them as TeX source. Images need MathJax SVG output and fall back to TeX source.')
+      .addDropdown(d => d
+        .addOption('equation', 'Word equations')
+        .addOption('image', 'Images')
+        .addOption('tex', 'TeX source')
+        .setValue(this.values.mathMode)
+        .onChange(async (v) => {
+          this.values.mathMode = v;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Diagram captions')
+      .setDesc('Mermaid and other rendered diagrams are exported as pictures. Adds a numbered "Figure N" caption with the diagram title below each.')
+      .addToggle(t => t
+        .setValue(this.values.diagramCaptions)
+        .onChange(async (v) => {
+          this.values.diagramCaptions = v;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Tags')
+      .setDesc('How #tags are exported.')
+      .addDropdown(d => d
+        .addOption('styled', 'Colored text')
+        .addOption('text', 'Plain text')
+        .addOption('remove', 'Remove')
+        .setValue(this.values.tags)
+        .onChange(async (v) => {
+          this.values.tags = v;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Plugin output')
+      .setDesc('Dataview, Tasks, Mermaid and similar plugins render after the note itself. Waiting exports their finished output; notes without such blocks are not held up.')
+      .addDropdown(d => d
+        .addOption('settle', 'Wait until it stops changing')
+        .addOption('tick', 'Do not wait')
+        .setValue(this.values.renderWait)
+        .onChange(async (v) => {
+          this.values.renderWait = v;
+          await this.plugin.saveSettings();
+          this.display();
+        }));
+    if (this.values.renderWait === 'settle') {
+      this.addNumber(containerEl, 'renderTimeout', 'Maximum wait (seconds)', 'At least 1 second.', 1);
+    }
+
+    containerEl.createEl('h3', { text: 'Header and footer' });
+    containerEl.createEl('p', {
+      text: 'Placeholders: {{title}}, {{date}}, {{page}}, {{pages}}. Leave empty for none.',
+      cls: 'setting-item-description'
+    });
+
+    const alignDropdown = (key) => (d) => d
+      .addOption('left', 'Left')
+      .addOption('center', 'Center')
+      .addOption('right', 'Right')
+      .setValue(this.values[key])
+      .onChange(async (v) => {
+        this.values[key] = v;
+        await this.plugin.saveSettings();
+      });
+
+    this.addText(containerEl, 'headerTemplate', 'Header').addDropdown(alignDropdown('headerAlign'));
+    this.addText(containerEl, 'footerTemplate', 'Footer').addDropdown(alignDropdown('footerAlign'));
+
+    new Setting(containerEl)
+      .setName('Different first page')
+      .setDesc('Use separate header and footer on the first page (e.g. for a title page).')
+      .addToggle(t => t
+        .setValue(this.values.differentFirstPage)
+        .onChange(async (v) => {
+          this.values.differentFirstPage = v;
+          await this.plugin.saveSettings();
+          this.display();
+        }));
+
+    if (this.values.differentFirstPage) {
+      this.addText(containerEl, 'firstPageHeaderTemplate', 'First page header');
+      this.addText(containerEl, 'firstPageFooterTemplate', 'First page footer');
+    }
+
+    containerEl.createEl('h3', { text: 'Frontmatter' });
+
+    new Setting(containerEl)
+      .setName('Document properties')
+      .setDesc('Write title, author, tags, created and description into the RTF document properties.')
+      .addToggle(t => t
+        .setValue(this.values.documentProperties)
+        .onChange(async (v) => {
+          this.values.documentProperties = v;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Title page')
+      .setDesc('Start the document with a page showing title, author, date and description.')
+      .addToggle(t => t
+        .setValue(this.values.frontmatterTitlePage)
+        .onChange(async (v) => {
+          this.values.frontmatterTitlePage = v;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Properties table')
+      .setDesc('Show all frontmatter properties as a table at the top. With everything off, frontmatter is not exported at all.')
+      .addToggle(t => t
+        .setValue(this.values.frontmatterTable)
+        .onChange(async (v) => {
+          this.values.frontmatterTable = v;
+          await this.plugin.saveSettings();
+        }));
+
+    containerEl.createEl('h3', { text: 'Callouts' });
+
+    new Setting(containerEl)
+      .setName('Show callout icons')
+      .addToggle(t => t
+        .setValue(this.values.calloutIcons)
+        .onChange(async (v) => {
+          this.values.calloutIcons = v;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Folded callouts')
+      .addDropdown(d => d
+        .addOption('title', 'Title only')
+        .addOption('expand', 'Expand content')
+        .setValue(this.values.foldedCallouts)
+        .onChange(async (v) => {
+          this.values.foldedCallouts = v;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Callout colors')
+      .setDesc('One "type: color" per line, e.g. "warning: #ff9900". Types: ' + Object.keys(CALLOUT_TYPES).join(', ') + ' (and their aliases).')
+      .addTextArea(t => t
+        .setPlaceholder('warning: #ff9900')
+        .setValue(this.values.calloutPalette)
+        .onChange(async (v) => {
+          this.values.calloutPalette = v;
+          await this.plugin.saveSettings();
+        }));
+
+    containerEl.createEl('h3', { text: 'Code blocks' });
+
+    new Setting(containerEl)
+      .setName('Color theme')
+      .addDropdown(d => {
+        Object.keys(CODE_THEMES).forEach(k => d.addOption(k, k[0].toUpperCase() + k.slice(1)));
+        d.setValue(this.values.codeTheme)
+          .onChange(async (v) => {
+            this.values.codeTheme = v;
+            await this.plugin.saveSettings();
+          });
+      });
+
+    new Setting(containerEl)
+      .setName('Theme overrides')
+      .setDesc('One "key: color" per line. Keys: ' + Object.keys(CODE_THEMES.light).join(', ') + '.')
+      .addTextArea(t => t
+        .setPlaceholder('keyword: #aa00ff\nbackground: #ffffff')
+        .setValue(this.values.codeThemeOverrides)
+        .onChange(async (v) => {
+          this.values.codeThemeOverrides = v;
+          await this.plugin.saveSettings();
+        }));
+
+    new Setting(containerEl)
+      .setName('Show language caption')
+      .setDesc('Print the code block language above the block.')
+      .addToggle(t => t
+        .setValue(this.values.codeLanguageCaption)
         .onChange(async (v) => {
-          this.plugin.settings.showFullImagePath = v;
+          this.values.codeLanguageCaption = v;
           await this.plugin.saveSettings();
         }));
+
+    containerEl.createEl('h3', { text: 'Page setup' });
+
+    new Setting(containerEl)
+      .setName('Paper size')
+      .addDropdown(d => d
+        .addOption('a4', 'A4')
+        .addOption('letter', 'Letter')
+        .addOption('legal', 'Legal')
+        .addOption('custom', 'Custom')
+        .setValue(this.values.paperSize)
+        .onChange(async (v) => {
+          this.values.paperSize = v;
+          await this.plugin.saveSettings();
+          this.display();
+        }));
+
+    if (this.values.paperSize === 'custom') {
+      this.addNumber(containerEl, 'paperWidth', 'Paper width (mm)', '', 0.1);
+      this.addNumber(containerEl, 'paperHeight', 'Paper height (mm)', '', 0.1);
+    }
+
+    new Setting(containerEl)
+      .setName('Orientation')
+      .addDropdown(d => d
+        .addOption('portrait', 'Portrait')
+        .addOption('landscape', 'Landscape')
+        .setValue(this.values.orientation)
+        .onChange(async (v) => {
+          this.values.orientation = v;
+          await this.plugin.saveSettings();
+        }));
+
+    this.addNumber(containerEl, 'marginTop', 'Top margin (mm)', '', 0.1);
+    this.addNumber(containerEl, 'marginBottom', 'Bottom margin (mm)', '', 0.1);
+    this.addNumber(containerEl, 'marginLeft', 'Left margin (mm)', '', 0.1);
+    this.addNumber(containerEl, 'marginRight', 'Right margin (mm)', '', 0.1);
+
+    this.addText(containerEl, 'bodyFont', 'Body font');
+    this.addNumber(containerEl, 'bodyFontSize', 'Body font size (pt)', 'Rounded to half a point.', 0.5);
+    this.addText(containerEl, 'headingFont', 'Heading font');
+    this.addText(containerEl, 'headingSizes', 'Heading sizes (pt)', 'H1–H6, comma-separated.');
+    this.addText(containerEl, 'codeFont', 'Code font');
+    this.addNumber(containerEl, 'codeFontSize', 'Code font size (pt)', 'Rounded to half a point.', 0.5);
+    this.addText(containerEl, 'eastAsianFont', 'East Asian font',
+      'Chinese, Japanese and Korean text. Empty: MS Mincho, SimSun, Batang or PMingLiU by language.');
+    this.addText(containerEl, 'emojiFont', 'Emoji font');
+
+    new Setting(containerEl)
+      .setName('Codepage')
+      .setDesc('Characters shown by RTF readers without Unicode support. Auto picks the one that covers the note\'s text.')
+      .addDropdown(d => {
+        d.addOption('auto', 'Auto');
+        RTF_CODEPAGES.forEach(c => d.addOption(String(c.codepage), `${c.name} (${c.codepage})`));
+        d.setValue(String(this.values.codepage || 'auto'))
+          .onChange(async (v) => {
+            this.values.codepage = v;
+            await this.plugin.saveSettings();
+          });
+      });
+
+    this.addNumber(containerEl, 'lineSpacing', 'Line spacing', 'Multiple of single spacing, e.g. 1.15.', 0.01);
+    this.addNumber(containerEl, 'paragraphSpacing', 'Paragraph spacing (pt)', 'Space after each paragraph.', 0.5);
   }
 }
 
@@ -572,69 +5023,195 @@ module.exports = class ExportToRtfPlugin extends Plugin {
   async onload() {
     await this.loadSettings();
 
-    // Command (palette; assign hotkey in Settings → Hotkeys)
-    this.addCommand({
-      id: "download-as-rtf",
-      name: "Download as RTF file",
-      editorCallback: async (editor) => {
-        try {
-          const md = editor.getValue();
-          const renderer = new HtmlRenderer(this.app, this);
-          const html = await renderer.render(md);
-          const rtfContent = htmlToRtf(html, this.settings);
-          const blob = new Blob([rtfContent], { type: "application/rtf" });
+    // Whole note in one of EXPORT_FORMATS; read() supplies the Markdown (editor text or the file)
+    const exportNote = async (read, file, format) => {
+      try { await exportMarkdown(this.app, this, await read(), file, { format }); }
+      catch (e) { console.error(e); new Notice(`${EXPORT_FORMATS[format].name} export failed. See console.`); }
+    };
+
+    // Commands (palette; assign hotkeys in Settings → Hotkeys)
+    for (const [format, { name }] of Object.entries(EXPORT_FORMATS)) {
+      this.addCommand({
+        id: `download-as-${format}`,
+        name: `Download as ${name} file`,
+        editorCallback: (editor) => exportNote(() => editor.getValue(), this.app.workspace.getActiveFile(), format)
+      });
+    }
+
+    // Parts of the note: the selection, or the heading section under the cursor
+    const exportSelection = async (editor, file, format) => {
+      const basename = `${file?.basename || 'markdown'} (selection)`;
+      try { await exportMarkdown(this.app, this, editor.getSelection(), file, { basename, format }); }
+      catch (e) { console.error(e); new Notice(`${EXPORT_FORMATS[format].name} export failed. See console.`); }
+    };
+    const exportSection = async (section, file, format) => {
+      const basename = safeFileName(section.heading, file?.basename);
+      try { await exportMarkdown(this.app, this, section.markdown, file, { basename, format }); }
+      catch (e) { console.error(e); new Notice(`${EXPORT_FORMATS[format].name} export failed. See console.`); }
+    };
+    const cursorSection = (editor) => sectionAt(editor.getValue(), editor.getCursor().line);
+
+    for (const [format, { name }] of Object.entries(EXPORT_FORMATS)) {
+      this.addCommand({
+        id: `export-selection-${format}`,
+        name: `Export selection to ${name}`,
+        editorCheckCallback: (checking, editor) => {
+          if (!editor.somethingSelected()) return false;
+          if (!checking) exportSelection(editor, this.app.workspace.getActiveFile(), format);
+          return true;
+        }
+      });
+
+      this.addCommand({
+        id: `export-section-${format}`,
+        name: `Export current section to ${name}`,
+        editorCheckCallback: (checking, editor) => {
           const file = this.app.workspace.getActiveFile();
-          const filename = ((file && file.basename) || "markdown") + ".rtf";
-          downloadFile(blob, filename);
-          new Notice("RTF file downloaded!");
-        } catch (e) {
-          console.error(e);
-          new Notice("RTF export failed. See console.");
+          const section = cursorSection(editor);
+          if (!section) return false;
+          if (!checking) exportSection(section, file, format);
+          return true;
         }
+      });
+    }
+
+    // Copy as rich text (whole note or selection) for pasting into mail/chat/Word;
+    // read() supplies the Markdown
+    const copyMarkdown = async (read, file) => {
+      try { await copyAsRtf(this.app, this, await read(), file); }
+      catch (e) { console.error(e); new Notice("Copy as RTF failed. See console."); }
+    };
+
+    this.addCommand({
+      id: "copy-as-rtf",
+      name: "Copy note as RTF",
+      editorCallback: (editor) => copyMarkdown(() => editor.getValue(), this.app.workspace.getActiveFile())
+    });
+
+    this.addCommand({
+      id: "copy-selection-as-rtf",
+      name: "Copy selection as RTF",
+      editorCheckCallback: (checking, editor) => {
+        if (!editor.somethingSelected()) return false;
+        if (!checking) copyMarkdown(() => editor.getSelection(), this.app.workspace.getActiveFile());
+        return true;
       }
     });
 
     // Editor context menu
     this.registerEvent(
-      this.app.workspace.on("editor-menu", (menu) => {
-        menu.addItem(item => {
-          item.setTitle("Export to RTF")
-            .onClick(async () => {
-              try { await exportActiveToRtf(this.app, this); }
-              catch (e) { console.error(e); new Notice("RTF export failed. See console."); }
+      this.app.workspace.on("editor-menu", (menu, editor, info) => {
+        const file = info?.file || this.app.workspace.getActiveFile();
+        for (const [format, { name }] of Object.entries(EXPORT_FORMATS)) {
+          menu.addItem(item => {
+            item.setTitle(`Export to ${name}`)
+              .onClick(() => exportNote(() => editor.getValue(), file, format));
+          });
+        }
+        if (editor.somethingSelected()) {
+          for (const [format, { name }] of Object.entries(EXPORT_FORMATS)) {
+            menu.addItem(item => {
+              item.setTitle(`Export selection to ${name}`)
+                .onClick(() => exportSelection(editor, file, format));
             });
+          }
+        }
+        menu.addItem(item => {
+          const selected = editor.somethingSelected();
+          item.setTitle(selected ? "Copy selection as RTF" : "Copy as RTF")
+            .onClick(() => copyMarkdown(() => (selected ? editor.getSelection() : editor.getValue()), file));
         });
+        const section = cursorSection(editor);
+        if (section) {
+          for (const [format, { name }] of Object.entries(EXPORT_FORMATS)) {
+            menu.addItem(item => {
+              item.setTitle(`Export this section to ${name}`)
+                .onClick(() => exportSection(section, file, format));
+            });
+          }
+        }
       })
     );
 
-    // File context menu (right-click on .md)
+    // Batch export: notes matching a tag or search
+    this.addCommand({
+      id: "batch-export-rtf",
+      name: "Export notes matching tag or search to RTF",
+      callback: () => new BatchExportModal(this.app, this).open()
+    });
+
+    // Compile several notes (folder or index note links) into one document
+    this.addCommand({
+      id: "compile-to-rtf",
+      name: "Compile notes into one RTF document",
+      callback: () => new CompileModal(this.app, this).open()
+    });
+
+    // RTF → Markdown: a file from outside the vault becomes a note next to the active one
+    this.addCommand({
+      id: "import-rtf",
+      name: "Import RTF as note",
+      callback: async () => {
+        const picked = await pickFile('.rtf,application/rtf,text/rtf');
+        if (!picked) return;
+        try {
+          const folder = this.app.fileManager.getNewFileParent(this.app.workspace.getActiveFile()?.path || '');
+          await importRtfAsNote(this.app, new Uint8Array(await picked.arrayBuffer()), {
+            basename: picked.name.replace(/\.rtf$/i, ''), folder: folder?.path
+          });
+        } catch (e) {
+          console.error(e);
+          new Notice("RTF import failed. See console.");
+        }
+      }
+    });
+
+    // File context menu (right-click on .md or .rtf, or on a folder for batch export / compile)
     this.registerEvent(
       this.app.workspace.on("file-menu", (menu, file) => {
+        if (file instanceof TFolder) {
+          menu.addItem(item => {
+            item.setTitle("Export folder to RTF")
+              .onClick(() => new BatchExportModal(this.app, this, file).open());
+          });
+          menu.addItem(item => {
+            item.setTitle("Compile folder into one RTF")
+              .onClick(() => new CompileModal(this.app, this, file).open());
+          });
+          return;
+        }
+        if (file instanceof TFile && file.extension === "rtf") {
+          menu.addItem(item => {
+            item.setTitle("Import RTF as note")
+              .onClick(async () => {
+                try {
+                  const bytes = new Uint8Array(await this.app.vault.readBinary(file));
+                  await importRtfAsNote(this.app, bytes, { basename: file.basename, folder: file.parent?.path });
+                } catch (e) {
+                  console.error(e);
+                  new Notice("RTF import failed. See console.");
+                }
+              });
+          });
+          return;
+        }
         if (file?.extension !== "md") return;
+        for (const [format, { name }] of Object.entries(EXPORT_FORMATS)) {
+          menu.addItem(item => {
+            item.setTitle(`Export to ${name}`)
+              .onClick(() => exportNote(() => this.app.vault.read(file), file, format));
+          });
+        }
         menu.addItem(item => {
-          item.setTitle("Export to RTF")
-            .onClick(async () => {
-              try {
-                const md = await this.app.vault.read(file);
-                const renderer = new HtmlRenderer(this.app, this);
-                const html = await renderer.render(md);
-                const rtf = htmlToRtf(html, this.settings);
-                const blob = new Blob([rtf], { type: "application/rtf" });
-                const filename = (file.basename || "markdown") + ".rtf";
-                downloadFile(blob, filename);
-                new Notice("RTF file downloaded!");
-              } catch (e) {
-                console.error(e);
-                new Notice("RTF export failed. See console.");
-              }
-            });
+          item.setTitle("Copy as RTF")
+            .onClick(() => copyMarkdown(() => this.app.vault.read(file), file));
         });
       })
     );
 
     // Ribbon icon (quick export)
     this.addRibbonIcon("file-type-doc", "Export to RTF", async () => {
-      try { await exportActiveToRtf(this.app, this); }
+      try { await exportActive(this.app, this); }
       catch (e) { console.error(e); new Notice("RTF export failed. See console."); }
     });
 
@@ -645,8 +5222,45 @@ module.exports = class ExportToRtfPlugin extends Plugin {
 
   async loadSettings() {
     this.settings = Object.assign({}, DEFAULT_SETTINGS, await this.loadData());
+    this.settings.profiles = { ...this.settings.profiles }; // never share DEFAULT_SETTINGS.profiles
   }
   async saveSettings() {
     await this.saveData(this.settings);
   }
 };
+
+// Pure conversion functions, for running the converter outside Obsidian (e.g. in Node with a DOM
+// shim providing DOMParser and a stubbed 'obsidian' module)
+Object.assign(module.exports, {
+  DEFAULT_SETTINGS,
+  htmlToRtf,
+  htmlToDocModel,
+  docModelToDocx,
+  docModelToOdt,
+  HtmlRenderer,
+  encodeTextToRtf,
+  detectCodepage,
+  escapeForFldinst,
+  validateRtf,
+  parseColorToRGB,
+  collectColors,
+  calloutLook,
+  noteMeta,
+  pageSetup,
+  profileSettings,
+  parseProfilesJson,
+  texToOmml,
+  extractMath,
+  extractFences,
+  svgSize,
+  sectionAt,
+  stripComments,
+  exportPath,
+  saveExport,
+  exportNotesBatch,
+  indexNoteLinks,
+  compileNotes,
+  createZip,
+  rtfToMarkdown,
+  clipboardContent
+});
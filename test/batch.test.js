@@ -0,0 +1,71 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const obsidian = require('./obsidian');
+const { DEFAULT_SETTINGS, exportNotesBatch, createZip } = require('./load');
+const { readZip } = require('./zip');
+
+// Renders a note as its text in one paragraph
+obsidian.MarkdownRenderer.render = async (app, markdown, el) => {
+  el.innerHTML = `<p>${markdown}</p>`;
+};
+
+const note = (path) => Object.assign(new obsidian.TFile(), {
+  path, basename: path.split('/').pop().replace(/\.md$/, ''), extension: 'md'
+});
+
+// Vault holding `notes` (path → text); what the export writes ends up in `written` and `folders`
+function fakeVault(notes) {
+  const written = {}, folders = [];
+  const app = {
+    vault: {
+      getName: () => 'Vault',
+      read: async (file) => {
+        if (!(file.path in notes)) throw new Error('unreadable');
+        return notes[file.path];
+      },
+      getAbstractFileByPath: (path) => (folders.includes(path) ? {} : null),
+      createFolder: async (path) => { folders.push(path); },
+      adapter: { write: async (path, data) => { written[path] = data; } }
+    },
+    metadataCache: { getFileCache: () => null }
+  };
+  return { app, written, folders };
+}
+
+const plugin = { settings: { ...DEFAULT_SETTINGS, renderWait: 'tick', profiles: {} } };
+
+test('batch export keeps the folder structure below the exported folder', async () => {
+  const { app, written, folders } = fakeVault({
+    'Projects/Plan.md': 'Plan text',
+    'Projects/Sub/Notes.md': 'Sub text'
+  });
+  await exportNotesBatch(app, plugin, [note('Projects/Plan.md'), note('Projects/Sub/Notes.md')],
+    { mode: 'vault', folder: 'Exports/', rootPath: 'Projects/' });
+  assert.deepEqual(Object.keys(written).sort(), ['Exports/Plan.rtf', 'Exports/Sub/Notes.rtf']);
+  assert.match(written['Exports/Sub/Notes.rtf'], /Sub text/);
+  assert.deepEqual(folders, ['Exports', 'Exports/Sub']);
+  assert.equal(obsidian.Notice.messages.at(-1), 'Exported 2 notes to "Exports"');
+});
+
+test('batch export goes on past failed notes and lists them in the summary', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const { app, written } = fakeVault({ 'A.md': 'a' });
+  await exportNotesBatch(app, plugin, [note('A.md'), note('Broken.md')], { mode: 'vault', folder: 'Out' });
+  assert.deepEqual(Object.keys(written), ['Out/A.rtf']);
+  assert.match(obsidian.Notice.messages.at(-1), /^Exported 1 of 2 notes to "Out"\.\nFailed:\nBroken\.md\n/);
+});
+
+test('createZip stores the entries with their CRC and the export time', () => {
+  const zip = createZip([{ name: 'Notes/Plan.rtf', data: '{\\rtf1 x}' }], new Date(2024, 4, 17, 13, 45, 30));
+  const { 'Notes/Plan.rtf': entry } = readZip(zip);
+  assert.equal(entry.text, '{\\rtf1 x}');
+  assert.equal(entry.time, (13 << 11) | (45 << 5) | 15);
+  assert.equal(entry.date, (44 << 9) | (5 << 5) | 17);
+  const view = new DataView(zip.buffer);
+  const central = zip.length - 22 - (46 + 'Notes/Plan.rtf'.length);
+  assert.equal(view.getUint32(central, true), 0x02014b50);
+  assert.equal(view.getUint16(central + 12, true), entry.time);
+  assert.equal(view.getUint16(central + 14, true), entry.date);
+  assert.equal(view.getUint32(central + 16, true), view.getUint32(14, true));
+});
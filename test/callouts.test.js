@@ -0,0 +1,50 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_SETTINGS, htmlToRtf, validateRtf, calloutLook } = require('./load');
+
+const callout = (type, body, fold = '') =>
+  `<div data-callout="${type}" data-callout-fold="${fold}" class="callout"><div class="callout-title">`
+  + `<div class="callout-icon"></div><div class="callout-title-inner">${type} title</div></div>`
+  + `<div class="callout-content">${body}</div></div>`;
+const render = (html, settings = {}) => {
+  const rtf = htmlToRtf(html, { ...DEFAULT_SETTINGS, ...settings });
+  assert.deepEqual(validateRtf(rtf), []);
+  return rtf;
+};
+
+test('calloutLook resolves aliases, unknown types and palette overrides', () => {
+  assert.deepEqual(calloutLook('caution').color, { r: 0xEC, g: 0x75, b: 0x00 });
+  assert.equal(calloutLook('caution').icon, '⚠️');
+  assert.equal(calloutLook('caution').label, 'Caution');
+  assert.deepEqual(calloutLook('whatever').color, calloutLook('note').color);
+  assert.deepEqual(calloutLook('bug').tint, { r: 253, g: 234, b: 237 });
+
+  const settings = { ...DEFAULT_SETTINGS, calloutPalette: 'warning: #ff0000\ncaution: #00ff00\ntip: nope' };
+  assert.deepEqual(calloutLook('warning', settings).color, { r: 255, g: 0, b: 0 });
+  assert.deepEqual(calloutLook('attention', settings).color, { r: 255, g: 0, b: 0 });
+  assert.deepEqual(calloutLook('caution', settings).color, { r: 0, g: 255, b: 0 });
+  assert.deepEqual(calloutLook('tip', settings).color, calloutLook('tip').color);
+});
+
+test('a palette override colors the callout border', () => {
+  const rtf = render(callout('warning', '<p>Body</p>'), { calloutPalette: 'warning: #123456' });
+  const colors = rtf.match(/\{\\colortbl;(.*?)\}/)[1].split(';');
+  const index = colors.indexOf('\\red18\\green52\\blue86') + 1;
+  assert.ok(index > 0);
+  assert.match(rtf, new RegExp(`\\\\brdrcf${index}\\b`));
+});
+
+test('folded callouts keep only their title unless expanded', () => {
+  const html = callout('note', '<p>Hidden body</p>', '-');
+  const folded = render(html);
+  assert.match(folded, /note title/);
+  assert.doesNotMatch(folded, /Hidden body/);
+  assert.match(render(html, { foldedCallouts: 'expand' }), /Hidden body/);
+});
+
+test('a nested callout becomes a nested table', () => {
+  const rtf = render(callout('warning', `<p>Outer</p>${callout('tip', '<p>Inner</p>')}`));
+  assert.match(rtf, /\\itap2[^]*Inner[^]*\\nestcell\{\\\*\\nesttableprops[^]*\\nestrow\}/);
+  assert.ok(rtf.indexOf('Outer') < rtf.indexOf('Inner'));
+});
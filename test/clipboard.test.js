@@ -0,0 +1,31 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_SETTINGS, clipboardContent } = require('./load');
+
+const pictures = new Map([['p1', { blip: 'pngblip', bytes: new Uint8Array([1, 2, 3]), width: 800, displayWidth: 300 }]]);
+
+test('clipboard HTML inlines pictures as data URIs and drops Obsidian chrome', () => {
+  const { html } = clipboardContent(
+    '<p class="x" data-line="0"><img data-rtf-pict="p1" alt="Shot" src="app://local/shot.png"> '
+    + '<span class="math" data-tex="x^2">MathJax</span><button>Copy</button></p>'
+    + '<ul><li class="task-list-item"><input type="checkbox" checked>Done</li></ul>'
+    + '<table><tr><td colspan="2" style="color: red" class="cell">c</td></tr></table>', pictures);
+  assert.equal(html,
+    '<p><img src="data:image/png;base64,AQID" width="300" alt="Shot"> <code>x^2</code></p>'
+    + '<ul><li>☑ Done</li></ul>'
+    + '<table><tbody><tr><td colspan="2" style="color: red">c</td></tr></tbody></table>');
+});
+
+test('internal links keep an obsidian:// href only when the setting asks for it', () => {
+  const link = '<p><a class="internal-link" href="Plan" data-rtf-href="obsidian://open?vault=V&amp;file=Plan">Plan</a></p>';
+  assert.equal(clipboardContent(link).html, '<p>Plan</p>');
+  assert.equal(clipboardContent(link, new Map(), { ...DEFAULT_SETTINGS, internalLinks: 'obsidian' }).html,
+    '<p><a href="obsidian://open?vault=V&amp;file=Plan">Plan</a></p>');
+});
+
+test('clipboard text has a line per block and tabs between cells', () => {
+  const { text } = clipboardContent('<h1>Title</h1><p>one<br>two</p><ul><li>a</li><li>b</li></ul>'
+    + '<table><tr><th>A</th><th>B</th></tr><tr><td>1</td><td>2</td></tr></table>');
+  assert.equal(text, 'Title\none\ntwo\na\nb\nA\tB\n1\t2');
+});
@@ -0,0 +1,59 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const obsidian = require('./obsidian');
+const { DEFAULT_SETTINGS, compileNotes, indexNoteLinks, validateRtf } = require('./load');
+
+// "# Heading" lines become <h1>, everything else a paragraph
+obsidian.MarkdownRenderer.render = async (app, markdown, el) => {
+  el.innerHTML = markdown.split('\n').map(line =>
+    line.startsWith('# ') ? `<h1>${line.slice(2)}</h1>` : `<p>${line}</p>`).join('');
+};
+
+const note = (path) => Object.assign(new obsidian.TFile(), {
+  path, basename: path.split('/').pop().replace(/\.md$/, ''), extension: path.split('.').pop()
+});
+
+function fakeApp(notes, cache = {}) {
+  const files = Object.fromEntries(Object.keys(notes).map(path => [path, note(path)]));
+  return {
+    files,
+    vault: { getName: () => 'Vault', read: async (file) => notes[file.path], getAbstractFileByPath: () => null },
+    metadataCache: {
+      getFileCache: (file) => cache[file.path] || null,
+      getFirstLinkpathDest: (link) => files[link] || files[`${link}.md`] || null
+    }
+  };
+}
+
+const settings = { ...DEFAULT_SETTINGS, renderWait: 'tick' };
+
+test('compiled notes become H1 chapters between page breaks after a TOC field', async () => {
+  const app = fakeApp({ 'Book/One.md': 'First chapter', 'Book/Two.md': '# Two\nSecond chapter' });
+  const rtf = await compileNotes(app, { settings }, [app.files['Book/One.md'], app.files['Book/Two.md']],
+    { title: 'Book', settings });
+  assert.deepEqual(validateRtf(rtf), []);
+  assert.match(rtf, /\{\\field\{\\\*\\fldinst TOC \\\\o "1-3" \\\\h \\\\z \\\\u\}\{\\fldrslt .*One.*Two.*\}\}/);
+  const body = rtf.slice(rtf.indexOf('TOC \\\\o'));
+  assert.equal(body.match(/\\outlinelevel0/g).length, 2, 'one H1 per note, none repeated');
+  assert.match(body, /One\\par\}.*First chapter.*\\page .*Two\\par\}.*Second chapter/s);
+  assert.match(rtf, /\{\\info\{\\title Book\}/);
+});
+
+test('compiling without a TOC starts with the first chapter', async () => {
+  const app = fakeApp({ 'One.md': 'Text' });
+  const rtf = await compileNotes(app, { settings }, [app.files['One.md']], { toc: false, settings });
+  assert.doesNotMatch(rtf, /fldinst TOC/);
+  assert.doesNotMatch(rtf, /\\page /);
+});
+
+test('indexNoteLinks lists linked and embedded notes once, in the order they appear', () => {
+  const link = (target, offset) => ({ link: target, position: { start: { offset } } });
+  const app = fakeApp({ 'Index.md': '', 'A.md': '', 'B.md': '', 'pic.png': '' }, {
+    'Index.md': {
+      links: [link('B', 30), link('A#Part', 10), link('Index', 5), link('Missing', 40), link('B', 50)],
+      embeds: [link('pic.png', 20), link('A', 60)]
+    }
+  });
+  assert.deepEqual(indexNoteLinks(app, app.files['Index.md']).map(f => f.path), ['A.md', 'B.md']);
+});
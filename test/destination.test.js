@@ -0,0 +1,48 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const obsidian = require('./obsidian');
+const { DEFAULT_SETTINGS, exportPath, saveExport } = require('./load');
+
+test('exportPath fills the template and sets the extension of the format', () => {
+  const d = new Date();
+  const today = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  assert.equal(exportPath('exports/{{folder}}/{{basename}}.rtf', { basename: 'Plan', folder: 'Work/Q3' }),
+    'exports/Work/Q3/Plan.rtf');
+  assert.equal(exportPath('exports/{{folder}}/{{ basename }} {{date}}', { basename: 'Plan', folder: '/' }, 'docx'),
+    `exports/Plan ${today}.docx`);
+  assert.equal(exportPath('', { basename: '', folder: '' }, 'odt'),
+    exportPath(DEFAULT_SETTINGS.exportPathTemplate, { basename: 'markdown', folder: '' }, 'odt'));
+});
+
+// Vault whose adapter already holds `existing`; writes land in `written`
+function fakeVault(existing = []) {
+  const written = {};
+  const app = {
+    vault: {
+      getAbstractFileByPath: () => ({}),
+      adapter: {
+        exists: async (path) => existing.includes(path) || path in written,
+        write: async (path, data) => { written[path] = data; }
+      }
+    }
+  };
+  return { app, written };
+}
+
+test('vault exports overwrite or take the next free name, and link the result', async () => {
+  const settings = { ...DEFAULT_SETTINGS, destination: 'vault', exportPathTemplate: 'out/{{basename}}' };
+  const target = { basename: 'Plan', folder: '' };
+
+  const overwrite = fakeVault(['out/Plan.rtf']);
+  assert.equal(await saveExport(overwrite.app, { ...settings, onConflict: 'overwrite' }, '{\\rtf1}', target), 'out/Plan.rtf');
+  assert.deepEqual(overwrite.written, { 'out/Plan.rtf': '{\\rtf1}' });
+
+  const rename = fakeVault(['out/Plan.rtf', 'out/Plan 1.rtf']);
+  assert.equal(await saveExport(rename.app, { ...settings, onConflict: 'rename' }, '{\\rtf1}', target), 'out/Plan 2.rtf');
+  assert.deepEqual(Object.keys(rename.written), ['out/Plan 2.rtf']);
+
+  const notice = obsidian.Notice.messages.at(-1);
+  assert.equal(notice.textContent, 'RTF saved to out/Plan 2.rtf');
+  assert.equal(notice.querySelector('a').textContent, 'out/Plan 2.rtf');
+});
@@ -0,0 +1,37 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_SETTINGS, htmlToRtf, validateRtf, extractFences, svgSize } = require('./load');
+
+const svg = (attrs) => new DOMParser()
+  .parseFromString(`<svg xmlns="http://www.w3.org/2000/svg" ${attrs}></svg>`, 'text/html').querySelector('svg');
+
+test('extractFences lists fenced blocks in order with their language', () => {
+  const md = '```mermaid\ngraph TD\nA-->B\n```\ntext\n  ~~~~ Chart extra\n  data\n  ~~~~\n```\nplain\n```';
+  assert.deepEqual(extractFences(md), [
+    { lang: 'mermaid', code: 'graph TD\nA-->B' },
+    { lang: 'chart', code: '  data' },
+    { lang: '', code: 'plain' }
+  ]);
+});
+
+test('svgSize prefers the measured size, then attributes, max-width and the viewBox', () => {
+  assert.deepEqual(svgSize(svg('data-rtf-size="320x180" width="10" height="10"')), { width: 320, height: 180 });
+  assert.deepEqual(svgSize(svg('width="200px" height="100"')), { width: 200, height: 100 });
+  assert.deepEqual(svgSize(svg('style="max-width: 400px" viewBox="0 0 800 200"')), { width: 400, height: 100 });
+  assert.deepEqual(svgSize(svg('viewBox="0 0 300 150"')), { width: 300, height: 150 });
+  assert.equal(svgSize(svg('width="100%"')), null);
+});
+
+test('diagrams become centered pictures with a Figure caption, or a placeholder without one', () => {
+  const pictures = new Map([['1', {
+    blip: 'pngblip', bytes: new Uint8Array([1, 2]), width: 400, height: 200, displayWidth: 200, displayHeight: 100
+  }]]);
+  const html = '<div class="rtf-diagram" data-rtf-pict="1" data-caption="Login flow"></div>'
+    + '<div class="rtf-diagram" data-caption="Lost"></div>';
+  const rtf = htmlToRtf(html, { ...DEFAULT_SETTINGS, diagramCaptions: true }, { pictures });
+  assert.deepEqual(validateRtf(rtf), []);
+  assert.match(rtf, /\\qc\\keepn [^]*\{\\pict\\pngblip\\picw400\\pich200\\picwgoal3000\\pichgoal1500\n0102\}/);
+  assert.match(rtf, /Figure \{\\field\{\\\*\\fldinst SEQ Figure \\\\\* ARABIC\}\{\\fldrslt 1\}\}: Login flow/);
+  assert.match(rtf, /\\brdrdash[^]*Lost/);
+});
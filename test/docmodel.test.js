@@ -0,0 +1,50 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { htmlToDocModel, docModelToDocx, docModelToOdt, DEFAULT_SETTINGS } = require('./load');
+const { readZip } = require('./zip');
+
+test('htmlToDocModel marks right-to-left leaf paragraphs and script runs', () => {
+  const { blocks } = htmlToDocModel(
+    '<div><p>שלום world</p><p>English 🎉</p></div><ul><li>English<ul><li>עברית</li></ul></li></ul><p>日本語</p>',
+    DEFAULT_SETTINGS);
+  const [hebrew, english, list, japanese] = blocks;
+  assert.equal(hebrew.rtl, true);
+  assert.deepEqual(hebrew.runs, [{ text: 'שלום', script: 'hebrew' }, { text: ' world' }]);
+  assert.equal(english.rtl, undefined);
+  assert.deepEqual(english.runs, [{ text: 'English ' }, { text: '🎉', script: 'emoji' }]);
+  assert.equal(list.items[0].blocks[0].rtl, undefined);
+  assert.equal(list.items[0].blocks[1].items[0].blocks[0].rtl, true);
+  assert.deepEqual(japanese.runs, [{ text: '日本語', script: 'eastAsian' }]);
+});
+
+test('htmlToDocModel keeps formulas as Word equations only in equation mode', () => {
+  const html = '<p>x <span class="math math-inline" data-tex="\\frac12">½</span></p>';
+  const [equation] = htmlToDocModel(html, DEFAULT_SETTINGS).blocks;
+  assert.deepEqual(equation.runs[1], { text: '\\frac12', code: true, math: '\\frac12', display: false });
+  const [source] = htmlToDocModel(html, { ...DEFAULT_SETTINGS, mathMode: 'tex' }).blocks;
+  assert.deepEqual(source.runs[1], { text: '\\frac12', code: true });
+});
+
+test('task items are list paragraphs whose marker is their checkbox', () => {
+  const html = '<ul><li data-task="x">Done<ul><li data-task=" ">Nested</li></ul></li><li>Plain</li></ul>';
+  const model = htmlToDocModel(html, DEFAULT_SETTINGS);
+  const [list] = model.blocks;
+  assert.equal(list.items[0].task, 'checked');
+  assert.deepEqual(list.items[0].blocks[0].runs, [{ text: 'Done' }]);
+
+  const docx = readZip(docModelToDocx(model, DEFAULT_SETTINGS));
+  const paras = docx['word/document.xml'].text.match(/<w:p>.*?<\/w:p>/g);
+  const numIds = paras.map(p => p.match(/<w:ilvl w:val="(\d)"\/><w:numId w:val="(\d+)"\/>/).slice(1).join('/'));
+  const numbering = docx['word/numbering.xml'].text;
+  const marker = (numId) => numbering.match(new RegExp(`<w:abstractNum w:abstractNumId="${numId - 1}">.*?<w:lvlText w:val="(.)"`))[1];
+  assert.deepEqual(numIds.map(id => marker(Number(id.split('/')[1]))), ['☑', '☐', '•']);
+  assert.deepEqual(numIds.map(id => id.split('/')[0]), ['0', '1', '0']);
+
+  const content = readZip(docModelToOdt(model, DEFAULT_SETTINGS))['content.xml'].text;
+  assert.doesNotMatch(content, /list-header/);
+  const overrides = Array.from(content.matchAll(/<text:list-item text:style-override="(\w+)">/g), m => m[1]);
+  assert.equal(overrides.length, 2);
+  const bullet = (name) => content.match(new RegExp(`<text:list-style style:name="${name}">.*?text:bullet-char="(.)"`))[1];
+  assert.deepEqual(overrides.map(bullet), ['☑', '☐']);
+});
@@ -0,0 +1,86 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const obsidian = require('./obsidian');
+const { DEFAULT_SETTINGS, HtmlRenderer, htmlToRtf, validateRtf } = require('./load');
+
+// Notes in these tests are written as the HTML they render to
+obsidian.MarkdownRenderer.render = async (app, markdown, el) => { el.innerHTML = markdown; };
+
+function png(width, height) {
+  const bytes = new Uint8Array(24);
+  bytes.set([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13, 0x49, 0x48, 0x44, 0x52]);
+  new DataView(bytes.buffer).setUint32(16, width);
+  new DataView(bytes.buffer).setUint32(20, height);
+  return bytes;
+}
+
+// Links resolve next to the linking note first, then from the vault root
+function fakeApp(files) {
+  const byPath = Object.fromEntries(Object.keys(files).map(path => [path, Object.assign(new obsidian.TFile(), {
+    path, basename: path.split('/').pop().replace(/\.\w+$/, ''), extension: path.split('.').pop()
+  })]));
+  const reads = [];
+  const find = (link, from = '') => {
+    const dir = from.split('/').slice(0, -1).join('/');
+    const names = [link, `${link}.md`];
+    return names.map(n => byPath[dir ? `${dir}/${n}` : n]).find(Boolean) || names.map(n => byPath[n]).find(Boolean) || null;
+  };
+  return {
+    reads,
+    vault: {
+      getName: () => 'My Vault',
+      cachedRead: async (file) => files[file.path],
+      readBinary: async (file) => { reads.push(file.path); return files[file.path].buffer; },
+      getAbstractFileByPath: (path) => byPath[path] || null
+    },
+    metadataCache: { getFirstLinkpathDest: find, getFileCache: () => null }
+  };
+}
+
+async function exportNote(app, markdown, settings) {
+  settings = { ...DEFAULT_SETTINGS, renderWait: 'tick', ...settings };
+  const renderer = new HtmlRenderer(app, null, settings);
+  const html = await renderer.render(markdown, 'Outer.md');
+  const rtf = htmlToRtf(html, settings, { pictures: renderer.pictures });
+  assert.deepEqual(validateRtf(rtf), []);
+  return rtf;
+}
+
+test('images of an embedded note are loaded once, next to that note', async () => {
+  const app = fakeApp({
+    'Outer.md': '',
+    'Sub/Inner.md': '<p>Inner text</p><p><img src="pic.png"></p>',
+    'Sub/pic.png': png(800, 600),
+    'pic.png': png(10, 10)
+  });
+  const rtf = await exportNote(app, '<p><span class="internal-embed" src="Sub/Inner"></span></p>');
+  assert.match(rtf, /Inner text/);
+  assert.deepEqual(app.reads, ['Sub/pic.png']);
+  assert.equal(rtf.match(/\\pict/g).length, 1);
+  assert.match(rtf, /\\picw800\\pich600/);
+});
+
+test('embeds deeper than the limit stay as a [[link]]', async () => {
+  const app = fakeApp({ 'Outer.md': '', 'Loop.md': '<p>Loop text</p><p><span class="internal-embed" src="Loop"></span></p>' });
+  const rtf = await exportNote(app, '<p><span class="internal-embed" src="Loop"></span></p>', { embedDepth: 2 });
+  assert.equal(rtf.match(/Loop text/g).length, 2);
+  assert.match(rtf, /\[\[Loop\]\]/);
+});
+
+test('internal links export as text, bookmarks or obsidian:// links per setting', async () => {
+  const app = fakeApp({ 'Outer.md': '', 'Sub/Inner.md': '' });
+  const note = '<h2>Goal</h2><p><a class="internal-link" data-href="#Goal" href="#Goal">up</a> '
+    + '<a class="internal-link" data-href="Sub/Inner#Part" href="Sub/Inner#Part">inner</a> '
+    + '<a class="internal-link" data-href="Nowhere" href="Nowhere">gone</a></p>';
+  const text = await exportNote(app, note, { internalLinks: 'text' });
+  assert.doesNotMatch(text, /HYPERLINK/);
+  const bookmarks = await exportNote(app, note, { internalLinks: 'bookmark' });
+  assert.match(bookmarks, /\{\\\*\\bkmkstart h_Goal\}/);
+  assert.match(bookmarks, /HYPERLINK \\\\l "h_Goal"\}\{\\fldrslt [^}]*up/);
+  assert.equal(bookmarks.match(/HYPERLINK/g).length, 1);
+  const uris = await exportNote(app, note, { internalLinks: 'obsidian' });
+  assert.match(uris, /HYPERLINK "obsidian:\/\/open\?vault=My%20Vault&file=Sub%2FInner\.md%23Part"\}\{\\fldrslt [^}]*inner/);
+  assert.match(uris, /HYPERLINK "obsidian:\/\/open\?vault=My%20Vault&file=Outer\.md%23Goal"/);
+  assert.doesNotMatch(uris, /Nowhere/);
+});
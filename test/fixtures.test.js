@@ -0,0 +1,22 @@
+'use strict';
+// Golden fixtures: fixtures/<name>.html → htmlToRtf → fixtures/<name>.rtf. An optional
+// fixtures/<name>.json holds { settings, meta }. UPDATE_FIXTURES=1 rewrites the .rtf files.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { htmlToRtf, validateRtf, DEFAULT_SETTINGS } = require('./load');
+
+const dir = path.join(__dirname, 'fixtures');
+const read = (name) => fs.readFileSync(path.join(dir, name), 'utf8').replace(/\r\n/g, '\n');
+
+for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.html')).sort()) {
+  const name = file.slice(0, -'.html'.length);
+  test(name, () => {
+    const options = fs.existsSync(path.join(dir, `${name}.json`)) ? JSON.parse(read(`${name}.json`)) : {};
+    const rtf = htmlToRtf(read(file).trim(), { ...DEFAULT_SETTINGS, ...options.settings }, { meta: options.meta });
+    assert.deepEqual(validateRtf(rtf), []);
+    if (process.env.UPDATE_FIXTURES) fs.writeFileSync(path.join(dir, `${name}.rtf`), rtf);
+    else assert.equal(rtf, read(`${name}.rtf`));
+  });
+}
@@ -0,0 +1,38 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_SETTINGS, htmlToRtf, validateRtf } = require('./load');
+
+// Obsidian's reading-view markup: references in the text, the notes in section.footnotes
+const ref = (id, n) => `<sup data-footnote-id="fnref-${id}" class="footnote-ref"><a href="#fn-${id}" class="footnote-link">[${n}]</a></sup>`;
+const note = (id, html, liId = id) => `<li id="fn-${liId}" class="footnote">`
+  + `<p>${html}<a class="footnote-backref" href="#fnref-${id}">↩︎</a></p></li>`;
+const render = (html, settings = {}) => {
+  const rtf = htmlToRtf(html, { ...DEFAULT_SETTINGS, ...settings });
+  assert.deepEqual(validateRtf(rtf), []);
+  return rtf;
+};
+const html = `<p>Claim${ref('1-a', 1)} and aside${ref('2-a', 2)}.</p>`
+  + `<section class="footnotes"><hr><ol>${note('1-a', 'The <em>source</em>.')}${note('2-a', 'Inline note')}</ol></section>`;
+
+test('references become footnotes at the reference point', () => {
+  const rtf = render(html);
+  assert.match(rtf, /\\fet0\\ftnbj\\ftnnar/);
+  assert.match(rtf, /Claim\{\\super\\chftn\}\{\\footnote\\pard\\plain\\f0\\fs20 \{\\super\\chftn\} The \\i source\\i0 \.\}/);
+  assert.match(rtf, /aside\{\\super\\chftn\}\{\\footnote\\pard[^}]*\} Inline note\}\./);
+  // The section itself and the back links are not repeated at the end
+  assert.doesNotMatch(rtf, /↩|\\u8617|\\footnote[^}]*\}[^]*\\footnote[^}]*\}[^]*\\footnote/);
+});
+
+test('endnotes are footnotes with \\ftnalt', () => {
+  const rtf = render(html, { footnotes: 'endnote' });
+  assert.match(rtf, /\\fet1\\aenddoc\\aftnnar/);
+  assert.equal(rtf.match(/\{\\footnote\\ftnalt\\pard/g).length, 2);
+});
+
+test('footnote ids are matched decoded, or as written when they do not decode', () => {
+  const rtf = render(`<p>a${ref('%C3%A9', 1)} b${ref('50%-off', 2)}</p>`
+    + `<section class="footnotes"><ol>${note('%C3%A9', 'Accent', 'é')}${note('50%-off', 'Percent')}</ol></section>`);
+  assert.match(rtf, /\{\\super\\chftn\} Accent\}/);
+  assert.match(rtf, /\{\\super\\chftn\} Percent\}/);
+});
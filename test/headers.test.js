@@ -0,0 +1,37 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_SETTINGS, htmlToRtf, validateRtf } = require('./load');
+
+const render = (settings, meta = { title: 'Plan {x}' }) => {
+  const rtf = htmlToRtf('<p>Body</p>', { ...DEFAULT_SETTINGS, ...settings }, { meta });
+  assert.deepEqual(validateRtf(rtf), []);
+  return rtf;
+};
+const group = (rtf, word) => rtf.match(new RegExp(`\\{\\\\${word}\\\\pard.*?\\\\par\\}`))?.[0];
+
+test('header and footer templates fill the title and page fields', () => {
+  const rtf = render({ headerTemplate: '{{title}}', headerAlign: 'left',
+    footerTemplate: 'Page {{ page }} of {{pages}}', footerAlign: 'right' });
+  assert.match(rtf, /\\sectd\n/);
+  assert.equal(group(rtf, 'header'), '{\\header\\pard\\plain\\ql\\f0\\fs20 Plan \\{x\\}\\par}');
+  assert.equal(group(rtf, 'footer'), '{\\footer\\pard\\plain\\qr\\f0\\fs20 Page '
+    + '{\\field{\\*\\fldinst PAGE}{\\fldrslt 1}} of {\\field{\\*\\fldinst NUMPAGES}{\\fldrslt 1}}\\par}');
+});
+
+test('the date placeholder and the default alignment', () => {
+  const footer = group(render({ footerTemplate: '{{date}}' }), 'footer');
+  assert.equal(footer, `{\\footer\\pard\\plain\\qc\\f0\\fs20 ${new Date().toLocaleDateString()}\\par}`);
+});
+
+test('a different first page gets its own header and footer under \\titlepg', () => {
+  const rtf = render({ headerTemplate: '{{title}}', differentFirstPage: true, firstPageFooterTemplate: '{{page}}' });
+  assert.match(rtf, /\\sectd\\titlepg\n/);
+  assert.ok(group(rtf, 'header'));
+  assert.equal(group(rtf, 'headerf'), '{\\headerf\\pard\\plain\\qc\\f0\\fs20 \\par}');
+  assert.match(group(rtf, 'footerf'), /\\fldinst PAGE\}/);
+});
+
+test('no templates, no section group', () => {
+  assert.doesNotMatch(render({}), /\\sectd|\\header|\\footer/);
+});
@@ -0,0 +1,34 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_SETTINGS, htmlToRtf, rtfToMarkdown } = require('./load');
+
+test('rtfToMarkdown keeps PNG pictures and leaves out EMF/WMF ones', () => {
+  const rtf = '{\\rtf1\\ansi {\\pict\\pngblip 89504e47}\\par {\\pict\\wmetafile8 0100}\\par {\\pict\\emfblip 0100}\\par}';
+  const { markdown, images, skipped } = rtfToMarkdown(rtf);
+  assert.deepEqual(images.map(img => img.name), ['image 1.png']);
+  assert.equal(skipped, 2);
+  assert.match(markdown, /!\[\[image 1\.png\]\]/);
+  assert.match(markdown, /\*\[WMF picture not imported\]\*/);
+  assert.match(markdown, /\*\[EMF picture not imported\]\*/);
+});
+
+test('rtfToMarkdown reads headings, emphasis, lists and tables', () => {
+  const rtf = htmlToRtf('<h1>Title</h1><p>Plain <b>bold</b> <i>it</i></p><ul><li>one<ul><li>two</li></ul></li></ul>'
+    + '<ol><li>first</li></ol><table><tr><th>A</th><th>B</th></tr><tr><td>1</td><td>2</td></tr></table>', DEFAULT_SETTINGS);
+  assert.equal(rtfToMarkdown(rtf).markdown,
+    '# Title\n\nPlain **bold** *it*\n\n- one\n\t- two\n1. first\n\n| **A** | **B** |\n| --- | --- |\n| 1 | 2 |\n');
+});
+
+test('rtfToMarkdown turns links to vault notes into wikilinks', () => {
+  const link = (url, text) => `{\\field{\\*\\fldinst HYPERLINK "${url}"}{\\fldrslt ${text}}} `;
+  const rtf = '{\\rtf1\\ansi {\\pard '
+    + link('https://example.com/a b', 'site')
+    + link('obsidian://open?vault=V&file=Notes%2FPlan.md', 'Plan')
+    + link('obsidian://open?vault=V&file=50%25%20off.md', 'the deal')
+    // Not valid percent-encoding: the name is kept as written
+    + link('obsidian://open?vault=V&file=100%off', '100%off')
+    + '\\par}}';
+  assert.equal(rtfToMarkdown(rtf).markdown.trim(),
+    '[site](https://example.com/a%20b) [[Notes/Plan|Plan]] [[50% off|the deal]] [[100%off]]');
+});
@@ -0,0 +1,19 @@
+'use strict';
+// main.js in Node: `obsidian` resolves to the stub next to this file and jsdom provides the DOM
+const Module = require('module');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const { window } = new JSDOM('<!doctype html><html><body></body></html>');
+global.DOMParser = window.DOMParser;
+// HtmlRenderer renders into, and observes, an element of the page
+global.window = window;
+global.document = window.document;
+global.MutationObserver = window.MutationObserver;
+
+const resolve = Module._resolveFilename;
+Module._resolveFilename = function (request, ...rest) {
+  return request === 'obsidian' ? path.join(__dirname, 'obsidian.js') : resolve.call(this, request, ...rest);
+};
+
+module.exports = require('../main.js');
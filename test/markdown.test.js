@@ -0,0 +1,41 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sectionAt, stripComments } = require('./load');
+
+test('sectionAt finds headings in the text, skipping frontmatter and code fences', () => {
+  const md = [
+    '---', 'title: x', '# not a heading', '---',
+    '# A', 'text',
+    '````md', '# fenced', '```', 'still fenced', '````',
+    '## B #', 'b',
+    '# C', 'c'
+  ].join('\n');
+  assert.deepEqual(sectionAt(md, 7), {
+    heading: 'A',
+    markdown: '# A\ntext\n````md\n# fenced\n```\nstill fenced\n````\n## B #\nb'
+  });
+  assert.deepEqual(sectionAt(md, 12), { heading: 'B', markdown: '## B #\nb' });
+  assert.equal(sectionAt(md, 1), null);
+});
+
+test('sectionAt follows unsaved edits above the cursor', () => {
+  const md = '# Intro\nnew line\nanother\n# Target\nbody';
+  assert.deepEqual(sectionAt(md, 4), { heading: 'Target', markdown: '# Target\nbody' });
+});
+
+test('stripComments keeps %%comments%% inside code fences, spans and indented or longer fences', () => {
+  const md = [
+    'a %%gone%% b',
+    '  ````md', '  %%kept%%', '  ```', '  %%kept too%%', '  ````',
+    '~~~~', '%%kept%%', '~~~~',
+    '`%%kept%%` %%gone',
+    'still gone%% c'
+  ].join('\n');
+  assert.equal(stripComments(md), [
+    'a  b',
+    '  ````md', '  %%kept%%', '  ```', '  %%kept too%%', '  ````',
+    '~~~~', '%%kept%%', '~~~~',
+    '`%%kept%%`  c'
+  ].join('\n'));
+});
@@ -0,0 +1,54 @@
+'use strict';
+// Just enough of the `obsidian` module for main.js to load outside the app
+
+class Component {
+  load() {}
+  unload() {}
+  register() {}
+  registerEvent() {}
+}
+class Plugin extends Component {
+  constructor(app, manifest) { super(); this.app = app; this.manifest = manifest; }
+}
+class PluginSettingTab {
+  constructor(app, plugin) { this.app = app; this.plugin = plugin; }
+}
+class Modal {
+  constructor(app) { this.app = app; }
+  open() {}
+  close() {}
+}
+// Notice.messages: what the plugin told the user, oldest first
+class Notice {
+  constructor(message) { this.message = message; Notice.messages.push(message); }
+  setMessage(message) { this.message = message; return this; }
+  hide() {}
+}
+Notice.messages = [];
+class Setting {}
+class TAbstractFile {}
+class TFile extends TAbstractFile {}
+class TFolder extends TAbstractFile {}
+
+module.exports = {
+  Component,
+  Plugin,
+  PluginSettingTab,
+  Modal,
+  Notice,
+  Setting,
+  TAbstractFile,
+  TFile,
+  TFolder,
+  MarkdownRenderer: { render: async () => {} },
+  getAllTags: () => [],
+  loadMathJax: async () => {},
+  normalizePath: (p) => String(p).replace(/\\/g, '/').replace(/\/+/g, '/').replace(/^\/|\/$/g, ''),
+  // tags / tag as a list or a comma-separated string, as '#tag'
+  parseFrontMatterTags: (fm) => {
+    const tags = [fm?.tags, fm?.tag].flatMap(v => (typeof v === 'string' ? v.split(/[,\s]+/) : v || []))
+      .filter(Boolean).map(t => (t.startsWith('#') ? t : '#' + t));
+    return tags.length ? tags : null;
+  },
+  resolveSubpath: () => null
+};
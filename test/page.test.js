@@ -0,0 +1,32 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_SETTINGS, htmlToRtf, validateRtf, pageSetup } = require('./load');
+
+test('pageSetup turns paper, orientation and margins into twips', () => {
+  const a4 = pageSetup(DEFAULT_SETTINGS);
+  assert.deepEqual([a4.paperW, a4.paperH, a4.landscape], [11906, 16838, false]);
+  const letter = pageSetup({ ...DEFAULT_SETTINGS, paperSize: 'letter', orientation: 'landscape',
+    marginLeft: 10, marginRight: 0, marginTop: 'x', marginBottom: -5 });
+  assert.deepEqual([letter.paperW, letter.paperH, letter.landscape], [15840, 12240, true]);
+  // Invalid margins fall back to 25 mm; zero is kept
+  assert.deepEqual([letter.margL, letter.margR, letter.margT, letter.margB], [567, 0, 1417, 1417]);
+  assert.equal(letter.contentWidth, 15840 - 567);
+  const custom = pageSetup({ ...DEFAULT_SETTINGS, paperSize: 'custom', paperWidth: 100, paperHeight: 50 });
+  assert.deepEqual([custom.paperW, custom.paperH], [2835, 5669]);
+});
+
+test('the document section carries the page setup', () => {
+  const rtf = htmlToRtf('<p>x</p>', { ...DEFAULT_SETTINGS, orientation: 'landscape' });
+  assert.match(rtf, /\\paperw16838\\paperh11906\\margl1417\\margr1417\\margt1417\\margb1417\\landscape/);
+});
+
+test('font names are encoded in the document codepage', () => {
+  const rtf = htmlToRtf('<p>дом</p>', { ...DEFAULT_SETTINGS, codepage: '1251',
+    bodyFont: 'Шрифт', codeFont: 'Mono{x}', headingFont: 'Заголовок' });
+  assert.deepEqual(validateRtf(rtf), []);
+  const fonts = rtf.match(/\{\\fonttbl.*?\}\}/)[0];
+  assert.match(fonts, /\{\\f0\\fnil\\fcharset204 \\u1064\\'d8/);
+  assert.match(fonts, /\{\\f1\\fmodern\\fcharset204 Monox;\}/);
+  assert.match(fonts, /\{\\f2\\fnil\\fcharset204 \\u1047\\'c7/);
+});
@@ -0,0 +1,61 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_SETTINGS, HtmlRenderer, htmlToRtf, validateRtf, pageSetup } = require('./load');
+
+// Smallest PNG header pngSize reads: signature, IHDR length and type, width, height
+function png(width, height) {
+  const bytes = new Uint8Array(24);
+  bytes.set([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13, 0x49, 0x48, 0x44, 0x52]);
+  new DataView(bytes.buffer).setUint32(16, width);
+  new DataView(bytes.buffer).setUint32(20, height);
+  return bytes;
+}
+
+// Vault with `files` (name → bytes) that resolves links by file name
+function fakeApp(files) {
+  const reads = [];
+  return {
+    reads,
+    vault: { readBinary: async (file) => { reads.push(file.path); return files[file.path].buffer; } },
+    metadataCache: {
+      getFirstLinkpathDest: (link) => files[link] ? { path: link, extension: link.split('.').pop() } : null
+    }
+  };
+}
+
+async function exportImages(html, files, settings = DEFAULT_SETTINGS) {
+  const app = fakeApp(files);
+  const renderer = new HtmlRenderer(app, null, settings);
+  const container = new DOMParser().parseFromString(`<div>${html}</div>`, 'text/html').body.firstChild;
+  await renderer.embedImages(container, 'Notes/Meeting.md');
+  const rtf = htmlToRtf(container.innerHTML, settings, { pictures: renderer.pictures });
+  assert.deepEqual(validateRtf(rtf), []);
+  return { rtf, reads: app.reads };
+}
+
+test('vault images are embedded as pictures sized from the width hint', async () => {
+  const { rtf } = await exportImages(
+    '<span class="internal-embed image-embed" src="shot.png|300" width="300"><img src="app://local/shot.png" width="300"></span>',
+    { 'shot.png': png(800, 600) });
+  assert.match(rtf, /\{\\pict\\pngblip\\picw800\\pich600\\picwgoal4500\\pichgoal3375\n89504e47/);
+  assert.doesNotMatch(rtf, /brdrdash/);
+});
+
+test('pictures wider than the page are scaled down to the text width', async () => {
+  const { rtf } = await exportImages('<img src="wide.png">', { 'wide.png': png(2000, 500) });
+  const width = pageSetup(DEFAULT_SETTINGS).contentWidth;
+  assert.match(rtf, new RegExp(`\\\\picwgoal${width}\\\\pichgoal${Math.round(7500 * width / 30000)}\\n`));
+});
+
+test('missing, remote and oversized images stay dashed placeholder boxes', async () => {
+  const settings = { ...DEFAULT_SETTINGS, maxImageSizeKb: 1 };
+  const big = new Uint8Array(2048);
+  big.set(png(10, 10));
+  const { rtf } = await exportImages(
+    '<img src="missing.png"><img src="https://example.com/remote.png"><img src="big.png">',
+    { 'big.png': big }, settings);
+  assert.doesNotMatch(rtf, /\\pict/);
+  assert.equal(rtf.match(/\\brdrdash/g).length / 4, 3);
+  for (const name of ['missing.png', 'remote.png', 'big.png']) assert.ok(rtf.includes(name), name);
+});
@@ -0,0 +1,34 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_SETTINGS, profileSettings, parseProfilesJson } = require('./load');
+
+test('parseProfilesJson reads the settings-tab export and a bare map', () => {
+  const exported = parseProfilesJson('{"profiles": {" Print ": {"bodyFontSize": 11, "paperSize": "a4"}}}');
+  assert.deepEqual(exported, { Print: { bodyFontSize: 11, paperSize: 'a4' } });
+  assert.deepEqual(parseProfilesJson('{"Web": {"embedImages": false}}'), { Web: { embedImages: false } });
+});
+
+test('parseProfilesJson keeps only setting keys a profile may hold', () => {
+  const profiles = parseProfilesJson(JSON.stringify({
+    Letter: { paperSize: 'letter', profiles: { nested: {} }, askProfile: true, unknownKey: 1 },
+    '  ': { paperSize: 'a5' },
+    Broken: 'not an object'
+  }));
+  assert.deepEqual(profiles, { Letter: { paperSize: 'letter' } });
+});
+
+test('parseProfilesJson rejects JSON without profiles', () => {
+  assert.throws(() => parseProfilesJson('[1, 2]'), /No profiles found/);
+  assert.throws(() => parseProfilesJson('null'), /No profiles found/);
+  assert.throws(() => parseProfilesJson('{'), SyntaxError);
+});
+
+test('profileSettings lays a profile over the settings and falls back when it is missing', () => {
+  const settings = { ...DEFAULT_SETTINGS, bodyFontSize: 12, profiles: { Small: { bodyFontSize: 9 } } };
+  assert.equal(profileSettings(settings, ''), settings);
+  assert.equal(profileSettings(settings, 'Missing'), settings);
+  const small = profileSettings(settings, 'Small');
+  assert.equal(small.bodyFontSize, 9);
+  assert.equal(small.paperSize, settings.paperSize);
+});
@@ -0,0 +1,46 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TFile } = require('./obsidian');
+const { DEFAULT_SETTINGS, htmlToRtf, validateRtf, noteMeta } = require('./load');
+
+const note = (frontmatter) => {
+  const file = Object.assign(new TFile(), { path: 'Notes/Plan.md', basename: 'Plan', stat: { ctime: Date.UTC(2024, 0, 2) } });
+  const app = { metadataCache: { getFileCache: () => (frontmatter ? { frontmatter } : null) } };
+  return noteMeta(app, file);
+};
+const render = (meta, settings = {}) => {
+  const rtf = htmlToRtf('<p>Body</p>', { ...DEFAULT_SETTINGS, ...settings }, { meta });
+  assert.deepEqual(validateRtf(rtf), []);
+  return rtf;
+};
+
+test('noteMeta reads title, authors, tags, description and date from the frontmatter', () => {
+  const meta = note({ title: 'Квартал', authors: ['Ann', 'Bo'], tags: ['plan', '#q3'], description: 'Numbers',
+    created: '2024-05-06T07:08:00', position: {} });
+  assert.deepEqual({ ...meta, created: meta.created.getTime() }, {
+    title: 'Квартал', author: 'Ann, Bo', keywords: 'plan, q3', subject: 'Numbers',
+    created: new Date(2024, 4, 6, 7, 8).getTime(),
+    properties: { title: 'Квартал', authors: ['Ann', 'Bo'], tags: ['plan', '#q3'], description: 'Numbers', created: '2024-05-06T07:08:00' }
+  });
+  const bare = note(null);
+  assert.equal(bare.title, 'Plan');
+  assert.equal(bare.created.getTime(), Date.UTC(2024, 0, 2));
+});
+
+test('the \\info group carries the metadata', () => {
+  const meta = note({ title: 'Квартал', author: 'Ann', tags: 'plan', summary: 'Numbers', date: '2024-05-06T07:08:00' });
+  const info = render(meta, { codepage: '1251' }).match(/\{\\info.*?\}\}/)[0];
+  assert.equal(info, "{\\info{\\title \\u1050\\'ca\\u1074\\'e2\\u1072\\'e0\\u1088\\'f0\\u1090\\'f2\\u1072\\'e0\\u1083\\'eb}"
+    + '{\\author Ann}{\\keywords plan}{\\subject Numbers}{\\creatim\\yr2024\\mo5\\dy6\\hr7\\min8}}');
+  assert.doesNotMatch(render(meta, { documentProperties: false }), /\\info/);
+});
+
+test('the title page and properties table lead the body', () => {
+  const meta = note({ title: 'Plan', author: 'Ann', description: 'Numbers', status: 'draft', tags: ['a', 'b'] });
+  const rtf = render(meta, { frontmatterTitlePage: true, frontmatterTable: true });
+  const body = rtf.slice(rtf.indexOf('\\paperw'));
+  const order = ['Plan', 'Ann', 'Numbers', '\\page', 'status', 'draft', 'a, b', 'Body'].map(s => body.indexOf(s));
+  assert.ok(order.every((at, i) => at > (order[i - 1] ?? 0)), String(order));
+  assert.doesNotMatch(render(meta), /\\page |draft/);
+});
@@ -0,0 +1,32 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const obsidian = require('./obsidian');
+const { DEFAULT_SETTINGS, HtmlRenderer } = require('./load');
+
+// Notes in these tests are written as the HTML they render to; empty plugin blocks are
+// filled in 100 ms later, the way a code block processor does after MarkdownRenderer.render
+obsidian.MarkdownRenderer.render = async (app, markdown, el) => {
+  el.innerHTML = markdown;
+  setTimeout(() => el.querySelectorAll('.block-language-dataview:empty')
+    .forEach(block => { block.innerHTML = '<ul><li>Result</li></ul>'; }), 100);
+};
+const settings = { ...DEFAULT_SETTINGS, renderWait: 'settle', renderTimeout: 5, embedImages: false };
+
+async function timed(markdown) {
+  const started = Date.now();
+  const html = await new HtmlRenderer({ vault: { getName: () => 'Vault' } }, null, settings).render(markdown);
+  return { html, ms: Date.now() - started };
+}
+
+test('a note without plugin blocks does not wait to settle', async () => {
+  const { html, ms } = await timed('<p>Plain text</p>');
+  assert.equal(html, '<p>Plain text</p>');
+  assert.ok(ms < 250, `${ms} ms`); // settling takes at least its 300 ms quiet period
+});
+
+test('a plugin block is waited for until it is filled in', async () => {
+  const { html, ms } = await timed('<p>Tasks:</p><div class="block-language-dataview"></div>');
+  assert.equal(html, '<p>Tasks:</p><div class="block-language-dataview"><ul><li>Result</li></ul></div>');
+  assert.ok(ms >= 100 && ms < 5000, `${ms} ms`);
+});
@@ -0,0 +1,53 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  encodeTextToRtf, escapeForFldinst, validateRtf, parseColorToRGB, collectColors, texToOmml
+} = require('./load');
+
+test('encodeTextToRtf escapes RTF specials and line breaks', () => {
+  assert.equal(encodeTextToRtf('a{b}\\c\n\td'), 'a\\{b\\}\\\\c\\line \\tab d');
+});
+
+test('encodeTextToRtf falls back to the codepage byte', () => {
+  assert.equal(encodeTextToRtf('дом', 1251), "\\u1076\\'e4\\u1086\\'ee\\u1084\\'ec");
+  assert.equal(encodeTextToRtf('é'), "\\u233\\'e9");
+  // Not in 1252: the base letter, as hex like every fallback
+  assert.equal(encodeTextToRtf('ő'), "\\u337\\'6f");
+});
+
+test('encodeTextToRtf writes double-byte fallbacks with \\uc2 and restores \\uc1', () => {
+  assert.equal(encodeTextToRtf('日本 x', 932), "\\uc2\\u26085\\'93\\'fa\\u26412\\'96\\'7b\\uc1  x");
+});
+
+test('escapeForFldinst keeps the instruction 7-bit', () => {
+  assert.equal(escapeForFldinst('https://x/"{a}"/д', 1251), 'https://x/\\"\\{a\\}\\"/\\u1076\\\'e4');
+});
+
+test('validateRtf reports structural problems', () => {
+  assert.deepEqual(validateRtf('{\\rtf1 {\\b x}\\par}'), []);
+  assert.deepEqual(validateRtf('{\\rtf1 {\\b x}'), ['1 unclosed group(s)']);
+  const problems = validateRtf("{\\rtf1 \\'zz é}");
+  assert.ok(problems.some(p => p.startsWith('Bad hex escape')));
+  assert.ok(problems.some(p => p.startsWith('Unescaped non-ASCII')));
+});
+
+test('parseColorToRGB reads hex, functions and names, blending alpha against white', () => {
+  assert.deepEqual(parseColorToRGB('#c00'), { r: 204, g: 0, b: 0 });
+  assert.deepEqual(parseColorToRGB('rgba(255, 0, 0, 0.5)'), { r: 255, g: 128, b: 128 });
+  assert.deepEqual(parseColorToRGB('rebeccapurple'), { r: 102, g: 51, b: 153 });
+  assert.equal(parseColorToRGB('not a color'), null);
+});
+
+test('collectColors appends document colors after the fixed ones', () => {
+  const dom = new DOMParser().parseFromString('<p style="color: #123456">x</p>', 'text/html');
+  const colors = collectColors(dom.body);
+  assert.equal(colors.indexOf({ r: 0x12, g: 0x34, b: 0x56 }), 5);
+  assert.match(colors.table, /^\{\\colortbl;\\red255\\green255\\blue0;.*\\red18\\green52\\blue86;\}$/);
+});
+
+test('texToOmml takes one character per unbraced argument, as TeX does', () => {
+  assert.equal(texToOmml('\\frac12'), '{\\mf{\\mnum {\\mr 1}}{\\mden {\\mr 2}}}');
+  assert.equal(texToOmml('x^23'), '{\\msSup{\\me {\\mr x}}{\\msup {\\mr 2}}}{\\mr 3}');
+  assert.equal(texToOmml('\\frac{12}{3}'), '{\\mf{\\mnum {\\mr 12}}{\\mden {\\mr 3}}}');
+});
@@ -0,0 +1,29 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_SETTINGS, htmlToRtf, validateRtf } = require('./load');
+
+const render = (html) => {
+  const rtf = htmlToRtf(html, DEFAULT_SETTINGS);
+  assert.deepEqual(validateRtf(rtf), []);
+  return rtf;
+};
+
+test('the stylesheet defines the heading, quote and code styles', () => {
+  const sheet = render('<p>x</p>').match(/\{\\stylesheet.*?\}\}/)[0];
+  for (const [s, name] of [[0, 'Normal'], [7, 'Block Quote'], [8, 'Code'], [9, 'Callout']]) {
+    assert.match(sheet, new RegExp(`\\{\\\\s${s}\\\\[^;]*? ${name};\\}`));
+  }
+  for (let level = 1; level <= 6; level++) {
+    assert.match(sheet, new RegExp(`\\{\\\\s${level}\\\\[^;]*\\\\outlinelevel${level - 1}[^;]*\\\\sbasedon0\\\\snext0 heading ${level};\\}`));
+  }
+});
+
+test('paragraphs reference their style and repeat its properties', () => {
+  const body = render('<h1>Title</h1><h3>Sub</h3><blockquote><p>Said</p></blockquote><pre><code>x = 1</code></pre>')
+    .split('\\paperw')[1];
+  assert.match(body, /\\s1\\sb240\\sa\d+\\keepn\\outlinelevel0\\f2\\b\\fs\d+[^]*?Title/);
+  assert.match(body, /\\s3\\sb240\\sa\d+\\keepn\\outlinelevel2[^]*?Sub/);
+  assert.match(body, /\\s7\\li720\\sb120\\sa\d+\\i[^]*?Said/);
+  assert.match(body, /\\s8\\li720[^]*?\\f1[^]*?x = 1/);
+});
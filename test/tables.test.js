@@ -0,0 +1,50 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_SETTINGS, htmlToRtf, validateRtf, pageSetup } = require('./load');
+
+const rows = (html) => {
+  const rtf = htmlToRtf(html, DEFAULT_SETTINGS);
+  assert.deepEqual(validateRtf(rtf), []);
+  return rtf.split('\\trowd').slice(1).map(row => ({
+    rtf: row,
+    edges: Array.from(row.matchAll(/\\cellx(\d+)/g), m => Number(m[1])),
+    cells: row.match(/\\pard\\intbl.*?\\cell\}/g) || []
+  }));
+};
+const widths = (edges) => edges.map((x, i) => x - (edges[i - 1] || 0));
+
+test('column widths follow the content and fit the printable width', () => {
+  const long = 'word '.repeat(40).trim();
+  const [narrow] = rows('<table><tr><td>a</td><td>a much longer cell text</td></tr></table>');
+  const [small, large] = widths(narrow.edges);
+  assert.ok(large > small, `${large} > ${small}`);
+  const [wide] = rows(`<table><tr>${`<td>${long}</td>`.repeat(5)}</tr></table>`);
+  const { contentWidth } = pageSetup(DEFAULT_SETTINGS);
+  assert.ok(wide.edges.at(-1) <= contentWidth, `${wide.edges.at(-1)} <= ${contentWidth}`);
+  assert.ok(wide.edges.at(-1) > contentWidth - 10);
+});
+
+test('header rows repeat on every page in bold, body rows do not', () => {
+  const [head, body] = rows('<table><thead><tr><th>Name</th></tr></thead><tbody><tr><td>Apples</td></tr></tbody></table>');
+  assert.match(head.rtf, /\\trhdr/);
+  assert.match(head.cells[0], /\\b Name/);
+  assert.doesNotMatch(body.rtf, /\\trhdr/);
+  assert.doesNotMatch(body.cells[0], /\\b /);
+});
+
+test('cells keep their alignment and spans become merged cells', () => {
+  const [aligned, spanned, top, bottom] = rows('<table>'
+    + '<tr><td style="text-align: center">c</td><td style="text-align: right">r</td><td>l</td></tr>'
+    + '<tr><td colspan="2">two columns</td><td>x</td></tr>'
+    + '<tr><td rowspan="2">two rows</td><td>y</td><td>z</td></tr>'
+    + '<tr><td>v</td><td>w</td></tr></table>');
+  assert.deepEqual(aligned.cells.map(c => c.match(/\\intbl\\(q[lcr])/)[1]), ['qc', 'qr', 'ql']);
+  assert.deepEqual(Array.from(spanned.rtf.matchAll(/\\(clmgf|clmrg)/g), m => m[1]), ['clmgf', 'clmrg']);
+  // Only the first column's cells are merged vertically
+  const [firstCell, rest] = [top.rtf.slice(0, top.rtf.indexOf('\\cellx')), top.rtf.slice(top.rtf.indexOf('\\cellx'))];
+  assert.match(firstCell, /\\clvmgf/);
+  assert.doesNotMatch(rest, /\\clvm/);
+  assert.match(bottom.rtf.slice(0, bottom.rtf.indexOf('\\cellx')), /\\clvmrg/);
+  assert.deepEqual(bottom.edges, aligned.edges);
+});
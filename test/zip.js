@@ -0,0 +1,23 @@
+'use strict';
+// Entries of a zip written by createZip (stored, not compressed): name → { text, time, date }
+
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+  const entries = {};
+  for (let pos = 0; view.getUint32(pos, true) === 0x04034b50;) {
+    const size = view.getUint32(pos + 18, true);
+    const nameLength = view.getUint16(pos + 26, true);
+    const name = decoder.decode(bytes.subarray(pos + 30, pos + 30 + nameLength));
+    const start = pos + 30 + nameLength;
+    entries[name] = {
+      text: decoder.decode(bytes.subarray(start, start + size)),
+      time: view.getUint16(pos + 10, true),
+      date: view.getUint16(pos + 12, true)
+    };
+    pos = start + size;
+  }
+  return entries;
+}
+
+module.exports = { readZip };